@@ -3,10 +3,57 @@ const mysql = require('mysql2/promise');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
+const fs = require('fs');
+const readline = require('readline');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { SerialPort } = require('serialport');
+const { ReadlineParser } = require('@serialport/parser-readline');
 
 const app = express();
 const port = 3000;
 
+// Serial ingestion settings for the Arduino DHT11 feed (see arduino.ino)
+const SERIAL_CONFIG = {
+    path: process.env.SERIAL_PORT_PATH || null, // e.g. '/dev/ttyUSB0', 'COM3', or a pseudo-terminal created by socat. Leave unset to disable.
+    baudRate: 9600, // IMPORTANT: Must match Serial.begin() in arduino.ino
+    deviceId: process.env.SERIAL_DEVICE_ID || null, // sensors.device_id of the attached board; its registered location is used
+    locationId: process.env.SERIAL_LOCATION_ID ? parseInt(process.env.SERIAL_LOCATION_ID) : null, // Fallback when the board is not in the sensor registry
+    replayFile: process.env.SERIAL_REPLAY_FILE || null, // Replays a captured serial log instead of opening a device (for testing)
+    replayIntervalMs: 2000, // Matches DELAY_MS in arduino.ino
+    reconnectDelayMs: 5000 // Wait before reopening the device after it is unplugged
+};
+
+// A registered sensor is reported as silent when it has not sent a reading for this long
+const SENSOR_SILENCE_MINUTES = 5;
+
+// Raw temperature_logs older than this are rolled up into hourly rows in temperature_log_rollups
+const TEMPERATURE_LOG_RETENTION_DAYS = 30;
+const TEMPERATURE_ROLLUP_INTERVAL_MS = 60 * 60 * 1000; // Run the retention job every hour
+
+// Bucket sizes supported by the temperature history API (DATE_FORMAT patterns for the bucket start)
+const HISTORY_BUCKETS = {
+    minute: { format: '%Y-%m-%d %H:%i:00', ms: 60 * 1000 },
+    hour: { format: '%Y-%m-%d %H:00:00', ms: 60 * 60 * 1000 },
+    day: { format: '%Y-%m-%d 00:00:00', ms: 24 * 60 * 60 * 1000 }
+};
+const MAX_HISTORY_BUCKETS = 2000; // Keeps chart payloads small; use a larger bucket for long ranges
+
+// User roles. Each route lists the roles allowed to call it (see requireRole below)
+const USER_ROLES = ['admin', 'receiver', 'picker', 'dispatcher', 'qa'];
+const SESSION_TTL_HOURS = 12; // Login tokens expire after a working shift
+
+// Reason codes accepted when a batch's quantity or expiry date is edited by hand (recorded in audit_log)
+const AUDIT_REASON_CODES = ['Data Entry Correction', 'Stock Count Adjustment', 'Damage', 'Relabelling', 'Supplier Correction', 'Other'];
+
+// Sender shown on packing lists and delivery notes
+const WAREHOUSE_NAME = process.env.WAREHOUSE_NAME || 'Medical Warehouse';
+const WAREHOUSE_ADDRESS = process.env.WAREHOUSE_ADDRESS || '';
+
+// Cold-chain shipments: range applied when a Cold Storage line's source location has none, and the largest logger CSV accepted
+const DEFAULT_COLD_CHAIN_RANGE = { min: 2, max: 8 };
+const LOGGER_UPLOAD_LIMIT = '5mb';
+
 console.log('backend.js: Script execution started!');
 
 // --- IMPORTANT: Serve static files from the 'public' directory ---
@@ -15,6 +62,7 @@ app.use(express.static('public'));
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate); // Every route below requires a logged-in user, except POST /auth/login
 
 // MySQL Connection Pool
 const pool = mysql.createPool({
@@ -49,583 +97,5889 @@ const io = socketIo(server, {
     }
 });
 
-// --- Helper Function: Smart Allocation Logic ---
-async function findSuitableLocation(connection, productId, quantityNeeded) {
+// Socket.IO clients send their login token in the handshake (io(url, { auth: { token } }))
+io.use(async (socket, next) => {
     try {
-        // Fetch product category
-        const [productRows] = await connection.query('SELECT category FROM products WHERE product_id = ?', [productId]);
-        if (productRows.length === 0) {
-            throw new Error('Product not found for smart allocation.');
+        const user = await findSessionUser(socket.handshake.auth && socket.handshake.auth.token);
+        if (!user) {
+            return next(new Error('Authentication required.'));
         }
-        const productCategory = productRows[0].category;
-
-        console.log(`Attempting smart allocation for product category: ${productCategory}, quantity: ${quantityNeeded}`);
+        socket.user = user;
+        next();
+    }
+    catch (err) {
+        console.error('Error authenticating socket connection:', err);
+        next(err);
+    }
+});
 
-        // Find locations that match product category and have enough capacity
-        // Order by available capacity (most free space first)
-        const [candidateLocations] = await connection.query(
-            `SELECT location_id, capacity, current_occupancy, location_type, min_temp, max_temp, latest_temperature
-             FROM storage_locations
-             WHERE location_type = ? AND current_occupancy + ? <= capacity
-             ORDER BY (capacity - current_occupancy) DESC`,
-            [productCategory, quantityNeeded]
-        );
+// --- Helper Functions: Authentication ---
+// Passwords are stored as 'scrypt:<salt>:<hash>'. Login tokens are random and only their SHA-256
+// digest is kept in user_sessions, so a leaked table cannot be used to log in.
+const scrypt = promisify(crypto.scrypt);
 
-        let suitableLocation = null;
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${derivedKey.toString('hex')}`;
+}
 
-        if (productCategory === 'Cold Storage') {
-            for (const loc of candidateLocations) {
-                if (loc.latest_temperature === null || (loc.latest_temperature >= loc.min_temp && loc.latest_temperature <= loc.max_temp)) {
-                    suitableLocation = loc;
-                    console.log(`Smart Allocation: Found Cold Storage location ${loc.location_id} with suitable temperature (or no data yet).`);
-                    break;
-                } else {
-                    console.warn(`Smart Allocation Warning: Temperature out of range (${loc.latest_temperature}°C) for cold storage location ${loc.location_id}. Skipping.`);
-                }
-            }
-        } else {
-            if (candidateLocations.length > 0) {
-                suitableLocation = candidateLocations[0];
-                console.log(`Smart Allocation: Found Ambient location ${suitableLocation.location_id}.`);
-            }
-        }
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const derivedKey = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+}
 
-        if (!suitableLocation) {
-            console.error(`Smart Allocation Failed: No suitable storage location found for category '${productCategory}', quantity ${quantityNeeded}.`);
-            return null;
-        }
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-        return suitableLocation;
-    } catch (error) {
-        console.error('Error in findSuitableLocation helper:', error);
-        throw new Error('Internal error during smart allocation.');
-    }
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query('DELETE FROM user_sessions WHERE expires_at <= NOW()');
+    await pool.query(
+        'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+        [hashToken(token), userId, SESSION_TTL_HOURS]
+    );
+    return token;
 }
 
+// Returns the active user owning a live session token, or null
+async function findSessionUser(token) {
+    if (!token) return null;
+    const [rows] = await pool.query(
+        `SELECT u.user_id, u.username, u.full_name, u.role
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.user_id
+         WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.is_active = TRUE`,
+        [hashToken(token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+}
 
-// --- API Endpoints ---
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
 
-// Products: Get all
-app.get('/products', async (req, res, next) => {
+// Middleware: attaches req.user, or answers 401
+async function authenticate(req, res, next) {
+    if (req.method === 'POST' && req.path === '/auth/login') {
+        return next();
+    }
     try {
-        const [rows] = await pool.query('SELECT * FROM products');
-        res.json(rows);
+        const user = await findSessionUser(getBearerToken(req));
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required. Please log in.' });
+        }
+        req.user = user;
+        next();
     }
     catch (err) {
+        console.error('Error authenticating request:', err);
         next(err);
     }
-});
+}
 
-// Products: Add new
-app.post('/products', async (req, res, next) => {
-    const { name, description, manufacturer, category, price } = req.body;
-    if (!name || !category) {
-        return res.status(400).json({ error: 'Product name and category are required.' });
-    }
-    if (!['Ambient', 'Cold Storage'].includes(category)) {
-        return res.status(400).json({ error: 'Invalid category. Only "Ambient" or "Cold Storage" are allowed.' });
-    }
-    try {
-        const [result] = await pool.query(
-            'INSERT INTO products (name, description, manufacturer, category, price) VALUES (?, ?, ?, ?, ?)',
-            [name, description || null, manufacturer || null, category, price || null]
-        );
-        const [newProduct] = await pool.query('SELECT * FROM products WHERE product_id = ?', [result.insertId]);
-        res.status(201).json(newProduct[0]);
-    }
-    catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
-             res.status(409).json({ error: `Product with name '${name}' already exists.` });
-        } else {
-            next(err);
+// Middleware factory: only lets the listed roles through
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: `This action requires one of the roles: ${roles.join(', ')}.` });
         }
-    }
-});
-
-
-// Storage Locations: Get all (with contents and latest temperature)
-app.get('/storage_locations', async (req, res, next) => {
-    try {
-        const [locations] = await pool.query('SELECT * FROM storage_locations');
+        next();
+    };
+}
 
-        const [batchesWithProductInfo] = await pool.query(`
-            SELECT
-                b.batch_id,
-                b.product_id,
-                p.name AS product_name,
-                p.category AS product_type,
-                p.description AS product_description,
-                b.batch_number,
-                b.quantity AS assigned_quantity,
-                b.expiry_date,
-                b.manufacture_date,
-                b.barcode,
-                b.assigned_location_id,
-                b.status
-            FROM
-                batches b
-            JOIN
-                products p ON b.product_id = p.product_id
-            WHERE
-                b.assigned_location_id IS NOT NULL;
-        `);
+// --- Helper Functions: Audit Trail ---
+// Every inventory mutation writes a row to audit_log inside the same transaction, with the full row
+// before and after the change. audit_log is append-only (see the triggers in schema.sql).
+const AUDIT_ENTITIES = {
+    product: { table: 'products', key: 'product_id' },
+    batch: { table: 'batches', key: 'batch_id' },
+    location: { table: 'storage_locations', key: 'location_id' },
+    order: { table: 'orders', key: 'order_id' },
+    pick: { table: 'order_batch_picks', key: 'pick_id' },
+    wave: { table: 'pick_waves', key: 'wave_id' },
+    dispatch: { table: 'dispatches', key: 'dispatch_id' },
+    customer: { table: 'customers', key: 'customer_id' },
+    return: { table: 'returns', key: 'return_id' },
+    return_line: { table: 'return_lines', key: 'line_id' },
+    recall: { table: 'recalls', key: 'recall_id' },
+    recall_shipment: { table: 'recall_shipments', key: 'shipment_id' },
+    cycle_count: { table: 'cycle_counts', key: 'count_id' },
+    cycle_count_line: { table: 'cycle_count_lines', key: 'line_id' }
+};
 
-        const locationsWithDetails = await Promise.all(locations.map(async (location) => {
-            const contents = batchesWithProductInfo.filter(batch => batch.assigned_location_id === location.location_id);
+// Current row of an audited entity, or null if it does not exist
+async function getAuditSnapshot(connection, entityType, entityId) {
+    const { table, key } = AUDIT_ENTITIES[entityType];
+    const [rows] = await connection.query(`SELECT * FROM ${table} WHERE ${key} = ?`, [entityId]);
+    return rows.length > 0 ? rows[0] : null;
+}
 
-            if (location.last_temp_update) {
-                location.last_temp_update_formatted = new Date(location.last_temp_update).toLocaleString();
-            } else {
-                location.last_temp_update_formatted = 'N/A';
-            }
+// YYYY-MM-DD for a DATE column (a Date from mysql2) or a date string from a request body
+function formatDateOnly(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).slice(0, 10);
+}
 
-            return {
-                ...location,
-                contents: contents
-            };
-        }));
+// actor is req.user, or null for changes made by the system itself (e.g. excursion holds)
+async function recordAudit(connection, { entityType, entityId, action, before = null, after = null, actor = null, reasonCode = null, reasonNotes = null }) {
+    await connection.query(
+        `INSERT INTO audit_log (entity_type, entity_id, action, before_data, after_data, changed_by, changed_by_name, reason_code, reason_notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            entityType, entityId, action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            actor ? actor.user_id : null,
+            actor ? actor.full_name : 'System',
+            reasonCode, reasonNotes
+        ]
+    );
+}
 
-        res.json(locationsWithDetails);
+// --- Helper Function: Stock Movement Ledger ---
+// Batch quantities and location occupancy only change through here. Each movement is appended to
+// stock_movements and applied to the counters in the same transaction, so the counters always equal
+// the ledger totals; GET /reconcile reports any row where they have drifted apart.
+// Moving into a location adds to the batch, moving out of one subtracts (a transfer does both).
+// The batch's portion in each location is kept in batch_locations; an emptied portion is removed.
+async function recordStockMovement(connection, { batchId, movementType, fromLocationId = null, toLocationId = null, quantity, pickId = null, reference = null, actor = null }) {
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+        throw new Error('Stock movement quantity must be a positive whole number.');
     }
-    catch (err) {
-        console.error('Error fetching storage locations:', err);
-        next(err);
+    if (!fromLocationId && !toLocationId) {
+        throw new Error('Stock movement needs a from or to location.');
     }
-});
-// Storage Locations: Add new (from UI)
-app.post('/storage_locations', async (req, res, next) => {
-    let { zone, rack, slot, location_type, size_type, capacity, min_temp, max_temp } = req.body;
+    quantity = Number(quantity);
 
-    if (!zone || !rack || !slot || capacity === undefined || isNaN(capacity) || capacity <= 0 || !location_type) {
-        return res.status(400).json({ error: 'Zone, Rack, Slot, Location Type, and a valid positive Capacity are required.' });
-    }
-    if (!['Ambient', 'Cold Storage'].includes(location_type)) {
-        return res.status(400).json({ error: 'Invalid location type. Must be "Ambient" or "Cold Storage".' });
-    }
+    const [result] = await connection.query(
+        `INSERT INTO stock_movements (batch_id, movement_type, from_location_id, to_location_id, quantity, pick_id, reference, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [batchId, movementType, fromLocationId, toLocationId, quantity, pickId, reference, actor ? actor.user_id : null]
+    );
 
-    if (location_type === 'Cold Storage') {
-        if (min_temp === undefined || max_temp === undefined || isNaN(min_temp) || isNaN(max_temp)) {
-            return res.status(400).json({ error: 'Min/Max Temperatures are required and must be numbers for Cold Storage locations.' });
+    const batchChange = (toLocationId ? quantity : 0) - (fromLocationId ? quantity : 0);
+    if (batchChange !== 0) {
+        await connection.query('UPDATE batches SET quantity = quantity + ? WHERE batch_id = ?', [batchChange, batchId]);
+    }
+    if (fromLocationId) {
+        const [portionResult] = await connection.query(
+            'UPDATE batch_locations SET quantity = quantity - ? WHERE batch_id = ? AND location_id = ? AND quantity >= ?',
+            [quantity, batchId, fromLocationId, quantity]
+        );
+        if (portionResult.affectedRows === 0) {
+            throw new Error(`Batch ${batchId} does not hold ${quantity} units in location ${fromLocationId}.`);
         }
-        min_temp = parseFloat(min_temp);
-        max_temp = parseFloat(max_temp);
-    } else {
-        min_temp = null;
-        max_temp = null;
+        await connection.query(
+            'DELETE FROM batch_locations WHERE batch_id = ? AND location_id = ? AND quantity = 0',
+            [batchId, fromLocationId]
+        );
+        await connection.query(
+            'UPDATE storage_locations SET current_occupancy = current_occupancy - ? WHERE location_id = ?',
+            [quantity, fromLocationId]
+        );
     }
-
-    try {
-        const [result] = await pool.query(
-            `INSERT INTO storage_locations (zone, rack, slot, location_type, size_type, capacity, current_occupancy, min_temp, max_temp)
-             VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
-            [zone, rack, slot, location_type, size_type || null, capacity, min_temp, max_temp]
+    if (toLocationId) {
+        await connection.query(
+            `INSERT INTO batch_locations (batch_id, location_id, quantity) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)`,
+            [batchId, toLocationId, quantity]
+        );
+        await connection.query(
+            'UPDATE storage_locations SET current_occupancy = current_occupancy + ? WHERE location_id = ?',
+            [quantity, toLocationId]
         );
-        const [newLocation] = await pool.query('SELECT * FROM storage_locations WHERE location_id = ?', [result.insertId]);
-        res.status(201).json(newLocation[0]);
     }
-    catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
-             res.status(409).json({ error: 'A location with this Zone, Rack, and Slot already exists.' });
-        } else {
-             next(err);
+    return result.insertId;
+}
+
+// --- Helper Functions: Smart Allocation Strategies ---
+// Each product category uses one strategy (allocation_policies table, set by an admin).
+// A strategy can reject candidate locations with a reason and decides the order the remaining ones are tried in.
+// Rejections shared by every strategy (wrong type, full, excursion, temperature) are made by getLocationRejection().
+const freeSpace = loc => loc.free_capacity;
+
+const ALLOCATION_STRATEGIES = {
+    most_free_space: {
+        label: 'Most free space',
+        rank: (a, b) => freeSpace(b) - freeSpace(a)
+    },
+    best_fit: {
+        // Tightest location that still takes the whole batch, so large gaps stay free for large batches
+        label: 'Best fit',
+        rank: (a, b, { quantity }) => {
+            const aFits = freeSpace(a) >= quantity;
+            const bFits = freeSpace(b) >= quantity;
+            if (aFits !== bFits) return aFits ? -1 : 1;
+            return aFits ? freeSpace(a) - freeSpace(b) : freeSpace(b) - freeSpace(a);
+        }
+    },
+    consolidate: {
+        // Locations already holding the product first (most stock first), then most free space
+        label: 'Same-product consolidation',
+        rank: (a, b, { productQuantities }) =>
+            (productQuantities[b.location_id] || 0) - (productQuantities[a.location_id] || 0) || freeSpace(b) - freeSpace(a)
+    },
+    pick_proximity: {
+        // Closest to the dispatch area by pick_sequence; locations without one go last
+        label: 'Pick-zone proximity',
+        rank: (a, b) => {
+            const aSeq = a.pick_sequence === null ? Infinity : a.pick_sequence;
+            const bSeq = b.pick_sequence === null ? Infinity : b.pick_sequence;
+            return aSeq === bSeq ? freeSpace(b) - freeSpace(a) : aSeq - bSeq;
         }
+    },
+    size_match: {
+        label: 'Size type matching',
+        reject: (loc, { product }) => product.size_type && loc.size_type !== product.size_type
+            ? `Size type ${loc.size_type || 'not set'} does not match the product's ${product.size_type}`
+            : null,
+        rank: (a, b) => freeSpace(b) - freeSpace(a)
     }
-});
+};
+const DEFAULT_ALLOCATION_STRATEGY = 'most_free_space';
 
+// Locations with everything the allocation rules look at. free_capacity leaves room for putaway tasks
+// that are still pending (except excludePutawayId, the task being confirmed).
+async function getAllocationLocations(connection, locationId = null, excludePutawayId = null) {
+    const [locations] = await connection.query(
+        `SELECT sl.location_id, CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name, sl.zone, sl.location_type, sl.size_type,
+                sl.pick_sequence, sl.is_quarantine, sl.capacity, sl.current_occupancy, sl.min_temp, sl.max_temp, sl.latest_temperature,
+                sl.capacity - sl.current_occupancy - COALESCE((
+                    SELECT SUM(pt.quantity) FROM putaway_tasks pt
+                    WHERE pt.planned_location_id = sl.location_id AND pt.status = 'Pending' AND pt.putaway_id <> COALESCE(?, 0)
+                ), 0) AS free_capacity,
+                EXISTS (SELECT 1 FROM temperature_excursions te WHERE te.location_id = sl.location_id AND te.status = 'Open') AS in_excursion
+         FROM storage_locations sl
+         WHERE ? IS NULL OR sl.location_id = ?
+         ORDER BY sl.location_id`,
+        [excludePutawayId, locationId, locationId]
+    );
+    return locations.map(loc => ({ ...loc, free_capacity: Number(loc.free_capacity) }));
+}
 
-// Batches: Get all (for Dashboard display)
-app.get('/batches', async (req, res, next) => {
-    try {
-        const [rows] = await pool.query(`
-            SELECT
-                b.batch_id,
-                b.product_id,
-                p.name AS product_name,
-                p.category AS product_type,
-                p.description AS product_description,
-                b.batch_number,
-                b.manufacture_date,
-                b.expiry_date,
-                b.quantity,
-                b.barcode,
-                b.assigned_location_id,
-                b.status,
-                sl.zone, sl.rack, sl.slot
-            FROM batches b
-            JOIN products p ON b.product_id = p.product_id
-            LEFT JOIN storage_locations sl ON b.assigned_location_id = sl.location_id
-        `);
-        res.json(rows);
+// Rules every strategy (and every putaway or transfer) has to pass. Returns why the location
+// cannot take the product, or null when it can. Quarantine locations only take customer returns (quarantine: true).
+function getLocationRejection(loc, product, { quarantine = false } = {}) {
+    const temperature = loc.latest_temperature === null ? null : Number(loc.latest_temperature);
+    if (Boolean(loc.is_quarantine) !== quarantine) {
+        return quarantine ? 'Location is not a quarantine location' : 'Quarantine location (customer returns only)';
     }
-    catch (err) {
-        console.error('Error fetching batches for dashboard:', err);
-        next(err);
+    if (loc.location_type !== product.category) {
+        return `Location type ${loc.location_type} does not match product category ${product.category}`;
     }
-});
-
-// Batches: Add new (with integrated smart allocation)
-app.post('/batches', async (req, res, next) => {
-    const { product_id, batch_number, manufacture_date, expiry_date, quantity, barcode } = req.body;
-
-    if (!product_id || !batch_number || !expiry_date || quantity === undefined || isNaN(quantity) || quantity <= 0) {
-        return res.status(400).json({ error: 'Missing required batch fields (product, batch number, expiry date, or valid quantity).' });
+    if (loc.free_capacity <= 0) {
+        return 'Location is full';
+    }
+    if (loc.in_excursion) {
+        return 'Location has an open temperature excursion';
     }
+    if (product.category === 'Cold Storage' && temperature !== null &&
+        (temperature < Number(loc.min_temp) || temperature > Number(loc.max_temp))) {
+        return `Latest temperature ${temperature}°C is outside ${loc.min_temp}–${loc.max_temp}°C`;
+    }
+    return null;
+}
 
-    const connection = await pool.getConnection();
-    try {
-        await connection.beginTransaction();
+// Checks a single location chosen by an operator (putaway scan or transfer target) against the same rules
+async function checkLocationForProduct(connection, product, locationId, quantity, excludePutawayId = null) {
+    const [loc] = await getAllocationLocations(connection, locationId, excludePutawayId);
+    if (!loc) {
+        return { location: null, reason: 'Location not found' };
+    }
+    let reason = getLocationRejection(loc, product);
+    if (!reason && loc.free_capacity < quantity) {
+        reason = `Location only has room for ${loc.free_capacity} more units`;
+    }
+    return { location: loc, reason };
+}
 
-        const suitableLocation = await findSuitableLocation(connection, product_id, quantity);
-        if (!suitableLocation) {
-            await connection.rollback();
-            return res.status(400).json({ error: 'No suitable storage location found based on product criteria, capacity, and temperature.' });
-        }
-        const assignedLocationId = suitableLocation.location_id;
-        console.log(`Batch ${batch_number} smart allocated to location ID: ${assignedLocationId}`);
+async function getAllocationStrategy(connection, category) {
+    const [rows] = await connection.query('SELECT strategy FROM allocation_policies WHERE category = ?', [category]);
+    const strategy = rows.length > 0 ? rows[0].strategy : DEFAULT_ALLOCATION_STRATEGY;
+    return ALLOCATION_STRATEGIES[strategy] ? strategy : DEFAULT_ALLOCATION_STRATEGY;
+}
 
-        const [batchResult] = await connection.query(
-            'INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, assigned_location_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [product_id, batch_number, manufacture_date || null, expiry_date, quantity, barcode || batch_number, assignedLocationId, 'Available']
-        );
-        const newBatchId = batchResult.insertId;
+// Works out where a new batch would go without changing anything. Every location comes back either ranked
+// as a candidate or rejected with a reason, along with the placements planSmartAllocation() would use:
+// the whole quantity in the first candidate that has room, otherwise split across candidates in rank order.
+async function evaluateAllocation(connection, productId, quantityNeeded) {
+    const [productRows] = await connection.query('SELECT product_id, name, category, size_type FROM products WHERE product_id = ?', [productId]);
+    if (productRows.length === 0) {
+        throw new Error('Product not found for smart allocation.');
+    }
+    const product = productRows[0];
+    const strategyName = await getAllocationStrategy(connection, product.category);
+    const strategy = ALLOCATION_STRATEGIES[strategyName];
 
-        await connection.query(
-            'UPDATE storage_locations SET current_occupancy = current_occupancy + ? WHERE location_id = ?',
-            [quantity, assignedLocationId]
-        );
+    const locations = await getAllocationLocations(connection);
+    const [productStock] = await connection.query(
+        `SELECT bl.location_id, SUM(bl.quantity) AS quantity
+         FROM batch_locations bl
+         JOIN batches b ON bl.batch_id = b.batch_id
+         WHERE b.product_id = ?
+         GROUP BY bl.location_id`,
+        [productId]
+    );
+    const context = {
+        product,
+        quantity: quantityNeeded,
+        productQuantities: Object.fromEntries(productStock.map(row => [row.location_id, Number(row.quantity)]))
+    };
 
-        await connection.commit();
-        res.status(201).json({
-            message: 'Stock added successfully!',
-            batch: { batch_id: newBatchId, barcode: barcode || batch_number },
-            assigned_location_id: assignedLocationId
-        });
+    const candidates = [];
+    const rejected = [];
+    for (const loc of locations) {
+        let reason = getLocationRejection(loc, product);
+        if (!reason && strategy.reject) {
+            reason = strategy.reject(loc, context);
+        }
 
+        if (reason) {
+            rejected.push({ location_id: loc.location_id, location_name: loc.location_name, reason });
+        } else {
+            candidates.push(loc);
+        }
     }
-    catch (err) {
-        await connection.rollback();
-        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('batches.batch_number')) {
-            return res.status(409).json({ error: `Batch number '${batch_number}' already exists.` });
+    candidates.sort((a, b) => strategy.rank(a, b, context));
+
+    // Prefer a single location that takes the whole batch
+    let placements = null;
+    const singleLocation = candidates.find(loc => freeSpace(loc) >= quantityNeeded);
+    if (singleLocation) {
+        placements = [{ location_id: singleLocation.location_id, quantity: quantityNeeded }];
+    } else {
+        placements = [];
+        let remaining = quantityNeeded;
+        for (const loc of candidates) {
+            if (remaining === 0) break;
+            const portion = Math.min(remaining, freeSpace(loc));
+            placements.push({ location_id: loc.location_id, quantity: portion });
+            remaining -= portion;
         }
-        console.error('Error adding stock (backend):', err);
-        next(err);
-    } finally {
-        connection.release();
+        if (remaining > 0) placements = null;
     }
-});
 
-// Batches: Update
-app.put('/batches/:id', async (req, res, next) => {
-    const { id } = req.params;
-    const { product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, status } = req.body;
+    return {
+        product_id: product.product_id,
+        category: product.category,
+        strategy: strategyName,
+        strategy_label: strategy.label,
+        quantity: quantityNeeded,
+        candidates: candidates.map((loc, index) => ({
+            rank: index + 1,
+            location_id: loc.location_id,
+            location_name: loc.location_name,
+            size_type: loc.size_type,
+            pick_sequence: loc.pick_sequence,
+            free_capacity: freeSpace(loc),
+            product_quantity: context.productQuantities[loc.location_id] || 0
+        })),
+        rejected,
+        placements
+    };
+}
 
-    if (!product_id || !batch_number || !expiry_date || quantity === undefined || isNaN(quantity) || quantity < 0 || !status) {
-        return res.status(400).json({ error: 'Missing required batch fields for update, or invalid quantity.' });
+// --- Helper Function: Smart Allocation Logic ---
+// Plans where a new batch is put away using its category's strategy.
+// Returns [{ location_id, quantity }] or null when the candidate locations cannot hold it all.
+async function planSmartAllocation(connection, productId, quantityNeeded) {
+    try {
+        console.log(`Attempting smart allocation for product ${productId}, quantity: ${quantityNeeded}`);
+        const evaluation = await evaluateAllocation(connection, productId, quantityNeeded);
+        evaluation.rejected.forEach(loc => console.warn(`Smart Allocation: Skipping location ${loc.location_id}: ${loc.reason}.`));
+
+        if (!evaluation.placements) {
+            console.error(`Smart Allocation Failed: No suitable storage locations found for category '${evaluation.category}', quantity ${quantityNeeded}.`);
+            return null;
+        }
+
+        console.log(`Smart Allocation (${evaluation.strategy}): ${evaluation.placements.map(p => `location ${p.location_id} (${p.quantity})`).join(', ')}.`);
+        return evaluation.placements;
+    } catch (error) {
+        console.error('Error in planSmartAllocation helper:', error);
+        throw new Error('Internal error during smart allocation.');
     }
+}
 
+// --- Helper Function: Record a Temperature Reading ---
+// Used by both POST /temperature_logs and the serial ingestion service so every reading
+// is logged, stored as the location's latest value and pushed to clients the same way.
+async function recordTemperatureReading(locationId, temperatureReading, humidityReading = null, sensorId = null) {
+    let excursionResult = null;
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
 
-        const [oldBatchRows] = await connection.query(
-            'SELECT quantity, assigned_location_id FROM batches WHERE batch_id = ? FOR UPDATE',
-            [id]
+        await connection.query(
+            'INSERT INTO temperature_logs (location_id, sensor_id, temperature_reading, humidity_reading, timestamp) VALUES (?, ?, ?, ?, NOW())',
+            [locationId, sensorId, temperatureReading, humidityReading]
         );
 
-        if (oldBatchRows.length === 0) {
-            throw new Error('Batch not found.');
+        if (sensorId) {
+            await connection.query('UPDATE sensors SET last_seen = NOW() WHERE sensor_id = ?', [sensorId]);
         }
-        const oldQuantity = oldBatchRows[0].quantity;
-        const assignedLocationId = oldBatchRows[0].assigned_location_id;
 
         await connection.query(
-            `UPDATE batches SET product_id = ?, batch_number = ?, manufacture_date = ?, expiry_date = ?, quantity = ?, barcode = ?, status = ?
-             WHERE batch_id = ?`,
-            [product_id, batch_number, manufacture_date || null, expiry_date, quantity, barcode || batch_number, status, id]
+            'UPDATE storage_locations SET latest_temperature = ?, last_temp_update = NOW() WHERE location_id = ?',
+            [temperatureReading, locationId]
         );
 
-        if (assignedLocationId) {
-            const quantityDifference = quantity - oldQuantity;
+        if (humidityReading !== null) {
             await connection.query(
-                'UPDATE storage_locations SET current_occupancy = current_occupancy + ? WHERE location_id = ?',
-                [quantityDifference, assignedLocationId]
+                'UPDATE storage_locations SET latest_humidity = ?, last_humidity_update = NOW() WHERE location_id = ?',
+                [humidityReading, locationId]
             );
         }
 
+        excursionResult = await trackTemperatureExcursion(connection, locationId, temperatureReading);
+
         await connection.commit();
-        const [updatedBatch] = await pool.query('SELECT * FROM batches WHERE batch_id = ?', [id]);
-        res.json(updatedBatch[0]);
     }
     catch (err) {
         await connection.rollback();
-        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('batches.batch_number')) {
-            return res.status(409).json({ error: `Batch number '${batch_number}' already exists for another batch.` });
-        }
-        console.error('Error updating batch:', err);
-        next(err);
+        throw err;
     } finally {
         connection.release();
     }
-});
-
-// Batches: Delete
-app.delete('/batches/:id', async (req, res, next) => {
-    const { id } = req.params;
-    const connection = await pool.getConnection();
-    try {
-        await connection.beginTransaction();
 
-        const [batchRows] = await connection.query(
-            'SELECT quantity, assigned_location_id FROM batches WHERE batch_id = ? FOR UPDATE',
-            [id]
-        );
+    io.emit('temperatureUpdate', {
+        location_id: locationId,
+        sensor_id: sensorId,
+        temperature: temperatureReading,
+        humidity: humidityReading,
+        timestamp: new Date().toISOString()
+    });
 
-        if (batchRows.length === 0) {
-            throw new Error('Batch not found.');
-        }
+    if (excursionResult && excursionResult.event) {
+        io.emit(excursionResult.event === 'opened' ? 'excursionOpened' : 'excursionClosed', excursionResult.excursion);
+    }
+    if (excursionResult && excursionResult.heldBatches.length > 0) {
+        io.emit('batchesOnHold', { location_id: locationId, batches: excursionResult.heldBatches });
+    }
+    scheduleAlertEvaluation();
+    return excursionResult;
+}
 
-        const batchQuantity = batchRows[0].quantity;
-        const assignedLocationId = batchRows[0].assigned_location_id;
+// --- Helper Function: Cold-Chain Excursion Tracking ---
+// Called inside the reading's transaction. Opens an excursion when a location with a temperature
+// range gets an out-of-range reading, keeps its peak and batch list up to date while it lasts, and
+// closes it on the first reading back in range. Batches whose cumulative exposure passes their
+// product's tolerance are put On Hold until QA releases them.
+async function trackTemperatureExcursion(connection, locationId, temperatureReading) {
+    const [locationRows] = await connection.query(
+        'SELECT min_temp, max_temp FROM storage_locations WHERE location_id = ?',
+        [locationId]
+    );
+    if (locationRows.length === 0 || locationRows[0].min_temp === null || locationRows[0].max_temp === null) {
+        return null; // No temperature range to breach (e.g. Ambient without limits)
+    }
 
-        await connection.query('DELETE FROM order_batch_picks WHERE batch_id = ?', [id]);
+    const temperature = parseFloat(temperatureReading);
+    const minTemp = parseFloat(locationRows[0].min_temp);
+    const maxTemp = parseFloat(locationRows[0].max_temp);
+    const outOfRange = temperature < minTemp || temperature > maxTemp;
+    // How far outside the range a reading is, used to keep the peak
+    const deviation = (value) => Math.max(minTemp - value, value - maxTemp, 0);
 
-        const [result] = await connection.query('DELETE FROM batches WHERE batch_id = ?', [id]);
-        if (result.affectedRows === 0) {
-            throw new Error('Batch not found or no changes made.');
-        }
+    const [openRows] = await connection.query(
+        `SELECT * FROM temperature_excursions WHERE location_id = ? AND status = 'Open' FOR UPDATE`,
+        [locationId]
+    );
+    let excursion = openRows.length > 0 ? openRows[0] : null;
+    let event = null;
 
-        if (assignedLocationId) {
+    if (outOfRange && !excursion) {
+        const [result] = await connection.query(
+            `INSERT INTO temperature_excursions (location_id, excursion_type, status, started_at, peak_temperature)
+             VALUES (?, ?, 'Open', NOW(), ?)`,
+            [locationId, temperature > maxTemp ? 'High' : 'Low', temperature]
+        );
+        const [newRows] = await connection.query('SELECT * FROM temperature_excursions WHERE excursion_id = ?', [result.insertId]);
+        excursion = newRows[0];
+        event = 'opened';
+        console.warn(`Excursion: Location ${locationId} out of range (${temperature}°C, allowed ${minTemp}-${maxTemp}°C). Excursion ${excursion.excursion_id} opened.`);
+    } else if (outOfRange && deviation(temperature) > deviation(parseFloat(excursion.peak_temperature))) {
+        await connection.query(
+            'UPDATE temperature_excursions SET peak_temperature = ? WHERE excursion_id = ?',
+            [temperature, excursion.excursion_id]
+        );
+    }
+
+    if (!excursion) {
+        return null;
+    }
+
+    if (outOfRange) {
+        // Record every batch in the location, including ones put away after the excursion started.
+        // A batch split across locations is tracked (and held) as a whole.
+        await connection.query(
+            `INSERT IGNORE INTO excursion_batches (excursion_id, batch_id, quantity, joined_at)
+             SELECT ?, b.batch_id, b.quantity, NOW()
+             FROM batch_locations bl
+             JOIN batches b ON bl.batch_id = b.batch_id
+             WHERE bl.location_id = ? AND bl.quantity > 0`,
+            [excursion.excursion_id, locationId]
+        );
+    } else {
+        await connection.query(
+            `UPDATE temperature_excursions
+             SET status = 'Closed', ended_at = NOW(), duration_minutes = TIMESTAMPDIFF(MINUTE, started_at, NOW())
+             WHERE excursion_id = ?`,
+            [excursion.excursion_id]
+        );
+        // Move each batch's exposure from the open excursion into its cumulative total
+        await connection.query(
+            `UPDATE batches b
+             JOIN excursion_batches eb ON eb.batch_id = b.batch_id
+             SET b.excursion_minutes = b.excursion_minutes + TIMESTAMPDIFF(MINUTE, eb.joined_at, NOW())
+             WHERE eb.excursion_id = ?`,
+            [excursion.excursion_id]
+        );
+        event = 'closed';
+        console.log(`Excursion: Location ${locationId} back in range (${temperature}°C). Excursion ${excursion.excursion_id} closed.`);
+    }
+
+    const heldBatches = await applyExcursionHolds(connection, excursion.excursion_id, outOfRange);
+
+    const [excursionRows] = await connection.query('SELECT * FROM temperature_excursions WHERE excursion_id = ?', [excursion.excursion_id]);
+    return { event, excursion: excursionRows[0], heldBatches };
+}
+
+// Puts Available batches of an excursion On Hold once their cumulative time out of range
+// (closed excursions plus the ongoing one) exceeds the product's tolerance. Exposure QA has
+// already accepted at a release only triggers a new hold if it keeps growing.
+async function applyExcursionHolds(connection, excursionId, isOpen) {
+    const [overTolerance] = await connection.query(
+        `SELECT
+            b.batch_id,
+            b.batch_number,
+            p.name AS product_name,
+            p.excursion_tolerance_minutes,
+            b.excursion_minutes + IF(?, TIMESTAMPDIFF(MINUTE, eb.joined_at, NOW()), 0) AS total_exposure_minutes,
+            b.excursion_minutes_accepted
+         FROM excursion_batches eb
+         JOIN batches b ON eb.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         WHERE eb.excursion_id = ?
+            AND b.status IN ('Available', 'Awaiting Putaway')
+            AND p.excursion_tolerance_minutes IS NOT NULL
+         HAVING total_exposure_minutes > excursion_tolerance_minutes
+            AND total_exposure_minutes > excursion_minutes_accepted`,
+        [isOpen, excursionId]
+    );
+
+    for (const batch of overTolerance) {
+        const reason = `Cold-chain excursion #${excursionId}: ${batch.total_exposure_minutes} min out of range (tolerance ${batch.excursion_tolerance_minutes} min)`;
+        const before = await getAuditSnapshot(connection, 'batch', batch.batch_id);
+        await connection.query(
+            `UPDATE batches SET status = 'On Hold', hold_reason = ? WHERE batch_id = ?`,
+            [reason, batch.batch_id]
+        );
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: batch.batch_id, action: 'Update',
+            before, after: await getAuditSnapshot(connection, 'batch', batch.batch_id),
+            reasonCode: 'Excursion Hold', reasonNotes: reason
+        });
+        console.warn(`Excursion: Batch ${batch.batch_number} put On Hold. ${reason}.`);
+    }
+
+    return overTolerance.map(batch => ({
+        batch_id: batch.batch_id,
+        batch_number: batch.batch_number,
+        product_name: batch.product_name,
+        total_exposure_minutes: batch.total_exposure_minutes
+    }));
+}
+
+// --- Helper Function: Record a Reading Tagged by Device ID ---
+// Looks the device up in the sensor registry, applies its calibration offset and logs the
+// reading against the location the sensor is assigned to. Returns null for unknown or retired
+// devices so callers can reject the reading.
+async function recordSensorReading(deviceId, rawTemperature, humidityReading = null) {
+    const [sensorRows] = await pool.query(
+        `SELECT sensor_id, location_id, calibration_offset FROM sensors WHERE device_id = ? AND status = 'Active'`,
+        [deviceId]
+    );
+    if (sensorRows.length === 0) {
+        console.warn(`Sensor Registry: Reading from unregistered or retired device '${deviceId}' ignored.`);
+        return null;
+    }
+
+    const sensor = sensorRows[0];
+    if (!sensor.location_id) {
+        // Still count the reading as a sign of life so the sensor does not show up as silent
+        await pool.query('UPDATE sensors SET last_seen = NOW() WHERE sensor_id = ?', [sensor.sensor_id]);
+        console.warn(`Sensor Registry: Device '${deviceId}' is not assigned to a location. Reading not logged.`);
+        return null;
+    }
+
+    const temperature = Math.round((parseFloat(rawTemperature) + parseFloat(sensor.calibration_offset)) * 100) / 100;
+    await recordTemperatureReading(sensor.location_id, temperature, humidityReading, sensor.sensor_id);
+    return { sensor_id: sensor.sensor_id, location_id: sensor.location_id, temperature_reading: temperature };
+}
+
+// --- Serial Ingestion Service (Arduino DHT11 feed) ---
+// arduino.ino prints a startup banner, then one "temperature,humidity" line every 2 seconds.
+// Boards that share one serial link may prefix the line with their device ID ("DHT-COLD-A-CS1,4.5,40").
+// A failed sensor read prints "Error reading temperature!" (or humidity) and the sketch still
+// sends its 0.0 placeholder on the following data line, so that line is discarded as well.
+const SENSOR_LINE_PATTERN = /^(?:([A-Za-z][\w-]*),)?(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/;
+let discardNextSensorLine = false;
+
+function parseSensorLine(rawLine) {
+    const line = rawLine.trim();
+    if (!line) return null;
+
+    if (line.startsWith('Error reading')) {
+        console.warn(`Serial Ingestion: Sensor reported "${line}". Discarding the next reading.`);
+        discardNextSensorLine = true;
+        return null;
+    }
+
+    const match = line.match(SENSOR_LINE_PATTERN);
+    if (!match) {
+        // Banner, sensor details and separator lines
+        return null;
+    }
+
+    if (discardNextSensorLine) {
+        discardNextSensorLine = false;
+        return null;
+    }
+
+    return { deviceId: match[1] || null, temperature: parseFloat(match[2]), humidity: parseFloat(match[3]) };
+}
+
+async function handleSerialLine(rawLine) {
+    const reading = parseSensorLine(rawLine);
+    if (!reading) return;
+
+    try {
+        const deviceId = reading.deviceId || SERIAL_CONFIG.deviceId;
+        if (deviceId) {
+            const logged = await recordSensorReading(deviceId, reading.temperature, reading.humidity);
+            if (logged) {
+                console.log(`Serial Ingestion: Logged ${logged.temperature_reading}°C, ${reading.humidity}% from ${deviceId} for location ${logged.location_id}.`);
+            }
+        } else if (SERIAL_CONFIG.locationId) {
+            await recordTemperatureReading(SERIAL_CONFIG.locationId, reading.temperature, reading.humidity);
+            console.log(`Serial Ingestion: Logged ${reading.temperature}°C, ${reading.humidity}% for location ${SERIAL_CONFIG.locationId}.`);
+        }
+    } catch (err) {
+        console.error('Serial Ingestion: Error storing reading:', err);
+    }
+}
+
+function openSerialPort() {
+    const serialPort = new SerialPort({ path: SERIAL_CONFIG.path, baudRate: SERIAL_CONFIG.baudRate, autoOpen: false });
+    const parser = serialPort.pipe(new ReadlineParser({ delimiter: '\n' }));
+    parser.on('data', handleSerialLine);
+
+    const scheduleReconnect = () => {
+        console.log(`Serial Ingestion: Retrying ${SERIAL_CONFIG.path} in ${SERIAL_CONFIG.reconnectDelayMs / 1000}s...`);
+        setTimeout(openSerialPort, SERIAL_CONFIG.reconnectDelayMs);
+    };
+
+    serialPort.on('close', (err) => {
+        // err.disconnected is set when the device was unplugged rather than closed by us
+        if (err && err.disconnected) {
+            console.warn(`Serial Ingestion: Device ${SERIAL_CONFIG.path} disconnected.`);
+            scheduleReconnect();
+        }
+    });
+
+    serialPort.on('error', (err) => {
+        console.error(`Serial Ingestion: Serial port error on ${SERIAL_CONFIG.path}:`, err.message);
+    });
+
+    serialPort.open((err) => {
+        if (err) {
+            console.error(`Serial Ingestion: Could not open ${SERIAL_CONFIG.path}:`, err.message);
+            scheduleReconnect();
+            return;
+        }
+        discardNextSensorLine = false;
+        console.log(`Serial Ingestion: Listening on ${SERIAL_CONFIG.path} at ${SERIAL_CONFIG.baudRate} baud.`);
+    });
+}
+
+// Feeds a captured serial log through the same parser, one line per replay interval
+async function replaySerialCapture(filePath) {
+    console.log(`Serial Ingestion: Replaying capture file ${filePath}.`);
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        await handleSerialLine(line);
+        await new Promise(resolve => setTimeout(resolve, SERIAL_CONFIG.replayIntervalMs));
+    }
+    console.log('Serial Ingestion: Replay finished.');
+}
+
+function startSerialIngestion() {
+    if (!SERIAL_CONFIG.path && !SERIAL_CONFIG.replayFile) {
+        console.log('Serial Ingestion: No serial device configured. Skipping.');
+        return;
+    }
+    if (!SERIAL_CONFIG.deviceId && !SERIAL_CONFIG.locationId) {
+        // Lines may still carry their own device ID prefix, so keep listening
+        console.warn('Serial Ingestion: Neither SERIAL_DEVICE_ID nor SERIAL_LOCATION_ID is set. Only device-tagged lines will be stored.');
+    }
+
+    if (SERIAL_CONFIG.replayFile) {
+        replaySerialCapture(SERIAL_CONFIG.replayFile)
+            .catch(err => console.error('Serial Ingestion: Error replaying capture file:', err));
+    } else {
+        openSerialPort();
+    }
+}
+
+
+// --- Temperature Log Retention Job ---
+// Rolls raw readings older than the retention period into hourly min/avg/max rows and deletes them,
+// so temperature_logs stays small while the history API can still chart older periods.
+async function rollupOldTemperatureLogs() {
+    // Cut off on an hour boundary so each rolled-up hour is complete
+    const cutoff = new Date(Date.now() - TEMPERATURE_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    cutoff.setMinutes(0, 0, 0);
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await connection.query(
+            `INSERT INTO temperature_log_rollups
+                (location_id, bucket_start, min_temperature, avg_temperature, max_temperature, reading_count,
+                 min_humidity, avg_humidity, max_humidity, humidity_count)
+             SELECT
+                location_id,
+                DATE_FORMAT(timestamp, '%Y-%m-%d %H:00:00') AS bucket,
+                MIN(temperature_reading), AVG(temperature_reading), MAX(temperature_reading), COUNT(*),
+                MIN(humidity_reading), AVG(humidity_reading), MAX(humidity_reading), COUNT(humidity_reading)
+             FROM temperature_logs
+             WHERE timestamp < ?
+             GROUP BY location_id, bucket
+             ON DUPLICATE KEY UPDATE
+                min_temperature = LEAST(min_temperature, VALUES(min_temperature)),
+                max_temperature = GREATEST(max_temperature, VALUES(max_temperature)),
+                avg_temperature = (avg_temperature * reading_count + VALUES(avg_temperature) * VALUES(reading_count)) / (reading_count + VALUES(reading_count)),
+                min_humidity = COALESCE(LEAST(min_humidity, VALUES(min_humidity)), min_humidity, VALUES(min_humidity)),
+                max_humidity = COALESCE(GREATEST(max_humidity, VALUES(max_humidity)), max_humidity, VALUES(max_humidity)),
+                avg_humidity = IF(humidity_count + VALUES(humidity_count) = 0, NULL,
+                    (COALESCE(avg_humidity, 0) * humidity_count + COALESCE(VALUES(avg_humidity), 0) * VALUES(humidity_count)) / (humidity_count + VALUES(humidity_count))),
+                reading_count = reading_count + VALUES(reading_count),
+                humidity_count = humidity_count + VALUES(humidity_count)`,
+            [cutoff]
+        );
+
+        const [deleteResult] = await connection.query('DELETE FROM temperature_logs WHERE timestamp < ?', [cutoff]);
+
+        await connection.commit();
+        if (deleteResult.affectedRows > 0) {
+            console.log(`Temperature Retention: Rolled up ${deleteResult.affectedRows} log rows older than ${cutoff.toLocaleString()}.`);
+        }
+    }
+    catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+function startTemperatureRetentionJob() {
+    const runJob = () => rollupOldTemperatureLogs()
+        .catch(err => console.error('Temperature Retention: Error rolling up old logs:', err));
+    runJob();
+    setInterval(runJob, TEMPERATURE_ROLLUP_INTERVAL_MS);
+}
+
+
+// --- Helper Functions: Customers ---
+const CUSTOMER_TYPES = ['Hospital', 'Pharmacy', 'Clinic', 'Other'];
+const CUSTOMER_FIELDS = ['name', 'customer_type', 'contact_name', 'contact_email', 'contact_phone', 'licence_number', 'licence_expiry', 'is_active'];
+const ADDRESS_FIELDS = ['label', 'address_line1', 'address_line2', 'city', 'postcode', 'country'];
+const ORDER_PRIORITIES = ['Low', 'Normal', 'High', 'Urgent'];
+
+// Error message for a customer body, or null if it is valid. New customers need a name, type and licence.
+function validateCustomerFields(body, isNew) {
+    const { name, customer_type, licence_number, licence_expiry, contact_email, is_active } = body;
+    if (isNew && (!name || !customer_type || !licence_number || !licence_expiry)) {
+        return 'Customer name, type, licence number and licence expiry are required.';
+    }
+    if (name !== undefined && !String(name).trim()) return 'Customer name cannot be empty.';
+    if (customer_type !== undefined && !CUSTOMER_TYPES.includes(customer_type)) {
+        return `Invalid customer type. Must be one of: ${CUSTOMER_TYPES.join(', ')}.`;
+    }
+    if (licence_number !== undefined && !String(licence_number).trim()) return 'Licence number cannot be empty.';
+    if (licence_expiry !== undefined && isNaN(new Date(licence_expiry).getTime())) return 'Invalid licence expiry date.';
+    if (contact_email && !/^[^@\s]+@[^@\s]+$/.test(contact_email)) return 'Invalid contact email.';
+    if (is_active !== undefined && typeof is_active !== 'boolean') return 'is_active must be true or false.';
+    return null;
+}
+
+function validateAddressFields(body, isNew) {
+    if (!body || typeof body !== 'object') return 'Invalid address.';
+    if (isNew && (!body.label || !body.address_line1 || !body.city)) {
+        return 'Address label, first line and city are required.';
+    }
+    if (['label', 'address_line1', 'city'].some(field => body[field] !== undefined && !String(body[field]).trim())) {
+        return 'Address label, first line and city cannot be empty.';
+    }
+    if (body.is_default !== undefined && typeof body.is_default !== 'boolean') return 'is_default must be true or false.';
+    return null;
+}
+
+// Customer row with its addresses and excluded batches (also used as the customer's audit snapshot)
+async function getCustomerSnapshot(connection, customerId, forUpdate = false) {
+    const [rows] = await connection.query(`SELECT * FROM customers WHERE customer_id = ?${forUpdate ? ' FOR UPDATE' : ''}`, [customerId]);
+    if (rows.length === 0) return null;
+    const customer = rows[0];
+    customer.is_active = Boolean(customer.is_active);
+    customer.single_batch_per_line = Boolean(customer.single_batch_per_line);
+    const [addresses] = await connection.query('SELECT * FROM customer_addresses WHERE customer_id = ? ORDER BY is_default DESC, label', [customerId]);
+    customer.addresses = addresses;
+    const [excluded] = await connection.query('SELECT batch_id FROM customer_excluded_batches WHERE customer_id = ?', [customerId]);
+    customer.excluded_batch_ids = excluded.map(row => row.batch_id);
+    return customer;
+}
+
+// Returns the new address_id. A new default address replaces the customer's previous default.
+async function insertCustomerAddress(connection, customerId, address) {
+    if (address.is_default) {
+        await connection.query('UPDATE customer_addresses SET is_default = FALSE WHERE customer_id = ?', [customerId]);
+    }
+    const [result] = await connection.query(
+        `INSERT INTO customer_addresses (customer_id, label, address_line1, address_line2, city, postcode, country, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [customerId, address.label, address.address_line1, address.address_line2 || null, address.city, address.postcode || null, address.country || null, Boolean(address.is_default)]
+    );
+    return result.insertId;
+}
+
+// A licence is valid up to and including its expiry date
+function isLicenceExpired(customer) {
+    return formatDateOnly(customer.licence_expiry) < formatDateOnly(new Date());
+}
+
+// --- Helper Functions: Picking Rules (FEFO) ---
+// Order lines are filled first-expiry-first-out. Expired stock is never picked; the customer's and the
+// order's rules can also require a minimum remaining shelf life, exclude batches, or a single batch per line.
+const PICKING_RULE_LABELS = {
+    expired: 'already expired',
+    min_shelf_life: 'below the minimum remaining shelf life',
+    excluded_batch: 'in excluded batches'
+};
+
+// Customer rules combined with order-level rules; order rules can only tighten the customer's
+async function getPickingRules(connection, customerId, orderRules = {}) {
+    const rules = { min_shelf_life_days: 0, single_batch_per_line: false, excluded_batch_ids: [] };
+    if (customerId) {
+        const [customerRows] = await connection.query('SELECT * FROM customers WHERE customer_id = ?', [customerId]);
+        if (customerRows.length === 0) return null;
+        const [excluded] = await connection.query('SELECT batch_id FROM customer_excluded_batches WHERE customer_id = ?', [customerId]);
+        rules.min_shelf_life_days = customerRows[0].min_shelf_life_days;
+        rules.single_batch_per_line = Boolean(customerRows[0].single_batch_per_line);
+        rules.excluded_batch_ids = excluded.map(row => row.batch_id);
+    }
+    if (orderRules.min_shelf_life_days !== undefined) {
+        rules.min_shelf_life_days = Math.max(rules.min_shelf_life_days, Number(orderRules.min_shelf_life_days));
+    }
+    if (orderRules.single_batch_per_line) rules.single_batch_per_line = true;
+    if (Array.isArray(orderRules.excluded_batch_ids)) {
+        rules.excluded_batch_ids = [...new Set([...rules.excluded_batch_ids, ...orderRules.excluded_batch_ids.map(Number)])];
+    }
+    return rules;
+}
+
+// Error message for a picking_rules body, or null if it is valid
+function validatePickingRules(pickingRules) {
+    if (pickingRules === undefined || pickingRules === null) return null;
+    const { min_shelf_life_days, single_batch_per_line, excluded_batch_ids } = pickingRules;
+    if (min_shelf_life_days !== undefined && (!Number.isInteger(Number(min_shelf_life_days)) || Number(min_shelf_life_days) < 0)) {
+        return 'min_shelf_life_days must be a whole number of days (0 or more).';
+    }
+    if (single_batch_per_line !== undefined && typeof single_batch_per_line !== 'boolean') {
+        return 'single_batch_per_line must be true or false.';
+    }
+    if (excluded_batch_ids !== undefined && (!Array.isArray(excluded_batch_ids) || excluded_batch_ids.some(id => !Number.isInteger(Number(id))))) {
+        return 'excluded_batch_ids must be a list of batch IDs.';
+    }
+    return null;
+}
+
+// Chooses the portions for one order line. portions must be in FEFO order with each batch's portions together,
+// and carry batch_id, location_id, quantity (available to pick) and days_to_expiry.
+// Returns { picks, excluded, allocatable }; excluded is the quantity each rule took out of consideration.
+function planOrderLinePicks(portions, quantity, rules) {
+    const excluded = { expired: 0, min_shelf_life: 0, excluded_batch: 0 };
+    const eligible = [];
+    for (const portion of portions) {
+        if (portion.days_to_expiry < 0) excluded.expired += portion.quantity;
+        else if (portion.days_to_expiry < rules.min_shelf_life_days) excluded.min_shelf_life += portion.quantity;
+        else if (rules.excluded_batch_ids.includes(portion.batch_id)) excluded.excluded_batch += portion.quantity;
+        else eligible.push(portion);
+    }
+
+    let candidates = eligible;
+    let allocatable = eligible.reduce((sum, portion) => sum + portion.quantity, 0);
+    if (rules.single_batch_per_line) {
+        // The earliest-expiring batch that can cover the whole line on its own
+        const batchTotals = new Map();
+        eligible.forEach(portion => batchTotals.set(portion.batch_id, (batchTotals.get(portion.batch_id) || 0) + portion.quantity));
+        const batchId = [...batchTotals.keys()].find(id => batchTotals.get(id) >= quantity);
+        candidates = batchId === undefined ? [] : eligible.filter(portion => portion.batch_id === batchId);
+        allocatable = batchId === undefined ? Math.max(0, ...batchTotals.values()) : quantity;
+    }
+
+    const picks = [];
+    let remaining = quantity;
+    for (const portion of candidates) {
+        if (remaining <= 0) break;
+        const take = Math.min(remaining, portion.quantity);
+        picks.push({ batch_id: portion.batch_id, location_id: portion.location_id, quantity: take });
+        remaining -= take;
+    }
+    return { picks: remaining > 0 ? [] : picks, excluded, allocatable: Math.min(allocatable, quantity) };
+}
+
+function describePickingShortage(productName, quantity, plan, rules) {
+    const parts = Object.entries(plan.excluded)
+        .filter(([, excludedQuantity]) => excludedQuantity > 0)
+        .map(([rule, excludedQuantity]) => rule === 'min_shelf_life'
+            ? `${excludedQuantity} with less than ${rules.min_shelf_life_days} days to expiry`
+            : `${excludedQuantity} ${PICKING_RULE_LABELS[rule]}`);
+    let message = `Insufficient stock for ${productName}. Needed ${quantity}, but only ${plan.allocatable} can be picked`;
+    if (rules.single_batch_per_line) message += ' from a single batch';
+    message += parts.length > 0 ? ` (excluded: ${parts.join(', ')}).` : '.';
+    return message;
+}
+
+// --- Helper Functions: Order State Machine ---
+// Allowed status changes. An order is Completed once every open pick is Picked; Dispatched and Cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+    'Pending': ['Completed', 'Dispatched', 'Cancelled'],
+    'Completed': ['Pending', 'Dispatched', 'Cancelled'],
+    'Dispatched': [],
+    'Cancelled': []
+};
+// Picks are only cancelled through their order (POST /orders/:orderId/cancel or status Cancelled)
+const PICK_STATUS_TRANSITIONS = {
+    'Pending Pick': ['Picked', 'Cancelled'],
+    'Picked': ['Pending Pick', 'Dispatched', 'Cancelled'],
+    'Dispatched': [],
+    'Cancelled': []
+};
+
+// Cancels up to `quantity` open units of one product on an order (every open unit when productId is null).
+// Pending picks go first: cancelling them just frees their reservation. Picked stock is returned to the
+// location it came from with an Adjustment movement. A pick that is only partly cancelled keeps the rest.
+// Returns the number of units cancelled.
+async function cancelOrderPicks(connection, orderId, { productId = null, quantity = Infinity, actor = null, reason = null }) {
+    const [picks] = await connection.query(
+        `SELECT obp.*
+         FROM order_batch_picks obp
+         JOIN batches b ON obp.batch_id = b.batch_id
+         WHERE obp.order_id = ? AND obp.status IN ('Pending Pick', 'Picked') AND (? IS NULL OR b.product_id = ?)
+         ORDER BY obp.status = 'Picked', obp.pick_id DESC
+         FOR UPDATE`,
+        [orderId, productId, productId]
+    );
+
+    let remaining = quantity;
+    for (const pick of picks) {
+        if (remaining <= 0) break;
+        const units = Math.min(remaining, pick.quantity_picked);
+
+        if (pick.status === 'Picked') {
+            const batchBefore = await getAuditSnapshot(connection, 'batch', pick.batch_id);
+            await recordStockMovement(connection, {
+                batchId: pick.batch_id, movementType: 'Adjustment', toLocationId: pick.location_id, quantity: units,
+                pickId: pick.pick_id, reference: `Order #${orderId} cancelled: pick #${pick.pick_id} returned to stock`, actor
+            });
+            await recordAudit(connection, {
+                entityType: 'batch', entityId: pick.batch_id, action: 'Update',
+                before: batchBefore, after: await getAuditSnapshot(connection, 'batch', pick.batch_id),
+                actor, reasonCode: 'Order Cancellation', reasonNotes: `Order #${orderId}`
+            });
+            await releasePickSerials(connection, pick.pick_id, { units, notes: `Order #${orderId} cancelled`, actor });
+        }
+        if (units === pick.quantity_picked) {
+            await connection.query(`UPDATE order_batch_picks SET status = 'Cancelled' WHERE pick_id = ?`, [pick.pick_id]);
+        } else {
+            await connection.query('UPDATE order_batch_picks SET quantity_picked = quantity_picked - ? WHERE pick_id = ?', [units, pick.pick_id]);
+        }
+        await recordAudit(connection, {
+            entityType: 'pick', entityId: pick.pick_id, action: 'Update',
+            before: pick, after: await getAuditSnapshot(connection, 'pick', pick.pick_id),
+            actor, reasonCode: 'Order Cancellation', reasonNotes: reason
+        });
+        remaining -= units;
+    }
+    return quantity === Infinity ? picks.reduce((sum, pick) => sum + pick.quantity_picked, 0) : quantity - remaining;
+}
+
+// --- Helper Functions: Pick Waves ---
+// A wave merges the open picks of its orders into one stop per batch and location. Stops are walked
+// zone → rack → slot, with Cold Storage stops last so picked cold stock is out of the cold room as
+// briefly as possible.
+const compareNatural = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+function buildWaveRoute(picks) {
+    const stops = new Map();
+    for (const pick of picks) {
+        const key = `${pick.batch_id}:${pick.location_id}`;
+        if (!stops.has(key)) {
+            stops.set(key, {
+                batch_id: pick.batch_id, batch_number: pick.batch_number, barcode: pick.barcode, product_name: pick.product_name, is_serialised: pick.is_serialised,
+                location_id: pick.location_id, zone: pick.zone, rack: pick.rack, slot: pick.slot, location_type: pick.location_type,
+                total_quantity: 0, picks: []
+            });
+        }
+        const stop = stops.get(key);
+        stop.total_quantity += pick.quantity_picked;
+        stop.picks.push({ pick_id: pick.pick_id, order_id: pick.order_id, quantity: pick.quantity_picked, status: pick.status });
+    }
+    return [...stops.values()]
+        .map(stop => ({ ...stop, status: stop.picks.every(p => p.status !== 'Pending Pick') ? 'Picked' : 'Pending' }))
+        .sort((a, b) => (a.location_type === 'Cold Storage') - (b.location_type === 'Cold Storage')
+            || compareNatural(a.zone, b.zone) || compareNatural(a.rack, b.rack) || compareNatural(a.slot, b.slot)
+            || compareNatural(a.batch_number, b.batch_number))
+        .map((stop, index) => ({ sequence: index + 1, ...stop }));
+}
+
+// Completes an open wave once none of its orders is still Pending (each was packed, completed or cancelled).
+// Returns true if the wave was completed now.
+async function completeWaveIfDone(connection, waveId) {
+    if (!waveId) return false;
+    const [result] = await connection.query(
+        `UPDATE pick_waves SET status = 'Completed', completed_at = NOW()
+         WHERE wave_id = ? AND status = 'Open' AND NOT EXISTS (SELECT 1 FROM orders WHERE wave_id = ? AND status = 'Pending')`,
+        [waveId, waveId]
+    );
+    return result.affectedRows > 0;
+}
+
+// Wave with its orders, walking route and the per-order split used at packing
+async function getWaveDetails(connection, waveId, forUpdate = false) {
+    const [waveRows] = await connection.query(`SELECT * FROM pick_waves WHERE wave_id = ?${forUpdate ? ' FOR UPDATE' : ''}`, [waveId]);
+    if (waveRows.length === 0) return null;
+    const wave = waveRows[0];
+
+    const [orders] = await connection.query(
+        `SELECT o.order_id, o.status, o.priority, o.requested_delivery_date, c.name AS customer_name, a.label AS ship_to_label
+         FROM orders o
+         LEFT JOIN customers c ON o.customer_id = c.customer_id
+         LEFT JOIN customer_addresses a ON o.ship_to_address_id = a.address_id
+         WHERE o.wave_id = ?
+         ORDER BY o.order_id`,
+        [waveId]
+    );
+    const [picks] = await connection.query(
+        `SELECT obp.pick_id, obp.order_id, obp.batch_id, obp.location_id, obp.quantity_picked, obp.status,
+                b.batch_number, b.barcode, p.name AS product_name, p.is_serialised,
+                sl.zone, sl.rack, sl.slot, sl.location_type
+         FROM order_batch_picks obp
+         JOIN orders o ON obp.order_id = o.order_id
+         JOIN batches b ON obp.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         LEFT JOIN storage_locations sl ON obp.location_id = sl.location_id
+         WHERE o.wave_id = ? AND obp.status <> 'Cancelled'
+         ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [waveId]
+    );
+
+    wave.orders = orders.map(order => {
+        const orderPicks = picks.filter(pick => pick.order_id === order.order_id);
+        return {
+            ...order,
+            ready_to_pack: order.status === 'Pending' && orderPicks.length > 0 && orderPicks.every(pick => pick.status !== 'Pending Pick'),
+            items: orderPicks.map(pick => ({
+                pick_id: pick.pick_id, product_name: pick.product_name, batch_number: pick.batch_number,
+                location: `${pick.zone}-${pick.rack}-${pick.slot}`, quantity: pick.quantity_picked, status: pick.status
+            }))
+        };
+    });
+    // Stops only cover orders still waiting to be picked or packed
+    wave.route = buildWaveRoute(picks.filter(pick => orders.some(order => order.order_id === pick.order_id && order.status === 'Pending')));
+    return wave;
+}
+
+// --- Helper Functions: GS1 Barcodes ---
+// GS1-128 and GS1 DataMatrix codes are a chain of Application Identifier (AI) fields. Fixed-length fields
+// run straight into the next AI; a variable-length field ends at a group separator (FNC1, sent by scanners
+// as ASCII 29) or at the end of the code. The bracketed form, e.g. (01)05012345678900(17)260630(10)LOT42,
+// is accepted too.
+const GS1_GROUP_SEPARATOR = '\x1d';
+const GS1_APPLICATION_IDENTIFIERS = {
+    '01': { name: 'gtin', length: 14 },
+    '10': { name: 'lot', maxLength: 20 },
+    '11': { name: 'production_date', length: 6, date: true },
+    '15': { name: 'best_before_date', length: 6, date: true },
+    '17': { name: 'expiry_date', length: 6, date: true },
+    '21': { name: 'serial', maxLength: 20 }
+};
+
+// GTIN-8/12/13/14 check digit (mod 10, weights 3 and 1 from the right)
+function isValidGtin(gtin) {
+    if (!/^(\d{8}|\d{12,14})$/.test(gtin)) return false;
+    const digits = gtin.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+// YYMMDD to YYYY-MM-DD. The century follows the GS1 sliding window (up to 50 years ahead, 49 behind);
+// day 00 means the last day of the month.
+function parseGs1Date(yymmdd) {
+    const [yy, mm, dd] = [0, 2, 4].map(i => Number(yymmdd.slice(i, i + 2)));
+    const currentYear = new Date().getFullYear();
+    let year = Math.floor(currentYear / 100) * 100 + yy;
+    if (year - currentYear > 50) year -= 100;
+    else if (currentYear - year >= 50) year += 100;
+    if (mm < 1 || mm > 12) return null;
+    const lastDay = new Date(year, mm, 0).getDate();
+    if (dd > lastDay) return null;
+    return `${year}-${String(mm).padStart(2, '0')}-${String(dd || lastDay).padStart(2, '0')}`;
+}
+
+// { fields: { gtin, lot, expiry_date, production_date, best_before_date, serial }, elements: [{ ai, value }] },
+// { error } for a malformed GS1 code, or null when the barcode is not a GS1 code at all
+function parseGs1Barcode(raw) {
+    let code = String(raw || '').trim();
+    const symbology = /^\](d2|C1|Q3|e0)/.test(code);
+    if (symbology) code = code.slice(3);
+    if (code.startsWith(GS1_GROUP_SEPARATOR)) code = code.slice(1);
+    const bracketed = /^\(\d{2}\)/.test(code);
+    if (!symbology && !bracketed && !/^01\d{14}/.test(code)) return null;
+    if (bracketed) {
+        code = code.replace(/\((\d{2})\)/g, (match, ai, offset) => `${offset > 0 ? GS1_GROUP_SEPARATOR : ''}${ai}`);
+    }
+
+    const fields = {};
+    const elements = [];
+    let pos = 0;
+    while (pos < code.length) {
+        if (code[pos] === GS1_GROUP_SEPARATOR) {
+            pos++;
+            continue;
+        }
+        const ai = code.slice(pos, pos + 2);
+        const definition = GS1_APPLICATION_IDENTIFIERS[ai];
+        if (!definition) return { error: `Unsupported GS1 Application Identifier (${ai}) at position ${pos + 1}.` };
+        pos += 2;
+        let value;
+        if (definition.length) {
+            value = code.slice(pos, pos + definition.length);
+            if (!new RegExp(`^\\d{${definition.length}}$`).test(value)) return { error: `GS1 field (${ai}) must be ${definition.length} digits.` };
+        } else {
+            const end = code.indexOf(GS1_GROUP_SEPARATOR, pos);
+            value = code.slice(pos, end === -1 ? code.length : end);
+            if (value.length === 0 || value.length > definition.maxLength) return { error: `GS1 field (${ai}) must be 1 to ${definition.maxLength} characters.` };
+        }
+        pos += value.length;
+        const fieldValue = definition.date ? parseGs1Date(value) : value;
+        if (!fieldValue) return { error: `GS1 field (${ai}) is not a valid YYMMDD date.` };
+        fields[definition.name] = fieldValue;
+        elements.push({ ai, value });
+    }
+    if (fields.gtin && !isValidGtin(fields.gtin)) return { error: `GTIN ${fields.gtin} has an invalid check digit.` };
+    return { fields, elements };
+}
+
+// Bracketed form of a parsed code without its serial, so every pack of a batch has the same batch barcode
+function formatGs1BatchBarcode(gs1) {
+    return gs1.elements.filter(element => element.ai !== '21').map(element => `(${element.ai})${element.value}`).join('');
+}
+
+// Batch for a scanned barcode. GS1 codes match on GTIN + lot, whichever pack (serial) was scanned; other
+// codes must equal the batch's barcode or batch number. Returns { batch, gs1 } (batch is null if none matches).
+async function findBatchByScan(connection, barcode) {
+    const gs1 = parseGs1Barcode(barcode);
+    const select = `SELECT b.*, p.name AS product_name, p.category AS product_type, p.gtin,
+                           DATEDIFF(b.expiry_date, CURDATE()) AS days_to_expiry
+                    FROM batches b JOIN products p ON b.product_id = p.product_id`;
+    if (gs1 && !gs1.error && gs1.fields.gtin && gs1.fields.lot) {
+        const [batchRows] = await connection.query(`${select} WHERE p.gtin = ? AND b.batch_number = ?`, [gs1.fields.gtin, gs1.fields.lot]);
+        return { batch: batchRows.length > 0 ? batchRows[0] : null, gs1 };
+    }
+    const [batchRows] = await connection.query(
+        `${select} WHERE b.barcode = ? OR b.batch_number = ? ORDER BY b.barcode = ? DESC`,
+        [barcode, barcode, barcode]
+    );
+    return { batch: batchRows.length > 0 ? batchRows[0] : null, gs1 };
+}
+
+// --- Helper Functions: Scan Verification ---
+// A pick is only confirmed by scanning its location label and the batch barcode. The scanned batch must be
+// the planned one or, on a single pick, a FEFO-equivalent substitute: same product, same expiry date, allowed
+// by the order's picking rules and available at the scanned location. Expired or held stock is never accepted.
+
+// Location for a scanned label (Zone-Rack-Slot) or a typed location ID, or null
+async function findLocationByCode(connection, code) {
+    const [locationRows] = await connection.query(
+        `SELECT * FROM storage_locations
+         WHERE CONCAT(zone, '-', rack, '-', slot) = ? OR location_id = ?`,
+        [code, /^\d+$/.test(code) ? Number(code) : null]
+    );
+    return locationRows.length > 0 ? locationRows[0] : null;
+}
+
+// Checks the scans for a pick. `expected` is { batch_id, location_id, quantity } and, when substitutes are
+// allowed, the pick row and its order. Returns { reason } on a mismatch, otherwise { location, batch, substitute }.
+async function verifyPickScan(connection, expected, { locationCode, barcode }, { pick = null, order = null } = {}) {
+    const location = await findLocationByCode(connection, locationCode);
+    const { batch, gs1 } = await findBatchByScan(connection, barcode);
+    const result = { location, batch, reason: null, substitute: false };
+
+    if (!location) return { ...result, reason: `No storage location matches '${locationCode}'.` };
+    if (location.is_quarantine) return { ...result, reason: `${location.zone}-${location.rack}-${location.slot} is a quarantine location; returned stock cannot be picked.` };
+    if (gs1 && gs1.error) return { ...result, reason: `Unreadable GS1 barcode: ${gs1.error}` };
+    if (!batch) return { ...result, reason: `Barcode '${barcode}' does not match any batch.` };
+    if (gs1 && gs1.fields.expiry_date && gs1.fields.expiry_date !== formatDateOnly(batch.expiry_date)) {
+        return { ...result, reason: `The pack's expiry date ${gs1.fields.expiry_date} does not match batch ${batch.batch_number} (${formatDateOnly(batch.expiry_date)}).` };
+    }
+    if (batch.days_to_expiry < 0) return { ...result, reason: `Batch ${batch.batch_number} expired on ${formatDateOnly(batch.expiry_date)}.` };
+    if (batch.status === 'On Hold') return { ...result, reason: `Batch ${batch.batch_number} is on hold${batch.hold_reason ? ` (${batch.hold_reason})` : ''}.` };
+    if (batch.status !== 'Available') {
+        return { ...result, reason: `Batch ${batch.batch_number} is ${batch.status} and cannot be picked.` };
+    }
+
+    if (batch.batch_id === expected.batch_id) {
+        return location.location_id === expected.location_id
+            ? result
+            : { ...result, reason: `Wrong location: ${location.zone}-${location.rack}-${location.slot} was scanned, but batch ${batch.batch_number} is picked from another location.` };
+    }
+
+    const [[planned]] = await connection.query('SELECT * FROM batches WHERE batch_id = ?', [expected.batch_id]);
+    const wrongBatch = `Wrong batch: ${batch.batch_number} was scanned, but the pick is for ${planned.batch_number}`;
+    if (!pick || !order) return { ...result, reason: `${wrongBatch}.` };
+    if (batch.product_id !== planned.product_id) return { ...result, reason: `${wrongBatch}, a different product.` };
+    if (formatDateOnly(batch.expiry_date) !== formatDateOnly(planned.expiry_date)) {
+        return { ...result, reason: `${wrongBatch}. Substitutes must expire on the same date (${formatDateOnly(planned.expiry_date)}), not ${formatDateOnly(batch.expiry_date)}.` };
+    }
+    if ((order.excluded_batch_ids || []).map(Number).includes(batch.batch_id)) {
+        return { ...result, reason: `${wrongBatch}. Batch ${batch.batch_number} is excluded for this order.` };
+    }
+    if (batch.days_to_expiry < order.min_shelf_life_days) {
+        return { ...result, reason: `${wrongBatch}. Batch ${batch.batch_number} is below the order's minimum shelf life of ${order.min_shelf_life_days} days.` };
+    }
+    const [otherPicks] = await connection.query(
+        `SELECT obp.batch_id, obp.location_id
+         FROM order_batch_picks obp JOIN batches b ON obp.batch_id = b.batch_id
+         WHERE obp.order_id = ? AND obp.pick_id <> ? AND obp.status <> 'Cancelled' AND b.product_id = ?`,
+        [pick.order_id, pick.pick_id, planned.product_id]
+    );
+    if (order.single_batch_per_line && otherPicks.length > 0) {
+        return { ...result, reason: `${wrongBatch}. The order needs each line from a single batch.` };
+    }
+    if (otherPicks.some(other => other.batch_id === batch.batch_id && other.location_id === location.location_id)) {
+        return { ...result, reason: `${wrongBatch}. The order already picks batch ${batch.batch_number} from this location.` };
+    }
+    // Substitute stock must be free: on hand at the scanned location and not reserved for other picks
+    const [portionRows] = await connection.query(
+        `SELECT bl.quantity - COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'), 0) AS available
+         FROM batch_locations bl
+         WHERE bl.batch_id = ? AND bl.location_id = ?
+         FOR UPDATE`,
+        [batch.batch_id, location.location_id]
+    );
+    const available = portionRows.length > 0 ? Number(portionRows[0].available) : 0;
+    if (available < expected.quantity) {
+        return { ...result, reason: `${wrongBatch}. Only ${available} unit(s) of ${batch.batch_number} are available in ${location.zone}-${location.rack}-${location.slot}; ${expected.quantity} are needed.` };
+    }
+    return { ...result, substitute: true };
+}
+
+// Writes a rejected scan to scan_mismatches. Called after the transaction is rolled back, so the entry is kept.
+async function recordScanMismatch({ pick = null, orderId = null, waveId = null, expected, scan, scanned, reason, actor }) {
+    try {
+        await pool.query(
+            `INSERT INTO scan_mismatches (pick_id, order_id, wave_id, expected_batch_id, expected_location_id,
+                                          scanned_location_code, scanned_barcode, scanned_batch_id, reason, scanned_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [pick ? pick.pick_id : null, orderId || (pick ? pick.order_id : null), waveId, expected.batch_id, expected.location_id,
+                scan.locationCode, scan.barcode, scanned && scanned.batch ? scanned.batch.batch_id : null, reason, actor.user_id]
+        );
+    } catch (err) {
+        console.error('Error recording scan mismatch:', err);
+    }
+    console.warn(`Scan mismatch by ${actor.username}: ${reason}`);
+}
+
+// Number of an order's picks that were not confirmed by scanning (orders with any cannot be dispatched)
+async function countUnverifiedPicks(connection, orderId) {
+    const [[{ unverified }]] = await connection.query(
+        `SELECT COUNT(*) AS unverified FROM order_batch_picks
+         WHERE order_id = ? AND status <> 'Cancelled' AND scan_verified_at IS NULL`,
+        [orderId]
+    );
+    return Number(unverified);
+}
+
+// Number of an order's picks from recalled batches (orders with any cannot be dispatched)
+async function countRecalledPicks(connection, orderId) {
+    const [[{ recalled }]] = await connection.query(
+        `SELECT COUNT(*) AS recalled FROM order_batch_picks obp JOIN batches b ON obp.batch_id = b.batch_id
+         WHERE obp.order_id = ? AND obp.status <> 'Cancelled' AND b.status = 'Recalled'`,
+        [orderId]
+    );
+    return Number(recalled);
+}
+
+// --- Helper Functions: Serial Numbers ---
+// Packs of products flagged is_serialised are tracked one by one (EU FMD / US DSCSA). Serials are registered
+// when a batch is received, are scanned at picking and leave with the order's dispatch. Every change is
+// written to serial_events, which is the pack's history.
+const SERIAL_STATUSES = ['Active', 'Picked', 'Dispatched', 'Returned', 'Decommissioned', 'Damaged', 'Sample'];
+
+// Manual status changes; Picked, Dispatched and Returned are only set by picking, dispatch and returns
+const SERIAL_STATUS_TRANSITIONS = {
+    'Active': ['Decommissioned', 'Damaged', 'Sample'],
+    'Damaged': ['Active', 'Decommissioned'],
+    'Sample': ['Decommissioned'],
+    'Picked': [],
+    'Dispatched': [],
+    'Returned': [],
+    'Decommissioned': []
+};
+
+// Serial numbers from a list or pasted text (one per line, or comma-separated). GS1 pack codes are reduced
+// to their serial (21) and must carry the product's GTIN and the batch's lot. Returns { serials } or { error }.
+function parseSerialList(input, product, batchNumber = null) {
+    const entries = (Array.isArray(input) ? input : String(input || '').split(/[\r\n,;]+/))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+    const serials = [];
+    for (const entry of entries) {
+        const gs1 = parseGs1Barcode(entry);
+        if (gs1 && gs1.error) return { error: `'${entry}': ${gs1.error}` };
+        if (gs1 && !gs1.fields.serial) return { error: `GS1 code '${entry}' has no serial number (21).` };
+        if (gs1 && gs1.fields.gtin && gs1.fields.gtin !== product.gtin) return { error: `GS1 code '${entry}' is not a pack of ${product.name}.` };
+        if (gs1 && gs1.fields.lot && batchNumber && gs1.fields.lot !== batchNumber) return { error: `GS1 code '${entry}' is from lot ${gs1.fields.lot}, not ${batchNumber}.` };
+        const serial = gs1 ? gs1.fields.serial : entry;
+        if (serial.length > 20) return { error: `Serial '${serial}' is longer than 20 characters.` };
+        serials.push(serial);
+    }
+    const duplicate = serials.find((serial, index) => serials.indexOf(serial) !== index);
+    if (duplicate) return { error: `Serial ${duplicate} is listed more than once.` };
+    return { serials };
+}
+
+// Sets the status of several serials and writes one event for each
+async function changeSerialStatus(connection, serialRows, toStatus, { eventType = 'Status Change', orderId, pickId, notes = null, actor = null }) {
+    if (serialRows.length === 0) return;
+    const ids = serialRows.map(serial => serial.serial_id);
+    // orderId/pickId undefined keeps the serial's current order and pick; null clears them
+    await connection.query(
+        `UPDATE serial_numbers SET status = ?,
+                order_id = ${orderId === undefined ? 'order_id' : '?'}, pick_id = ${pickId === undefined ? 'pick_id' : '?'}
+         WHERE serial_id IN (?)`,
+        [toStatus, ...(orderId === undefined ? [] : [orderId]), ...(pickId === undefined ? [] : [pickId]), ids]
+    );
+    await connection.query(
+        'INSERT INTO serial_events (serial_id, event_type, from_status, to_status, order_id, pick_id, notes, changed_by) VALUES ?',
+        [serialRows.map(serial => [
+            serial.serial_id, eventType, serial.status, toStatus,
+            orderId === undefined ? serial.order_id : orderId, pickId === undefined ? serial.pick_id : pickId,
+            notes, actor ? actor.user_id : null
+        ])]
+    );
+}
+
+// Registers serials for a batch. Never more serials than units received (or still awaiting putaway).
+// Returns { error } or { registered }.
+async function registerSerials(connection, batch, product, serials, actor) {
+    const [[counts]] = await connection.query(
+        `SELECT
+            (SELECT COUNT(*) FROM serial_numbers WHERE batch_id = ?) AS registered,
+            (SELECT COALESCE(SUM(quantity), 0) FROM stock_movements WHERE batch_id = ? AND movement_type = 'Receipt') AS received,
+            (SELECT COALESCE(SUM(quantity), 0) FROM putaway_tasks WHERE batch_id = ? AND status = 'Pending') AS awaiting_putaway`,
+        [batch.batch_id, batch.batch_id, batch.batch_id]
+    );
+    const expected = Number(counts.received) + Number(counts.awaiting_putaway);
+    if (Number(counts.registered) + serials.length > expected) {
+        return { error: `Batch ${batch.batch_number} has ${expected} unit(s) and ${counts.registered} serial(s) already; ${serials.length} more cannot be registered.` };
+    }
+    const [existing] = await connection.query(
+        'SELECT serial_number FROM serial_numbers WHERE product_id = ? AND serial_number IN (?)',
+        [product.product_id, serials]
+    );
+    if (existing.length > 0) {
+        return { error: `Serial(s) already registered for ${product.name}: ${existing.map(row => row.serial_number).join(', ')}.` };
+    }
+
+    await connection.query(
+        'INSERT INTO serial_numbers (product_id, batch_id, serial_number, registered_by) VALUES ?',
+        [serials.map(serial => [product.product_id, batch.batch_id, serial, actor.user_id])]
+    );
+    const [serialRows] = await connection.query(
+        'SELECT serial_id FROM serial_numbers WHERE product_id = ? AND serial_number IN (?)',
+        [product.product_id, serials]
+    );
+    await connection.query(
+        'INSERT INTO serial_events (serial_id, event_type, to_status, notes, changed_by) VALUES ?',
+        [serialRows.map(serial => [serial.serial_id, 'Registered', 'Active', `Batch ${batch.batch_number}`, actor.user_id])]
+    );
+    return { registered: serials.length };
+}
+
+// Marks the scanned serials as Picked for a pick. They must be Active packs of the pick's batch, one per unit.
+// Returns { error } or { serials }.
+async function assignPickSerials(connection, pick, product, serials, actor) {
+    if (serials.length !== pick.quantity_picked) {
+        return { error: `${product.name} is serialised: scan ${pick.quantity_picked} serial number(s) for this pick, not ${serials.length}.` };
+    }
+    const [serialRows] = await connection.query(
+        'SELECT * FROM serial_numbers WHERE product_id = ? AND serial_number IN (?) FOR UPDATE',
+        [product.product_id, serials]
+    );
+    const unknown = serials.filter(serial => !serialRows.some(row => row.serial_number === serial));
+    if (unknown.length > 0) return { error: `Serial(s) not registered for ${product.name}: ${unknown.join(', ')}.` };
+    const wrongBatch = serialRows.find(row => row.batch_id !== pick.batch_id);
+    if (wrongBatch) return { error: `Serial ${wrongBatch.serial_number} belongs to another batch.` };
+    const unavailable = serialRows.find(row => row.status !== 'Active');
+    if (unavailable) return { error: `Serial ${unavailable.serial_number} is ${unavailable.status} and cannot be picked.` };
+
+    await changeSerialStatus(connection, serialRows, 'Picked', { eventType: 'Picked', orderId: pick.order_id, pickId: pick.pick_id, actor });
+    return { serials: serialRows };
+}
+
+// Puts the serials of a pick back to Active (the last `units` picked, or all of them)
+async function releasePickSerials(connection, pickId, { units = null, notes = null, actor = null } = {}) {
+    const [serialRows] = await connection.query(
+        `SELECT * FROM serial_numbers WHERE pick_id = ? AND status = 'Picked'
+         ORDER BY serial_id DESC ${units ? 'LIMIT ?' : ''} FOR UPDATE`,
+        units ? [pickId, units] : [pickId]
+    );
+    await changeSerialStatus(connection, serialRows, 'Active', { eventType: 'Unpicked', orderId: null, pickId: null, notes, actor });
+}
+
+// Picks of serialised products on an order that do not have one picked serial per unit
+async function countPicksMissingSerials(connection, orderId) {
+    const [[{ missing }]] = await connection.query(
+        `SELECT COUNT(*) AS missing
+         FROM order_batch_picks obp
+         JOIN batches b ON obp.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         WHERE obp.order_id = ? AND obp.status IN ('Picked', 'Dispatched') AND p.is_serialised
+           AND (SELECT COUNT(*) FROM serial_numbers sn WHERE sn.pick_id = obp.pick_id) <> obp.quantity_picked`,
+        [orderId]
+    );
+    return Number(missing);
+}
+
+// --- Helper Functions: Dispatch Documents ---
+// Each dispatch has a print-ready packing list / delivery note built from its order's picks. Lines of
+// Cold Storage products carry the cold-chain handling instructions, using the temperature range of the
+// locations they were picked from.
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Dispatch with its order, customer, ship-to address and lines, or null
+async function getDispatchDocument(connection, dispatchId) {
+    const [dispatchRows] = await connection.query(
+        `SELECT d.*, o.order_date, o.priority, o.requested_delivery_date,
+                c.name AS customer_name, c.contact_name, c.contact_phone, c.licence_number,
+                a.label AS ship_to_label, a.address_line1, a.address_line2, a.city, a.postcode, a.country
+         FROM dispatches d
+         JOIN orders o ON d.order_id = o.order_id
+         LEFT JOIN customers c ON o.customer_id = c.customer_id
+         LEFT JOIN customer_addresses a ON o.ship_to_address_id = a.address_id
+         WHERE d.dispatch_id = ?`,
+        [dispatchId]
+    );
+    if (dispatchRows.length === 0) return null;
+    const dispatch = dispatchRows[0];
+
+    const [lines] = await connection.query(
+        `SELECT obp.pick_id, obp.quantity_picked, p.name AS product_name, p.category, p.is_serialised,
+                b.batch_number, b.expiry_date, sl.zone, sl.rack, sl.slot, sl.min_temp, sl.max_temp
+         FROM order_batch_picks obp
+         JOIN batches b ON obp.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         LEFT JOIN storage_locations sl ON obp.location_id = sl.location_id
+         WHERE obp.order_id = ? AND obp.status IN ('Picked', 'Dispatched')
+         ORDER BY p.name, b.expiry_date, obp.pick_id`,
+        [dispatch.order_id]
+    );
+    for (const line of lines.filter(line => line.is_serialised)) {
+        const [serials] = await connection.query('SELECT serial_number FROM serial_numbers WHERE pick_id = ? ORDER BY serial_number', [line.pick_id]);
+        line.serial_numbers = serials.map(serial => serial.serial_number);
+    }
+    dispatch.lines = lines;
+    return dispatch;
+}
+
+// Range the Cold Storage lines must stay in: the narrowest range of their source locations, or null when there are none
+function getColdChainRange(lines) {
+    const coldLines = lines.filter(line => line.category === 'Cold Storage');
+    if (coldLines.length === 0) return null;
+    const mins = coldLines.map(line => line.min_temp).filter(t => t !== null).map(Number);
+    const maxes = coldLines.map(line => line.max_temp).filter(t => t !== null).map(Number);
+    return {
+        min: mins.length > 0 ? Math.max(...mins) : DEFAULT_COLD_CHAIN_RANGE.min,
+        max: maxes.length > 0 ? Math.min(...maxes) : DEFAULT_COLD_CHAIN_RANGE.max
+    };
+}
+
+// Cold-chain instructions for the Cold Storage lines, or null
+function describeColdChainHandling(lines) {
+    const range = getColdChainRange(lines);
+    if (!range) return null;
+    return [
+        `Keep the items marked ❄ between ${range.min} °C and ${range.max} °C at all times, including during transport and on receipt.`,
+        'Pack them in a validated insulated shipper with conditioned cold packs. Do not let them touch frozen packs, and do not freeze.',
+        'Load them last and deliver them first. On receipt, move them into refrigerated storage straight away.',
+        'Report any temperature excursion or damaged packaging to the warehouse before using the stock.'
+    ];
+}
+
+function renderDispatchDocument(dispatch) {
+    const shipTo = [dispatch.address_line1, dispatch.address_line2, dispatch.city, dispatch.postcode, dispatch.country].filter(Boolean);
+    const coldChain = describeColdChainHandling(dispatch.lines);
+    const totalUnits = dispatch.lines.reduce((sum, line) => sum + line.quantity_picked, 0);
+    const rows = dispatch.lines.map((line, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(line.product_name)}${line.category === 'Cold Storage' ? ' ❄' : ''}
+                ${line.serial_numbers && line.serial_numbers.length > 0 ? `<div class="serials">Serials: ${line.serial_numbers.map(escapeHtml).join(', ')}</div>` : ''}</td>
+            <td>${escapeHtml(line.batch_number)}</td>
+            <td>${formatDateOnly(line.expiry_date)}</td>
+            <td class="num">${line.quantity_picked}</td>
+            <td>${line.zone ? escapeHtml(`${line.zone}-${line.rack}-${line.slot}`) : 'N/A'}</td>
+            <td class="check"></td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Delivery Note – Dispatch #${dispatch.dispatch_id}</title>
+<style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #111; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .header, .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 16px; }
+    .parties div { flex: 1; border: 1px solid #999; padding: 8px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .num { text-align: right; }
+    .check { width: 60px; }
+    .serials { font-size: 10px; color: #444; margin-top: 2px; }
+    .cold-chain { border: 2px solid #1d4ed8; padding: 8px; margin-bottom: 16px; }
+    .signatures { display: flex; gap: 24px; margin-top: 32px; }
+    .signatures div { flex: 1; border-top: 1px solid #111; padding-top: 4px; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="header">
+    <div>
+        <h1>Packing List / Delivery Note</h1>
+        <div>Dispatch #${dispatch.dispatch_id} · Order #${dispatch.order_id}${dispatch.priority && dispatch.priority !== 'Normal' ? ` · ${escapeHtml(dispatch.priority)} priority` : ''}</div>
+    </div>
+    <div>
+        <div>Dispatch date: ${formatDateOnly(dispatch.dispatch_date)}</div>
+        <div>Order date: ${formatDateOnly(dispatch.order_date)}</div>
+        ${dispatch.requested_delivery_date ? `<div>Requested delivery: ${formatDateOnly(dispatch.requested_delivery_date)}</div>` : ''}
+        <div>Dispatched by: ${escapeHtml(dispatch.dispatched_by)}</div>
+    </div>
+</div>
+<div class="parties">
+    <div><strong>From</strong><br>${escapeHtml(WAREHOUSE_NAME)}${WAREHOUSE_ADDRESS ? `<br>${escapeHtml(WAREHOUSE_ADDRESS)}` : ''}</div>
+    <div><strong>Deliver to</strong><br>${escapeHtml(dispatch.customer_name || 'N/A')}${dispatch.ship_to_label ? ` – ${escapeHtml(dispatch.ship_to_label)}` : ''}
+        ${shipTo.map(part => `<br>${escapeHtml(part)}`).join('')}
+        ${dispatch.contact_name ? `<br>Contact: ${escapeHtml(dispatch.contact_name)}${dispatch.contact_phone ? `, ${escapeHtml(dispatch.contact_phone)}` : ''}` : ''}
+        ${dispatch.licence_number ? `<br>Licence: ${escapeHtml(dispatch.licence_number)}` : ''}</div>
+</div>
+<table>
+    <thead><tr><th>#</th><th>Product</th><th>Batch</th><th>Expiry</th><th class="num">Qty</th><th>Picked From</th><th>Checked</th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="7">No picked items.</td></tr>'}</tbody>
+    <tfoot><tr><th colspan="4">Total units</th><th class="num">${totalUnits}</th><th colspan="2"></th></tr></tfoot>
+</table>
+${coldChain ? `<div class="cold-chain"><strong>❄ Cold-chain handling</strong>
+    <div>Shipper: ${escapeHtml(dispatch.shipper_type || 'N/A')} · Cool packs: ${escapeHtml(dispatch.coolant || 'N/A')} · Data logger: ${escapeHtml(dispatch.logger_id || 'N/A')}</div>
+    <ul>${coldChain.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>
+    ${dispatch.logger_id ? '<div>Stop the data logger on receipt and return it, or its readings, to the warehouse.</div>' : ''}</div>` : ''}
+<div class="signatures">
+    <div>Packed by</div>
+    <div>Checked by</div>
+    <div>Received by (name, signature, date)</div>
+</div>
+</body>
+</html>`;
+}
+
+// --- Helper Functions: Shipment Temperature Loggers ---
+// Cold Storage orders leave with a data logger. After delivery its CSV export is uploaded against the
+// dispatch, stored in shipment_temperature_logs and checked against the range recorded at dispatch.
+
+// Picked lines of an order with the temperature range of the locations they came from
+async function getOrderColdChainRange(connection, orderId) {
+    const [lines] = await connection.query(
+        `SELECT p.category, sl.min_temp, sl.max_temp
+         FROM order_batch_picks obp
+         JOIN batches b ON obp.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         LEFT JOIN storage_locations sl ON obp.location_id = sl.location_id
+         WHERE obp.order_id = ? AND obp.status IN ('Picked', 'Dispatched')`,
+        [orderId]
+    );
+    return getColdChainRange(lines);
+}
+
+// Logger timestamps: ISO (2025-06-07 14:30[:00], taken as server local time unless it carries a zone)
+// or day-first (07/06/2025 14:30[:00], as most European loggers export). Returns a Date or null.
+function parseLoggerTimestamp(text) {
+    const value = String(text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) {
+        const dayFirst = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (dayFirst) match = [dayFirst[0], dayFirst[3], dayFirst[2], dayFirst[1], dayFirst[4], dayFirst[5], dayFirst[6]];
+    }
+    if (match) {
+        const [, year, month, day, hour, minute, second] = match.map(Number);
+        const date = new Date(year, month - 1, day, hour, minute, second || 0);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Delimiter of a logger CSV line: semicolon (decimal commas allowed), tab or comma
+function getLoggerDelimiter(line) {
+    return [';', '\t', ','].find(d => line.includes(d)) || ',';
+}
+
+// Whether a logger CSV line looks like a reading: a timestamp (or a date and a time cell) and a number
+function isLoggerReadingLine(line) {
+    const delimiter = getLoggerDelimiter(line);
+    const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    const timestampAt = cells.findIndex((cell, index) => parseLoggerTimestamp(cell) || parseLoggerTimestamp(`${cell} ${cells[index + 1]}`));
+    if (timestampAt < 0) return false;
+    return cells.some((cell, index) => index > timestampAt && cell !== '' && !isNaN(delimiter === ';' ? cell.replace(',', '.') : cell));
+}
+
+// Whether a logger CSV line is a column header: a temperature cell and a separate date, time or timestamp cell
+function isLoggerHeaderLine(line) {
+    const cells = line.split(getLoggerDelimiter(line)).map(cell => cell.trim());
+    const temperatureAt = cells.findIndex(cell => /temp/i.test(cell));
+    return temperatureAt >= 0 && cells.some((cell, index) => index !== temperatureAt && /date|time/i.test(cell));
+}
+
+// Parses a logger CSV into { readings: [{ timestamp, temperature_reading, humidity_reading }], skipped } or { error }.
+// Device information lines before the header are ignored, even when they mention a temperature and a time
+// ("Alarm Temp: 8, Start Time: ..."): the header is the last line before the first reading that has a temperature
+// cell and a date or time cell (date and time may be separate columns). Without a header the columns are read as
+// timestamp, temperature[, humidity]. Semicolon-separated files may use decimal commas, and °F is converted.
+function parseLoggerCsv(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return { error: 'The file is empty.' };
+
+    const firstReadingIndex = lines.findIndex(isLoggerReadingLine);
+    const preamble = firstReadingIndex >= 0 ? lines.slice(0, firstReadingIndex) : lines;
+    let headerIndex = -1;
+    preamble.forEach((line, index) => { if (isLoggerHeaderLine(line)) headerIndex = index; });
+    const delimiter = getLoggerDelimiter(headerIndex >= 0 ? lines[headerIndex] : lines[Math.max(firstReadingIndex, 0)]);
+    const splitRow = (line) => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    const toNumber = (cell) => {
+        const value = delimiter === ';' ? String(cell || '').replace(',', '.') : String(cell || '');
+        return value.trim() !== '' && !isNaN(value) ? Number(value) : null;
+    };
+
+    let columns = { timestamp: 0, date: -1, time: -1, temperature: 1, humidity: 2 };
+    let fahrenheit = false;
+    if (headerIndex >= 0) {
+        const header = splitRow(lines[headerIndex]);
+        const find = (pattern) => header.findIndex(cell => pattern.test(cell));
+        columns = {
+            timestamp: find(/timestamp|date\s*[/&-]?\s*time|^time\s*stamp/i),
+            date: find(/^date\b/i),
+            time: find(/^time\b/i),
+            temperature: find(/temp/i),
+            humidity: find(/hum|\brh\b|%\s*rh/i)
+        };
+        if (columns.timestamp < 0 && (columns.date < 0 || columns.time < 0)) {
+            columns.timestamp = Math.max(columns.date, columns.time); // A single "Date" or "Time" column holding both
+        }
+        fahrenheit = /°\s*F|\(F\)|fahrenheit/i.test(header[columns.temperature]);
+    }
+
+    const readings = [];
+    let skipped = 0;
+    for (const line of lines.slice(headerIndex >= 0 ? headerIndex + 1 : Math.max(firstReadingIndex, 0))) {
+        const cells = splitRow(line);
+        const timestamp = parseLoggerTimestamp(columns.timestamp >= 0 ? cells[columns.timestamp] : `${cells[columns.date]} ${cells[columns.time]}`);
+        let temperature = toNumber(cells[columns.temperature]);
+        const humidity = columns.humidity >= 0 ? toNumber(cells[columns.humidity]) : null;
+        if (temperature !== null && fahrenheit) temperature = Math.round((temperature - 32) * 5 / 9 * 100) / 100;
+        if (!timestamp || temperature === null || Math.abs(temperature) >= 1000 || (humidity !== null && (humidity < 0 || humidity > 100))) {
+            skipped++;
+            continue;
+        }
+        readings.push({ timestamp, temperature_reading: temperature, humidity_reading: humidity });
+    }
+    if (readings.length === 0) return { error: 'No readings could be read from the file.' };
+    readings.sort((a, b) => a.timestamp - b.timestamp);
+    return { readings, skipped };
+}
+
+// Result of a shipment's readings against its range. A reading outside the range counts until the next reading.
+function summariseShipmentReadings(readings, minTemp, maxTemp) {
+    const outOfRange = (reading) => (minTemp !== null && reading.temperature_reading < minTemp) || (maxTemp !== null && reading.temperature_reading > maxTemp);
+    let outOfRangeReadings = 0;
+    let outOfRangeMs = 0;
+    readings.forEach((reading, index) => {
+        if (!outOfRange(reading)) return;
+        outOfRangeReadings++;
+        if (index + 1 < readings.length) outOfRangeMs += readings[index + 1].timestamp - reading.timestamp;
+    });
+    // Not Math.min(...temperatures): a large upload has more readings than a call can take as arguments
+    const lowest = readings.reduce((min, reading) => Math.min(min, reading.temperature_reading), Infinity);
+    const highest = readings.reduce((max, reading) => Math.max(max, reading.temperature_reading), -Infinity);
+    return {
+        reading_count: readings.length,
+        first_reading_at: readings[0].timestamp,
+        last_reading_at: readings[readings.length - 1].timestamp,
+        min_temp: lowest,
+        max_temp: highest,
+        out_of_range_readings: outOfRangeReadings,
+        out_of_range_minutes: Math.round(outOfRangeMs / 60000),
+        shipment_status: outOfRangeReadings > 0 ? 'Excursion' : 'Within Range'
+    };
+}
+
+// --- Helper Functions: Customer Returns ---
+// Returned goods are booked against the picks they were dispatched with, never more than was dispatched.
+// They enter a quarantine location (a Return movement), where they are on hand but never available, until
+// QA decides each line: restock through smart allocation, destroy, or send back to the supplier.
+const RETURN_REASONS = ['Damaged in Transit', 'Wrong Item', 'Excess Stock', 'Short Dated', 'Temperature Excursion', 'Recall', 'Other'];
+const RETURN_DECISIONS = {
+    'Restock': { lineStatus: 'Restocked', movementType: 'Transfer', serialStatus: 'Active' },
+    'Destroy': { lineStatus: 'Destroyed', movementType: 'Write-off', serialStatus: 'Decommissioned' },
+    'Return to Supplier': { lineStatus: 'Returned to Supplier', movementType: 'Supplier Return', serialStatus: 'Decommissioned' }
+};
+
+// The quarantine location asked for, or the matching one with the most room. Returns { location } or { reason }.
+async function chooseQuarantineLocation(connection, product, quantity, locationId = null) {
+    const locations = await getAllocationLocations(connection, locationId);
+    if (locations.length === 0) return { reason: `Location ${locationId} not found` };
+    const checked = locations.map(loc => ({
+        loc,
+        reason: getLocationRejection(loc, product, { quarantine: true }) ||
+            (loc.free_capacity < quantity ? `Location only has room for ${loc.free_capacity} more units` : null)
+    }));
+    if (locationId) return checked[0].reason ? { reason: checked[0].reason } : { location: checked[0].loc };
+    const usable = checked.filter(entry => !entry.reason).map(entry => entry.loc).sort((a, b) => freeSpace(b) - freeSpace(a));
+    return usable.length > 0 ? { location: usable[0] } : { reason: `No ${product.category} quarantine location has room for ${quantity} units` };
+}
+
+// Returns with their customer and lines, newest first
+async function getReturns(connection, { returnId = null, status = null, orderId = null } = {}) {
+    const [returns] = await connection.query(
+        `SELECT r.*, c.name AS customer_name, u.full_name AS received_by_name
+         FROM returns r
+         JOIN orders o ON r.order_id = o.order_id
+         LEFT JOIN customers c ON o.customer_id = c.customer_id
+         LEFT JOIN users u ON r.received_by = u.user_id
+         WHERE (? IS NULL OR r.return_id = ?) AND (? IS NULL OR r.status = ?) AND (? IS NULL OR r.order_id = ?)
+         ORDER BY r.return_id DESC`,
+        [returnId, returnId, status, status, orderId, orderId]
+    );
+    if (returns.length === 0) return [];
+    const [lines] = await connection.query(
+        `SELECT rl.*, p.name AS product_name, p.category, b.batch_number, b.expiry_date,
+                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS quarantine_location, u.full_name AS decided_by_name
+         FROM return_lines rl
+         JOIN batches b ON rl.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         JOIN storage_locations sl ON rl.quarantine_location_id = sl.location_id
+         LEFT JOIN users u ON rl.decided_by = u.user_id
+         WHERE rl.return_id IN (?)
+         ORDER BY rl.line_id`,
+        [returns.map(ret => ret.return_id)]
+    );
+    returns.forEach(ret => { ret.lines = lines.filter(line => line.return_id === ret.return_id); });
+    return returns;
+}
+
+// --- Helper Functions: Recalls ---
+// A recall covers one batch or a product's lots from lot_from to lot_to. Starting it marks the batches Recalled,
+// which keeps their remaining stock out of allocation, picking and dispatch for good. Each dispatch that carried
+// them becomes a recall shipment, open until the customer has acknowledged the notice and the stock has come
+// back as a customer return (or the customer has destroyed it on site).
+
+// Return status of a recall shipment from the quantity dispatched and the quantity returned against its picks
+function describeRecallReturnStatus(shipment) {
+    if (shipment.destroyed_on_site_at) return 'Destroyed On Site';
+    if (shipment.returned >= shipment.quantity) return 'Returned';
+    return shipment.returned > 0 ? 'Partially Returned' : 'Awaiting Return';
+}
+
+// A recall with its batches, every shipment of them (recipient, dates, quantities, acknowledgement and return status)
+// and the picks of them still in the warehouse on undispatched orders. Null if it does not exist.
+async function getRecallDetail(connection, recallId) {
+    const [recallRows] = await connection.query(
+        `SELECT r.*, p.name AS product_name, p.gtin, u.full_name AS initiated_by_name, cu.full_name AS closed_by_name
+         FROM recalls r
+         JOIN products p ON r.product_id = p.product_id
+         LEFT JOIN users u ON r.initiated_by = u.user_id
+         LEFT JOIN users cu ON r.closed_by = cu.user_id
+         WHERE r.recall_id = ?`,
+        [recallId]
+    );
+    if (recallRows.length === 0) return null;
+    const recall = recallRows[0];
+
+    const [batches] = await connection.query(
+        `SELECT rb.batch_id, rb.status_before, b.batch_number, b.expiry_date, b.status, s.on_hand, s.quarantined
+         FROM recall_batches rb
+         JOIN batches b ON rb.batch_id = b.batch_id
+         JOIN batch_stock s ON b.batch_id = s.batch_id
+         WHERE rb.recall_id = ?
+         ORDER BY b.batch_number`,
+        [recallId]
+    );
+    recall.batches = batches.map(batch => ({ ...batch, on_hand: Number(batch.on_hand), quarantined: Number(batch.quarantined) }));
+
+    const [picks] = await connection.query(
+        `SELECT obp.pick_id, obp.order_id, obp.quantity_picked, obp.status, b.batch_id, b.batch_number, b.expiry_date,
+                c.name AS customer_name,
+                (SELECT COALESCE(SUM(rl.quantity), 0) FROM return_lines rl WHERE rl.pick_id = obp.pick_id) AS returned
+         FROM order_batch_picks obp
+         JOIN recall_batches rb ON rb.batch_id = obp.batch_id AND rb.recall_id = ?
+         JOIN batches b ON obp.batch_id = b.batch_id
+         JOIN orders o ON obp.order_id = o.order_id
+         LEFT JOIN customers c ON o.customer_id = c.customer_id
+         WHERE obp.status <> 'Cancelled'
+         ORDER BY obp.order_id, b.batch_number`,
+        [recallId]
+    );
+    picks.forEach(pick => { pick.returned = Number(pick.returned); });
+
+    const [shipments] = await connection.query(
+        `SELECT rs.*, d.dispatch_date, d.dispatched_by, o.order_date,
+                c.name AS customer_name, c.licence_number, c.contact_name, c.contact_phone, c.contact_email,
+                CONCAT_WS(', ', a.address_line1, a.address_line2, a.city, a.postcode, a.country) AS ship_to_address,
+                ua.full_name AS acknowledged_by_name, ud.full_name AS destroyed_on_site_by_name
+         FROM recall_shipments rs
+         JOIN dispatches d ON rs.dispatch_id = d.dispatch_id
+         JOIN orders o ON rs.order_id = o.order_id
+         LEFT JOIN customers c ON o.customer_id = c.customer_id
+         LEFT JOIN customer_addresses a ON o.ship_to_address_id = a.address_id
+         LEFT JOIN users ua ON rs.acknowledged_by = ua.user_id
+         LEFT JOIN users ud ON rs.destroyed_on_site_by = ud.user_id
+         WHERE rs.recall_id = ?
+         ORDER BY d.dispatch_date, rs.dispatch_id`,
+        [recallId]
+    );
+    shipments.forEach(shipment => {
+        shipment.lines = picks.filter(pick => pick.order_id === shipment.order_id);
+        shipment.quantity = shipment.lines.reduce((sum, line) => sum + line.quantity_picked, 0);
+        shipment.returned = shipment.lines.reduce((sum, line) => sum + line.returned, 0);
+        shipment.return_status = describeRecallReturnStatus(shipment);
+    });
+    recall.shipments = shipments;
+    recall.open_picks = picks.filter(pick => !shipments.some(shipment => shipment.order_id === pick.order_id));
+    return recall;
+}
+
+// One CSV line. Values are quoted when needed, and text that a spreadsheet would read as a formula is prefixed with '.
+function toCsvRow(values) {
+    return values.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+// YYYY-MM-DD HH:MM for a DATETIME column
+function formatDateTime(value) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(value);
+    return `${formatDateOnly(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// The recall report: one row per recalled batch shipped to each customer, then stock not yet dispatched
+function buildRecallReportCsv(recall) {
+    let csv = toCsvRow([
+        'Recall', 'Reference', 'Product', 'GTIN', 'Batch', 'Expiry Date', 'Type', 'Order', 'Dispatch', 'Dispatch Date',
+        'Customer', 'Licence', 'Ship To', 'Contact', 'Phone', 'Email', 'Quantity', 'Returned',
+        'Acknowledged At', 'Acknowledged By', 'Return Status'
+    ]);
+    const head = [recall.recall_id, recall.reference, recall.product_name, recall.gtin];
+    recall.shipments.forEach(shipment => {
+        shipment.lines.forEach(line => {
+            csv += toCsvRow([
+                ...head, line.batch_number, formatDateOnly(line.expiry_date), 'Dispatched', shipment.order_id, shipment.dispatch_id,
+                formatDateOnly(shipment.dispatch_date), shipment.customer_name, shipment.licence_number, shipment.ship_to_address,
+                shipment.contact_name, shipment.contact_phone, shipment.contact_email, line.quantity_picked, line.returned,
+                formatDateTime(shipment.acknowledged_at), shipment.acknowledged_contact, shipment.return_status
+            ]);
+        });
+    });
+    recall.open_picks.forEach(pick => {
+        csv += toCsvRow([
+            ...head, pick.batch_number, formatDateOnly(pick.expiry_date), `Not Dispatched (${pick.status})`, pick.order_id, '', '',
+            pick.customer_name, '', '', '', '', '', pick.quantity_picked, '', '', '', ''
+        ]);
+    });
+    recall.batches.forEach(batch => {
+        csv += toCsvRow([
+            ...head, batch.batch_number, formatDateOnly(batch.expiry_date), 'In Warehouse', '', '', '',
+            '', '', '', '', '', '', batch.on_hand, '', '', '', batch.quarantined > 0 ? `${batch.quarantined} returned to quarantine` : ''
+        ]);
+    });
+    return csv;
+}
+
+// --- Helper Functions: Cycle Counts ---
+// A cycle count lists every batch held in a zone, a rack or the locations of one ABC class. Counters enter
+// what they find without seeing the system quantity. The variance is worked out when the count is entered;
+// small ones are posted at once as Adjustment movements, larger ones wait for a supervisor (admin or QA)
+// other than the counter to approve them or send the line back for a recount.
+const COUNT_VARIANCE_THRESHOLD_PCT = Number(process.env.COUNT_VARIANCE_THRESHOLD_PCT || 5);
+const ABC_PICK_WINDOW_DAYS = 90; // Pick frequency is measured over this many days
+const ABC_CLASS_LIMITS = { A: 80, B: 95 }; // Cumulative share (%) of picks covered by class A, then by classes A and B
+const COUNT_DECISIONS = ['Approve', 'Recount'];
+
+// Products by pick frequency (Pick movements in the ledger), most picked first, each with its ABC class.
+// Products never picked are class C.
+async function classifyProductsByPickFrequency(connection) {
+    const [products] = await connection.query(
+        `SELECT p.product_id, p.name, COUNT(sm.movement_id) AS pick_count
+         FROM products p
+         LEFT JOIN batches b ON b.product_id = p.product_id
+         LEFT JOIN stock_movements sm ON sm.batch_id = b.batch_id AND sm.movement_type = 'Pick'
+              AND sm.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         GROUP BY p.product_id, p.name
+         ORDER BY pick_count DESC, p.name`,
+        [ABC_PICK_WINDOW_DAYS]
+    );
+    const totalPicks = products.reduce((sum, product) => sum + Number(product.pick_count), 0);
+    let picksBefore = 0;
+    return products.map(product => {
+        const pickCount = Number(product.pick_count);
+        const shareBefore = totalPicks > 0 ? (picksBefore / totalPicks) * 100 : 100;
+        picksBefore += pickCount;
+        const abcClass = pickCount === 0 ? 'C' : shareBefore < ABC_CLASS_LIMITS.A ? 'A' : shareBefore < ABC_CLASS_LIMITS.B ? 'B' : 'C';
+        return { ...product, pick_count: pickCount, abc_class: abcClass };
+    });
+}
+
+// A variance needs approval when it is above the threshold share of the system quantity (any stock found where none was expected does)
+function countNeedsApproval(systemQuantity, variance, thresholdPct) {
+    if (variance === 0) return false;
+    return systemQuantity === 0 || (Math.abs(variance) / systemQuantity) * 100 > thresholdPct;
+}
+
+// Cycle counts with their lines. Lines still to be counted never show the system quantity or variance, whoever asks;
+// counters (blind) do not get them on any line.
+async function getCycleCounts(connection, { countId = null, status = null, blind = false } = {}) {
+    const [counts] = await connection.query(
+        `SELECT cc.*, u.full_name AS created_by_name
+         FROM cycle_counts cc LEFT JOIN users u ON cc.created_by = u.user_id
+         WHERE (? IS NULL OR cc.count_id = ?) AND (? IS NULL OR cc.status = ?)
+         ORDER BY cc.count_id DESC`,
+        [countId, countId, status, status]
+    );
+    if (counts.length === 0) return [];
+    const [lines] = await connection.query(
+        `SELECT l.*, CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name, b.batch_number, b.expiry_date,
+                p.name AS product_name, uc.full_name AS counted_by_name, ua.full_name AS approved_by_name
+         FROM cycle_count_lines l
+         JOIN storage_locations sl ON l.location_id = sl.location_id
+         JOIN batches b ON l.batch_id = b.batch_id
+         JOIN products p ON b.product_id = p.product_id
+         LEFT JOIN users uc ON l.counted_by = uc.user_id
+         LEFT JOIN users ua ON l.approved_by = ua.user_id
+         WHERE l.count_id IN (?)
+         ORDER BY sl.zone, sl.rack, sl.slot, b.batch_number`,
+        [counts.map(count => count.count_id)]
+    );
+    counts.forEach(count => {
+        count.lines = lines
+            .filter(line => line.count_id === count.count_id)
+            .map(line => (blind || line.status === 'Pending' ? { ...line, system_quantity: undefined, variance: undefined } : line));
+        count.pending_lines = count.lines.filter(line => line.status === 'Pending').length;
+        count.awaiting_approval = count.lines.filter(line => line.status === 'Awaiting Approval').length;
+    });
+    return counts;
+}
+
+// The batch's quantity in a location and how much of it is allocated to pending picks (locked, like POST /transfers)
+async function getCountedPortion(connection, batchId, locationId) {
+    const [portionRows] = await connection.query(
+        `SELECT bl.quantity,
+                COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                          WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'), 0) AS pending_picks
+         FROM batch_locations bl
+         WHERE bl.batch_id = ? AND bl.location_id = ?
+         FOR UPDATE`,
+        [batchId, locationId]
+    );
+    return portionRows.length > 0
+        ? { quantity: portionRows[0].quantity, pendingPicks: Number(portionRows[0].pending_picks) }
+        : { quantity: 0, pendingPicks: 0 };
+}
+
+// Books a counted variance against the batch's portion in the counted location. Returns { error } if a shortage
+// would leave less than the pending picks there need (those picks must be cancelled or re-allocated first),
+// or more than the location now holds.
+async function postCountAdjustment(connection, line, { reasonCode, reasonNotes, actor }) {
+    const [[batch]] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [line.batch_id]);
+    const portion = await getCountedPortion(connection, line.batch_id, line.location_id);
+    if (line.variance < 0 && portion.quantity + line.variance < portion.pendingPicks) {
+        return {
+            error: `Removing ${-line.variance} units would leave ${Math.max(portion.quantity + line.variance, 0)} of batch ${batch.batch_number} in location ${line.location_id}, `
+                + `but ${portion.pendingPicks} are allocated to pending picks. Cancel or re-allocate those picks first, or recount the line.`
+        };
+    }
+    await recordStockMovement(connection, {
+        batchId: line.batch_id, movementType: 'Adjustment',
+        fromLocationId: line.variance < 0 ? line.location_id : null,
+        toLocationId: line.variance > 0 ? line.location_id : null,
+        quantity: Math.abs(line.variance),
+        reference: `Cycle count #${line.count_id}: ${reasonCode}${reasonNotes ? `: ${reasonNotes}` : ''}`, actor
+    });
+    await recordAudit(connection, {
+        entityType: 'batch', entityId: line.batch_id, action: 'Update',
+        before: batch, after: await getAuditSnapshot(connection, 'batch', line.batch_id),
+        actor, reasonCode, reasonNotes: reasonNotes || `Cycle count #${line.count_id}`
+    });
+    return {};
+}
+
+// Records a blind count for a line and compares it with the system quantity at that moment.
+// A shortage that would cut into stock allocated to pending picks is never posted automatically.
+// Returns the line's new status, or { error } if the adjustment could not be posted.
+async function recordCountResult(connection, count, line, countedQuantity, actor) {
+    await connection.query('SELECT batch_id FROM batches WHERE batch_id = ? FOR UPDATE', [line.batch_id]);
+    const portion = await getCountedPortion(connection, line.batch_id, line.location_id);
+    const systemQuantity = portion.quantity;
+    const variance = countedQuantity - systemQuantity;
+    const needsApproval = countNeedsApproval(systemQuantity, variance, Number(count.variance_threshold_pct)) || countedQuantity < portion.pendingPicks;
+    const status = variance === 0 ? 'Matched' : needsApproval ? 'Awaiting Approval' : 'Adjusted';
+    const reasonCode = status === 'Adjusted' ? 'Stock Count Adjustment' : null;
+
+    await connection.query(
+        `UPDATE cycle_count_lines
+         SET status = ?, system_quantity = ?, counted_quantity = ?, variance = ?, counted_by = ?, counted_at = NOW(), reason_code = ?
+         WHERE line_id = ?`,
+        [status, systemQuantity, countedQuantity, variance, actor.user_id, reasonCode, line.line_id]
+    );
+    if (status === 'Adjusted') {
+        const posted = await postCountAdjustment(connection, { ...line, variance }, { reasonCode, reasonNotes: null, actor });
+        if (posted.error) return posted;
+    }
+    return { status };
+}
+
+// Completes a count once none of its lines are still to be counted or approved
+async function completeCycleCountIfDone(connection, countId) {
+    await connection.query(
+        `UPDATE cycle_counts SET status = 'Completed', completed_at = NOW()
+         WHERE count_id = ? AND status = 'Open'
+           AND NOT EXISTS (SELECT 1 FROM cycle_count_lines WHERE count_id = ? AND status IN ('Pending', 'Awaiting Approval'))`,
+        [countId, countId]
+    );
+}
+
+// --- Helper Functions: Alert Rules ---
+// Shared by the /alerts/* endpoints and the alert engine so both report exactly the same conditions.
+const LOW_STOCK_THRESHOLD = 10;
+const STALE_READING_MS = 3600000; // Readings older than an hour are reported as stale
+
+async function getExpiryAlerts() {
+    const [expired] = await pool.query(`
+        SELECT b.batch_id, b.batch_number, b.quantity, s.on_hand, s.reserved, s.available, b.expiry_date, p.name AS product_name
+        FROM batches b
+        JOIN batch_stock s ON b.batch_id = s.batch_id
+        JOIN products p ON b.product_id = p.product_id
+        WHERE b.expiry_date < CURDATE() AND b.quantity > 0 AND b.status = 'Available'
+    `);
+    const [expiringSoon] = await pool.query(`
+        SELECT b.batch_id, b.batch_number, b.quantity, s.on_hand, s.reserved, s.available, b.expiry_date, p.name AS product_name
+        FROM batches b
+        JOIN batch_stock s ON b.batch_id = s.batch_id
+        JOIN products p ON b.product_id = p.product_id
+        WHERE b.expiry_date >= CURDATE() AND b.expiry_date <= DATE_ADD(CURDATE(), INTERVAL 30 DAY) AND b.quantity > 0 AND b.status = 'Available'
+        ORDER BY b.expiry_date ASC
+    `);
+    return { expired, expiringSoon };
+}
+
+// Stock levels are judged on what is still available to new orders, not on what sits on the shelf
+async function getLowStockAlerts() {
+    const [lowStock] = await pool.query(`
+        SELECT b.batch_id, b.batch_number, b.quantity, s.on_hand, s.reserved, s.available, p.name AS product_name
+        FROM batches b
+        JOIN batch_stock s ON b.batch_id = s.batch_id
+        JOIN products p ON b.product_id = p.product_id
+        WHERE s.available > 0 AND s.available <= ? AND b.status = 'Available'
+        ORDER BY s.available ASC
+    `, [LOW_STOCK_THRESHOLD]);
+
+    const [outOfStock] = await pool.query(`
+        SELECT b.batch_id, b.batch_number, b.quantity, s.on_hand, s.reserved, s.available, p.name AS product_name
+        FROM batches b
+        JOIN batch_stock s ON b.batch_id = s.batch_id
+        JOIN products p ON b.product_id = p.product_id
+        WHERE s.available <= 0 AND b.status = 'Available'
+    `);
+
+    return { lowStock, outOfStock };
+}
+
+async function getTemperatureAlerts() {
+    const [alerts] = await pool.query(`
+        SELECT
+            sl.location_id,
+            CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+            sl.location_type,
+            sl.min_temp,
+            sl.max_temp,
+            sl.latest_temperature,
+            sl.last_temp_update
+        FROM
+            storage_locations sl
+        WHERE
+            sl.location_type = 'Cold Storage'
+            AND (
+                sl.latest_temperature IS NULL
+                OR sl.latest_temperature < sl.min_temp
+                OR sl.latest_temperature > sl.max_temp
+                OR sl.last_temp_update IS NULL
+                OR sl.last_temp_update < DATE_SUB(NOW(), INTERVAL 1 HOUR)
+            )
+    `);
+
+    return alerts.map(alert => {
+        let message = '';
+        let alert_type = '';
+        if (alert.latest_temperature === null || alert.last_temp_update === null) {
+            message = 'No recent temperature readings.';
+            alert_type = 'No Readings';
+        } else if (Number(alert.latest_temperature) < Number(alert.min_temp)) {
+            message = `Temperature too low: ${alert.latest_temperature}°C (Min: ${alert.min_temp}°C)`;
+            alert_type = 'Low Temperature';
+        } else if (Number(alert.latest_temperature) > Number(alert.max_temp)) {
+            message = `Temperature too high: ${alert.latest_temperature}°C (Max: ${alert.max_temp}°C)`;
+            alert_type = 'High Temperature';
+        } else if (alert.last_temp_update < new Date(Date.now() - STALE_READING_MS)) {
+            message = `No temperature update in the last hour. Last reading: ${alert.latest_temperature}°C at ${new Date(alert.last_temp_update).toLocaleString()}`;
+            alert_type = 'Stale Reading';
+        }
+        return {
+            location_id: alert.location_id,
+            location_name: alert.location_name,
+            alert_type: alert_type,
+            message: message
+        };
+    });
+}
+
+async function getHumidityAlerts() {
+    const [alerts] = await pool.query(`
+        SELECT
+            sl.location_id,
+            CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+            sl.location_type,
+            sl.min_humidity,
+            sl.max_humidity,
+            sl.latest_humidity,
+            sl.last_humidity_update
+        FROM
+            storage_locations sl
+        WHERE
+            (sl.min_humidity IS NOT NULL OR sl.max_humidity IS NOT NULL)
+            AND (
+                sl.latest_humidity IS NULL
+                OR sl.latest_humidity < sl.min_humidity
+                OR sl.latest_humidity > sl.max_humidity
+                OR sl.last_humidity_update IS NULL
+                OR sl.last_humidity_update < DATE_SUB(NOW(), INTERVAL 1 HOUR)
+            )
+    `);
+
+    return alerts.map(alert => {
+        let message = '';
+        let alert_type = '';
+        if (alert.latest_humidity === null || alert.last_humidity_update === null) {
+            message = 'No recent humidity readings.';
+            alert_type = 'No Readings';
+        } else if (alert.min_humidity !== null && Number(alert.latest_humidity) < Number(alert.min_humidity)) {
+            message = `Humidity too low: ${alert.latest_humidity}% (Min: ${alert.min_humidity}%)`;
+            alert_type = 'Low Humidity';
+        } else if (alert.max_humidity !== null && Number(alert.latest_humidity) > Number(alert.max_humidity)) {
+            message = `Humidity too high: ${alert.latest_humidity}% (Max: ${alert.max_humidity}%)`;
+            alert_type = 'High Humidity';
+        } else if (alert.last_humidity_update < new Date(Date.now() - STALE_READING_MS)) {
+            message = `No humidity update in the last hour. Last reading: ${alert.latest_humidity}% at ${new Date(alert.last_humidity_update).toLocaleString()}`;
+            alert_type = 'Stale Reading';
+        }
+        return {
+            location_id: alert.location_id,
+            location_name: alert.location_name,
+            alert_type: alert_type,
+            message: message
+        };
+    });
+}
+
+// --- Alert Engine ---
+// Evaluates the alert rules after relevant writes and on a schedule, stores each condition as a row
+// in the alerts table and pushes alertRaised / alertCleared events. An alert stays "live" until its
+// condition clears; acknowledging or resolving it does not cause it to be raised again meanwhile.
+const ALERT_EVALUATION_INTERVAL_MS = 60 * 1000; // Catches time-based conditions (expiry, stale readings)
+
+// Turns the rule results into one entry per condition, keyed so the same condition maps to the same alert
+async function collectAlertConditions() {
+    const conditions = [];
+    const slug = (text) => text.toLowerCase().replace(/\s+/g, '_');
+    const stockFigures = (batch) => `On hand: ${batch.on_hand}, reserved: ${batch.reserved}, available: ${batch.available}`;
+
+    const { expired, expiringSoon } = await getExpiryAlerts();
+    expired.forEach(batch => conditions.push({
+        alert_key: `expiry:expired:batch:${batch.batch_id}`, category: 'Expiry', alert_type: 'Expired', severity: 'Critical',
+        entity_type: 'batch', entity_id: batch.batch_id,
+        message: `Expired: ${batch.product_name} (Batch: ${batch.batch_number}) expired on ${new Date(batch.expiry_date).toLocaleDateString()}. ${stockFigures(batch)}`
+    }));
+    expiringSoon.forEach(batch => conditions.push({
+        alert_key: `expiry:soon:batch:${batch.batch_id}`, category: 'Expiry', alert_type: 'Expiring Soon', severity: 'Warning',
+        entity_type: 'batch', entity_id: batch.batch_id,
+        message: `Expiring Soon: ${batch.product_name} (Batch: ${batch.batch_number}) expires on ${new Date(batch.expiry_date).toLocaleDateString()}. ${stockFigures(batch)}`
+    }));
+
+    const { lowStock, outOfStock } = await getLowStockAlerts();
+    outOfStock.forEach(batch => conditions.push({
+        alert_key: `stock:out:batch:${batch.batch_id}`, category: 'Stock', alert_type: 'Out of Stock', severity: 'Critical',
+        entity_type: 'batch', entity_id: batch.batch_id,
+        message: `Out of Stock: ${batch.product_name} (Batch: ${batch.batch_number}) is out of stock. ${stockFigures(batch)}`
+    }));
+    lowStock.forEach(batch => conditions.push({
+        alert_key: `stock:low:batch:${batch.batch_id}`, category: 'Stock', alert_type: 'Low Stock', severity: 'Warning',
+        entity_type: 'batch', entity_id: batch.batch_id,
+        message: `Low Stock: ${batch.product_name} (Batch: ${batch.batch_number}) has only ${batch.available} units available. ${stockFigures(batch)}`
+    }));
+
+    const temperatureAlerts = await getTemperatureAlerts();
+    temperatureAlerts.forEach(alert => conditions.push({
+        alert_key: `temperature:${slug(alert.alert_type)}:location:${alert.location_id}`, category: 'Temperature', alert_type: alert.alert_type,
+        severity: ['Low Temperature', 'High Temperature'].includes(alert.alert_type) ? 'Critical' : 'Warning',
+        entity_type: 'location', entity_id: alert.location_id,
+        message: `Location ${alert.location_name}: ${alert.message}`
+    }));
+
+    const humidityAlerts = await getHumidityAlerts();
+    humidityAlerts.forEach(alert => conditions.push({
+        alert_key: `humidity:${slug(alert.alert_type)}:location:${alert.location_id}`, category: 'Humidity', alert_type: alert.alert_type,
+        severity: ['Low Humidity', 'High Humidity'].includes(alert.alert_type) ? 'Critical' : 'Warning',
+        entity_type: 'location', entity_id: alert.location_id,
+        message: `Location ${alert.location_name}: ${alert.message}`
+    }));
+
+    return conditions;
+}
+
+async function evaluateAlerts() {
+    const conditions = await collectAlertConditions();
+    const [liveAlerts] = await pool.query('SELECT * FROM alerts WHERE cleared_at IS NULL');
+    const liveByKey = new Map(liveAlerts.map(alert => [alert.alert_key, alert]));
+    const currentKeys = new Set(conditions.map(condition => condition.alert_key));
+
+    for (const condition of conditions) {
+        const existing = liveByKey.get(condition.alert_key);
+        if (existing) {
+            // Same condition, newer details (e.g. a new out-of-range reading)
+            if (existing.message !== condition.message) {
+                await pool.query('UPDATE alerts SET message = ? WHERE alert_id = ?', [condition.message, existing.alert_id]);
+            }
+            continue;
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO alerts (alert_key, category, alert_type, severity, entity_type, entity_id, message)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [condition.alert_key, condition.category, condition.alert_type, condition.severity, condition.entity_type, condition.entity_id, condition.message]
+        );
+        const [newAlert] = await pool.query('SELECT * FROM alerts WHERE alert_id = ?', [result.insertId]);
+        io.emit('alertRaised', newAlert[0]);
+    }
+
+    for (const alert of liveAlerts) {
+        if (currentKeys.has(alert.alert_key)) continue;
+
+        await pool.query(
+            `UPDATE alerts
+             SET cleared_at = NOW(),
+                 status = 'Resolved',
+                 resolved_at = COALESCE(resolved_at, NOW()),
+                 resolution_notes = COALESCE(resolution_notes, 'Condition cleared automatically.')
+             WHERE alert_id = ?`,
+            [alert.alert_id]
+        );
+        const [clearedAlert] = await pool.query('SELECT * FROM alerts WHERE alert_id = ?', [alert.alert_id]);
+        io.emit('alertCleared', clearedAlert[0]);
+    }
+}
+
+// Runs one evaluation at a time; writes that arrive meanwhile trigger a single follow-up run
+let alertEvaluationRunning = false;
+let alertEvaluationQueued = false;
+
+function scheduleAlertEvaluation() {
+    if (alertEvaluationRunning) {
+        alertEvaluationQueued = true;
+        return;
+    }
+    alertEvaluationRunning = true;
+    evaluateAlerts()
+        .catch(err => console.error('Alert Engine: Error evaluating alerts:', err))
+        .finally(() => {
+            alertEvaluationRunning = false;
+            if (alertEvaluationQueued) {
+                alertEvaluationQueued = false;
+                scheduleAlertEvaluation();
+            }
+        });
+}
+
+function startAlertEngine() {
+    scheduleAlertEvaluation();
+    setInterval(scheduleAlertEvaluation, ALERT_EVALUATION_INTERVAL_MS);
+}
+
+
+// --- API Endpoints ---
+
+// Auth: Log in with username and password, returns a bearer token
+app.post('/auth/login', async (req, res, next) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required.' });
+    }
+    try {
+        const [users] = await pool.query('SELECT * FROM users WHERE username = ? AND is_active = TRUE', [username]);
+        if (users.length === 0 || !(await verifyPassword(password, users[0].password_hash))) {
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        const user = users[0];
+        const token = await createSession(user.user_id);
+        await pool.query('UPDATE users SET last_login = NOW() WHERE user_id = ?', [user.user_id]);
+        res.json({
+            token,
+            user: { user_id: user.user_id, username: user.username, full_name: user.full_name, role: user.role }
+        });
+    }
+    catch (err) {
+        console.error('Error logging in:', err);
+        next(err);
+    }
+});
+
+// Auth: Log out (ends the current session)
+app.post('/auth/logout', async (req, res, next) => {
+    try {
+        await pool.query('DELETE FROM user_sessions WHERE token_hash = ?', [hashToken(getBearerToken(req))]);
+        res.json({ message: 'Logged out successfully' });
+    }
+    catch (err) {
+        console.error('Error logging out:', err);
+        next(err);
+    }
+});
+
+// Auth: Current user
+app.get('/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// Auth: Change own password (other sessions of the user are ended)
+app.put('/auth/password', async (req, res, next) => {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password || new_password.length < 8) {
+        return res.status(400).json({ error: 'Current password and a new password of at least 8 characters are required.' });
+    }
+    try {
+        const [users] = await pool.query('SELECT password_hash FROM users WHERE user_id = ?', [req.user.user_id]);
+        if (!(await verifyPassword(current_password, users[0].password_hash))) {
+            return res.status(401).json({ error: 'Current password is incorrect.' });
+        }
+        await pool.query('UPDATE users SET password_hash = ? WHERE user_id = ?', [await hashPassword(new_password), req.user.user_id]);
+        await pool.query(
+            'DELETE FROM user_sessions WHERE user_id = ? AND token_hash <> ?',
+            [req.user.user_id, hashToken(getBearerToken(req))]
+        );
+        res.json({ message: 'Password changed successfully' });
+    }
+    catch (err) {
+        console.error('Error changing password:', err);
+        next(err);
+    }
+});
+
+// Users: Get all
+app.get('/users', requireRole('admin'), async (req, res, next) => {
+    try {
+        const [users] = await pool.query(
+            'SELECT user_id, username, full_name, role, is_active, created_at, last_login FROM users ORDER BY username'
+        );
+        res.json(users);
+    }
+    catch (err) {
+        console.error('Error fetching users:', err);
+        next(err);
+    }
+});
+
+// Users: Add new
+app.post('/users', requireRole('admin'), async (req, res, next) => {
+    const { username, full_name, password, role } = req.body;
+    if (!username || !full_name || !password || !role) {
+        return res.status(400).json({ error: 'Username, full name, password and role are required.' });
+    }
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}.` });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+    }
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO users (username, full_name, password_hash, role) VALUES (?, ?, ?, ?)',
+            [username, full_name, await hashPassword(password), role]
+        );
+        const [newUser] = await pool.query(
+            'SELECT user_id, username, full_name, role, is_active, created_at FROM users WHERE user_id = ?',
+            [result.insertId]
+        );
+        res.status(201).json(newUser[0]);
+    }
+    catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `Username '${username}' already exists.` });
+        }
+        console.error('Error adding user:', err);
+        next(err);
+    }
+});
+
+// Users: Update role, name, active flag or reset password (only provided fields change)
+app.put('/users/:id', requireRole('admin'), async (req, res, next) => {
+    const { id } = req.params;
+    const { full_name, role, is_active, password } = req.body;
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}.` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+    }
+    if (Number(id) === req.user.user_id && (is_active === false || (role !== undefined && role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account or remove your own admin role.' });
+    }
+    try {
+        const [result] = await pool.query(
+            `UPDATE users
+             SET full_name = COALESCE(?, full_name),
+                 role = COALESCE(?, role),
+                 is_active = COALESCE(?, is_active),
+                 password_hash = COALESCE(?, password_hash)
+             WHERE user_id = ?`,
+            [full_name || null, role || null, is_active === undefined ? null : Boolean(is_active), password ? await hashPassword(password) : null, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        // Deactivated users and reset passwords end all existing sessions
+        if (is_active === false || password) {
+            await pool.query('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+        }
+        const [updatedUser] = await pool.query(
+            'SELECT user_id, username, full_name, role, is_active, created_at, last_login FROM users WHERE user_id = ?',
+            [id]
+        );
+        res.json(updatedUser[0]);
+    }
+    catch (err) {
+        console.error('Error updating user:', err);
+        next(err);
+    }
+});
+
+// Products: Get all
+app.get('/products', async (req, res, next) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM products');
+        res.json(rows);
+    }
+    catch (err) {
+        next(err);
+    }
+});
+
+// Products: Add new
+app.post('/products', requireRole('admin'), async (req, res, next) => {
+    const { name, description, manufacturer, category, price, excursion_tolerance_minutes, size_type, gtin, is_serialised } = req.body;
+    if (!name || !category) {
+        return res.status(400).json({ error: 'Product name and category are required.' });
+    }
+    if (!['Ambient', 'Cold Storage'].includes(category)) {
+        return res.status(400).json({ error: 'Invalid category. Only "Ambient" or "Cold Storage" are allowed.' });
+    }
+    const hasTolerance = excursion_tolerance_minutes !== undefined && excursion_tolerance_minutes !== null && excursion_tolerance_minutes !== '';
+    if (hasTolerance && (isNaN(excursion_tolerance_minutes) || excursion_tolerance_minutes < 0)) {
+        return res.status(400).json({ error: 'Excursion tolerance must be a non-negative number of minutes.' });
+    }
+    if (gtin && !isValidGtin(String(gtin).trim())) {
+        return res.status(400).json({ error: 'GTIN must be 8, 12, 13 or 14 digits with a valid check digit.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            'INSERT INTO products (name, description, manufacturer, category, price, excursion_tolerance_minutes, size_type, gtin, is_serialised) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [name, description || null, manufacturer || null, category, price || null, hasTolerance ? parseInt(excursion_tolerance_minutes) : null, size_type || null,
+                gtin ? String(gtin).trim().padStart(14, '0') : null, Boolean(is_serialised)]
+        );
+        const newProduct = await getAuditSnapshot(connection, 'product', result.insertId);
+        await recordAudit(connection, { entityType: 'product', entityId: result.insertId, action: 'Create', after: newProduct, actor: req.user });
+        await connection.commit();
+        res.status(201).json(newProduct);
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('gtin')) {
+            res.status(409).json({ error: `Another product already has GTIN ${gtin}.` });
+        } else if (err.code === 'ER_DUP_ENTRY') {
+             res.status(409).json({ error: `Product with name '${name}' already exists.` });
+        } else {
+            next(err);
+        }
+    } finally {
+        connection.release();
+    }
+});
+
+// Products: Set or clear the GTIN of an existing product ({ gtin }; null or empty clears it), so its packs can be scanned by GS1 code
+app.put('/products/:id/gtin', requireRole('admin'), async (req, res, next) => {
+    const { id } = req.params;
+    const gtin = String(req.body.gtin || '').trim();
+    if (gtin && !isValidGtin(gtin)) {
+        return res.status(400).json({ error: 'GTIN must be 8, 12, 13 or 14 digits with a valid check digit.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [productRows] = await connection.query('SELECT * FROM products WHERE product_id = ? FOR UPDATE', [id]);
+        if (productRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        await connection.query('UPDATE products SET gtin = ? WHERE product_id = ?', [gtin ? gtin.padStart(14, '0') : null, id]);
+        const updatedProduct = await getAuditSnapshot(connection, 'product', id);
+        await recordAudit(connection, { entityType: 'product', entityId: id, action: 'Update', before: productRows[0], after: updatedProduct, actor: req.user });
+        await connection.commit();
+        res.json(updatedProduct);
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `Another product already has GTIN ${gtin}.` });
+        }
+        console.error('Error updating product GTIN:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+
+// Storage Locations: Get all (with contents and latest temperature)
+app.get('/storage_locations', async (req, res, next) => {
+    try {
+        const [locations] = await pool.query('SELECT * FROM storage_locations');
+
+        const [batchesWithProductInfo] = await pool.query(`
+            SELECT
+                b.batch_id,
+                b.product_id,
+                p.name AS product_name,
+                p.category AS product_type,
+                p.description AS product_description,
+                b.batch_number,
+                bl.quantity AS assigned_quantity,
+                b.quantity AS batch_total_quantity,
+                b.expiry_date,
+                b.manufacture_date,
+                b.barcode,
+                bl.location_id,
+                b.status
+            FROM
+                batch_locations bl
+            JOIN
+                batches b ON bl.batch_id = b.batch_id
+            JOIN
+                products p ON b.product_id = p.product_id;
+        `);
+
+        const locationsWithDetails = await Promise.all(locations.map(async (location) => {
+            // Each entry is the batch's portion in this location; batch_total_quantity covers all its locations
+            const contents = batchesWithProductInfo.filter(batch => batch.location_id === location.location_id);
+
+            if (location.last_temp_update) {
+                location.last_temp_update_formatted = new Date(location.last_temp_update).toLocaleString();
+            } else {
+                location.last_temp_update_formatted = 'N/A';
+            }
+
+            return {
+                ...location,
+                contents: contents
+            };
+        }));
+
+        res.json(locationsWithDetails);
+    }
+    catch (err) {
+        console.error('Error fetching storage locations:', err);
+        next(err);
+    }
+});
+// Storage Locations: Temperature history (min/avg/max per bucket, for charts)
+app.get('/storage_locations/:id/temperature_history', async (req, res, next) => {
+    const { id } = req.params;
+    const bucket = req.query.bucket || 'hour';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (!HISTORY_BUCKETS[bucket]) {
+        return res.status(400).json({ error: 'Invalid bucket. Must be "minute", "hour", or "day".' });
+    }
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ error: 'From and To must be valid dates with From before To.' });
+    }
+    if ((to - from) / HISTORY_BUCKETS[bucket].ms > MAX_HISTORY_BUCKETS) {
+        return res.status(400).json({ error: `Range too large for '${bucket}' buckets (max ${MAX_HISTORY_BUCKETS} points). Use a larger bucket.` });
+    }
+
+    const bucketFormat = HISTORY_BUCKETS[bucket].format;
+    try {
+        const [locationRows] = await pool.query('SELECT location_id, min_temp, max_temp FROM storage_locations WHERE location_id = ?', [id]);
+        if (locationRows.length === 0) {
+            return res.status(404).json({ error: 'Storage location not found.' });
+        }
+
+        // Raw logs and hourly rollups are combined; averages are weighted by reading count.
+        // Rolled-up periods cannot be shown at finer than hourly resolution.
+        const [buckets] = await pool.query(
+            `SELECT
+                bucket_start,
+                MIN(min_temperature) AS min_temperature,
+                ROUND(SUM(sum_temperature) / SUM(reading_count), 2) AS avg_temperature,
+                MAX(max_temperature) AS max_temperature,
+                MIN(min_humidity) AS min_humidity,
+                ROUND(SUM(sum_humidity) / NULLIF(SUM(humidity_count), 0), 2) AS avg_humidity,
+                MAX(max_humidity) AS max_humidity,
+                SUM(reading_count) AS reading_count
+             FROM (
+                SELECT
+                    DATE_FORMAT(timestamp, ?) AS bucket_start,
+                    MIN(temperature_reading) AS min_temperature,
+                    SUM(temperature_reading) AS sum_temperature,
+                    MAX(temperature_reading) AS max_temperature,
+                    MIN(humidity_reading) AS min_humidity,
+                    SUM(humidity_reading) AS sum_humidity,
+                    MAX(humidity_reading) AS max_humidity,
+                    COUNT(*) AS reading_count,
+                    COUNT(humidity_reading) AS humidity_count
+                FROM temperature_logs
+                WHERE location_id = ? AND timestamp >= ? AND timestamp < ?
+                GROUP BY bucket_start
+                UNION ALL
+                SELECT
+                    DATE_FORMAT(bucket_start, ?) AS bucket_start,
+                    MIN(min_temperature),
+                    SUM(avg_temperature * reading_count),
+                    MAX(max_temperature),
+                    MIN(min_humidity),
+                    SUM(COALESCE(avg_humidity, 0) * humidity_count),
+                    MAX(max_humidity),
+                    SUM(reading_count),
+                    SUM(humidity_count)
+                FROM temperature_log_rollups
+                WHERE location_id = ? AND bucket_start >= ? AND bucket_start < ?
+                GROUP BY 1
+             ) AS combined
+             GROUP BY bucket_start
+             ORDER BY bucket_start ASC`,
+            [bucketFormat, id, from, to, bucketFormat, id, from, to]
+        );
+
+        res.json({
+            location_id: locationRows[0].location_id,
+            min_temp: locationRows[0].min_temp,
+            max_temp: locationRows[0].max_temp,
+            bucket,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            buckets
+        });
+    }
+    catch (err) {
+        console.error('Error fetching temperature history:', err);
+        next(err);
+    }
+});
+
+// Storage Locations: Add new (from UI)
+app.post('/storage_locations', requireRole('admin'), async (req, res, next) => {
+    let { zone, rack, slot, location_type, size_type, pick_sequence, capacity, min_temp, max_temp, min_humidity, max_humidity, is_quarantine } = req.body;
+
+    if (!zone || !rack || !slot || capacity === undefined || isNaN(capacity) || capacity <= 0 || !location_type) {
+        return res.status(400).json({ error: 'Zone, Rack, Slot, Location Type, and a valid positive Capacity are required.' });
+    }
+    if (!['Ambient', 'Cold Storage'].includes(location_type)) {
+        return res.status(400).json({ error: 'Invalid location type. Must be "Ambient" or "Cold Storage".' });
+    }
+
+    if (location_type === 'Cold Storage') {
+        if (min_temp === undefined || max_temp === undefined || isNaN(min_temp) || isNaN(max_temp)) {
+            return res.status(400).json({ error: 'Min/Max Temperatures are required and must be numbers for Cold Storage locations.' });
+        }
+        min_temp = parseFloat(min_temp);
+        max_temp = parseFloat(max_temp);
+    } else {
+        min_temp = null;
+        max_temp = null;
+    }
+
+    // Humidity limits are optional for every location type (e.g. syrups and tablets in Ambient)
+    min_humidity = (min_humidity === undefined || min_humidity === null || min_humidity === '') ? null : parseFloat(min_humidity);
+    max_humidity = (max_humidity === undefined || max_humidity === null || max_humidity === '') ? null : parseFloat(max_humidity);
+    if ((min_humidity !== null && (isNaN(min_humidity) || min_humidity < 0 || min_humidity > 100)) ||
+        (max_humidity !== null && (isNaN(max_humidity) || max_humidity < 0 || max_humidity > 100))) {
+        return res.status(400).json({ error: 'Min/Max Humidity must be numbers between 0 and 100.' });
+    }
+    if (min_humidity !== null && max_humidity !== null && min_humidity > max_humidity) {
+        return res.status(400).json({ error: 'Min Humidity cannot be greater than Max Humidity.' });
+    }
+    pick_sequence = (pick_sequence === undefined || pick_sequence === null || pick_sequence === '') ? null : Number(pick_sequence);
+    if (pick_sequence !== null && (!Number.isInteger(pick_sequence) || pick_sequence < 0)) {
+        return res.status(400).json({ error: 'Pick sequence must be a non-negative whole number.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            `INSERT INTO storage_locations (zone, rack, slot, location_type, size_type, pick_sequence, is_quarantine, capacity, current_occupancy, min_temp, max_temp, min_humidity, max_humidity)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+            [zone, rack, slot, location_type, size_type || null, pick_sequence, Boolean(is_quarantine), capacity, min_temp, max_temp, min_humidity, max_humidity]
+        );
+        const newLocation = await getAuditSnapshot(connection, 'location', result.insertId);
+        await recordAudit(connection, { entityType: 'location', entityId: result.insertId, action: 'Create', after: newLocation, actor: req.user });
+        await connection.commit();
+        scheduleAlertEvaluation();
+        res.status(201).json(newLocation);
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+             res.status(409).json({ error: 'A location with this Zone, Rack, and Slot already exists.' });
+        } else {
+             next(err);
+        }
+    } finally {
+        connection.release();
+    }
+});
+
+
+// Allocation: Strategy used by each product category
+app.get('/allocation/policies', async (req, res, next) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT ap.category, ap.strategy, ap.updated_at, u.full_name AS updated_by
+             FROM allocation_policies ap
+             LEFT JOIN users u ON ap.updated_by = u.user_id
+             ORDER BY ap.category`
+        );
+        const strategies = Object.entries(ALLOCATION_STRATEGIES).map(([strategy, { label }]) => ({ strategy, label }));
+        res.json({ policies: rows, strategies });
+    }
+    catch (err) {
+        console.error('Error fetching allocation policies:', err);
+        next(err);
+    }
+});
+
+// Allocation: Choose the strategy for a product category
+app.put('/allocation/policies/:category', requireRole('admin'), async (req, res, next) => {
+    const { category } = req.params;
+    const { strategy } = req.body;
+
+    if (!['Ambient', 'Cold Storage'].includes(category)) {
+        return res.status(400).json({ error: 'Invalid category. Only "Ambient" or "Cold Storage" are allowed.' });
+    }
+    if (!strategy || !ALLOCATION_STRATEGIES[strategy]) {
+        return res.status(400).json({ error: `Invalid strategy. Must be one of: ${Object.keys(ALLOCATION_STRATEGIES).join(', ')}.` });
+    }
+
+    try {
+        await pool.query(
+            `INSERT INTO allocation_policies (category, strategy, updated_by) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE strategy = VALUES(strategy), updated_by = VALUES(updated_by)`,
+            [category, strategy, req.user.user_id]
+        );
+        console.log(`Allocation policy for ${category} set to ${strategy} by ${req.user.username}.`);
+        res.json({ category, strategy });
+    }
+    catch (err) {
+        console.error('Error updating allocation policy:', err);
+        next(err);
+    }
+});
+
+// Allocation: Dry run of smart allocation for a batch (ranked candidates and rejection reasons; nothing is stored)
+app.post('/allocation/preview', requireRole('admin', 'receiver'), async (req, res, next) => {
+    const { product_id, quantity } = req.body;
+
+    if (!product_id || quantity === undefined || isNaN(quantity) || quantity <= 0) {
+        return res.status(400).json({ error: 'Product and a valid positive quantity are required.' });
+    }
+
+    try {
+        const [productRows] = await pool.query('SELECT product_id FROM products WHERE product_id = ?', [product_id]);
+        if (productRows.length === 0) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const evaluation = await evaluateAllocation(pool, product_id, Number(quantity));
+        res.json({ ...evaluation, can_allocate: evaluation.placements !== null });
+    }
+    catch (err) {
+        console.error('Error previewing allocation:', err);
+        next(err);
+    }
+});
+
+// Batches: Get all (for Dashboard display)
+app.get('/batches', async (req, res, next) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT
+                b.batch_id,
+                b.product_id,
+                p.name AS product_name,
+                p.category AS product_type,
+                p.description AS product_description,
+                b.batch_number,
+                b.manufacture_date,
+                b.expiry_date,
+                b.quantity,
+                s.on_hand,
+                s.reserved,
+                s.quarantined,
+                s.available,
+                b.barcode,
+                b.status
+            FROM batches b
+            JOIN batch_stock s ON b.batch_id = s.batch_id
+            JOIN products p ON b.product_id = p.product_id
+        `);
+        // A batch can be split across several locations; list each portion
+        const [portions] = await pool.query(`
+            SELECT bl.batch_id, bl.location_id, bl.quantity, bls.reserved, bls.available, sl.zone, sl.rack, sl.slot, sl.is_quarantine
+            FROM batch_locations bl
+            JOIN batch_location_stock bls ON bl.batch_id = bls.batch_id AND bl.location_id = bls.location_id
+            JOIN storage_locations sl ON bl.location_id = sl.location_id
+            ORDER BY bl.quantity DESC
+        `);
+        rows.forEach(batch => {
+            batch.locations = portions
+                .filter(portion => portion.batch_id === batch.batch_id)
+                .map(({ batch_id, ...portion }) => portion);
+        });
+        res.json(rows);
+    }
+    catch (err) {
+        console.error('Error fetching batches for dashboard:', err);
+        next(err);
+    }
+});
+
+// Batches: Receive new stock (smart allocation plans the putaway; stock enters a location once the scan is confirmed)
+app.post('/batches', requireRole('admin', 'receiver'), async (req, res, next) => {
+    const { product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, serial_numbers } = req.body;
+
+    if (!product_id || !batch_number || !expiry_date || quantity === undefined || isNaN(quantity) || quantity <= 0) {
+        return res.status(400).json({ error: 'Missing required batch fields (product, batch number, expiry date, or valid quantity).' });
+    }
+    const gs1 = parseGs1Barcode(barcode);
+    if (gs1 && gs1.error) {
+        return res.status(400).json({ error: `Unreadable GS1 barcode: ${gs1.error}` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [productRows] = await connection.query('SELECT * FROM products WHERE product_id = ?', [product_id]);
+        const product = productRows[0] || {};
+        // A GS1 pack barcode must describe the batch being received
+        if (gs1) {
+            const mismatch = gs1.fields.gtin && gs1.fields.gtin !== product.gtin ? `its GTIN ${gs1.fields.gtin} is not the GTIN of ${product.name || `product ${product_id}`}`
+                : gs1.fields.lot && gs1.fields.lot !== batch_number ? `its lot ${gs1.fields.lot} is not batch number ${batch_number}`
+                : gs1.fields.expiry_date && gs1.fields.expiry_date !== formatDateOnly(expiry_date) ? `its expiry date ${gs1.fields.expiry_date} is not ${formatDateOnly(expiry_date)}`
+                : gs1.fields.production_date && manufacture_date && gs1.fields.production_date !== formatDateOnly(manufacture_date) ? `its production date ${gs1.fields.production_date} is not ${formatDateOnly(manufacture_date)}`
+                : null;
+            if (mismatch) {
+                await connection.rollback();
+                return res.status(400).json({ error: `The scanned GS1 barcode does not match this batch: ${mismatch}.` });
+            }
+        }
+        const batchBarcode = gs1 ? formatGs1BatchBarcode(gs1) : (barcode || batch_number);
+
+        // Serials of a serialised product can be registered with the receipt (or imported later)
+        let serials = [];
+        if (serial_numbers !== undefined && serial_numbers !== null && String(serial_numbers).trim() !== '') {
+            if (!product.is_serialised) {
+                await connection.rollback();
+                return res.status(400).json({ error: `${product.name || `Product ${product_id}`} is not serialised.` });
+            }
+            const parsed = parseSerialList(serial_numbers, product, batch_number);
+            if (parsed.error) {
+                await connection.rollback();
+                return res.status(400).json({ error: parsed.error });
+            }
+            serials = parsed.serials;
+        }
+
+        const placements = await planSmartAllocation(connection, product_id, Number(quantity));
+        if (!placements) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'No suitable storage location found based on product criteria, capacity, and temperature.' });
+        }
+        console.log(`Batch ${batch_number} smart allocated to location ID(s): ${placements.map(p => p.location_id).join(', ')}`);
+
+        // Quantity stays 0 until each putaway task is confirmed with a Receipt movement
+        const [batchResult] = await connection.query(
+            'INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, status, received_by) VALUES (?, ?, ?, ?, 0, ?, ?, ?)',
+            [product_id, batch_number, manufacture_date || null, expiry_date, batchBarcode, 'Awaiting Putaway', req.user.user_id]
+        );
+        const newBatchId = batchResult.insertId;
+
+        const putawayTasks = [];
+        for (const placement of placements) {
+            const [taskResult] = await connection.query(
+                'INSERT INTO putaway_tasks (batch_id, planned_location_id, quantity, created_by) VALUES (?, ?, ?, ?)',
+                [newBatchId, placement.location_id, placement.quantity, req.user.user_id]
+            );
+            putawayTasks.push({ putaway_id: taskResult.insertId, ...placement });
+        }
+        if (serials.length > 0) {
+            const result = await registerSerials(connection, { batch_id: newBatchId, batch_number }, product, serials, req.user);
+            if (result.error) {
+                await connection.rollback();
+                return res.status(409).json({ error: result.error });
+            }
+        }
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: newBatchId, action: 'Create',
+            after: await getAuditSnapshot(connection, 'batch', newBatchId), actor: req.user
+        });
+
+        await connection.commit();
+        io.emit('putawayTasksChanged');
+        res.status(201).json({
+            message: 'Stock received. Scan the location to confirm putaway.',
+            batch: { batch_id: newBatchId, barcode: batchBarcode, status: 'Awaiting Putaway' },
+            serials_registered: serials.length,
+            placements,
+            putaway_tasks: putawayTasks
+        });
+
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('batches.batch_number')) {
+            return res.status(409).json({ error: `Batch number '${batch_number}' already exists.` });
+        }
+        console.error('Error adding stock (backend):', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Batches: Serial numbers of a batch (serialised products)
+app.get('/batches/:id/serials', async (req, res, next) => {
+    try {
+        const [serials] = await pool.query(
+            'SELECT serial_id, serial_number, status, order_id, pick_id, registered_at, updated_at FROM serial_numbers WHERE batch_id = ? ORDER BY serial_number',
+            [req.params.id]
+        );
+        res.json(serials);
+    }
+    catch (err) {
+        console.error('Error fetching batch serials:', err);
+        next(err);
+    }
+});
+
+// Batches: Bulk import of serial numbers ({ serial_numbers: [...] } or one per line as text)
+app.post('/batches/:id/serials', requireRole('admin', 'receiver'), async (req, res, next) => {
+    const { id } = req.params;
+    const { serial_numbers } = req.body;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [batchRows] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [id]);
+        if (batchRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Batch not found.' });
+        }
+        const batch = batchRows[0];
+        const [[product]] = await connection.query('SELECT * FROM products WHERE product_id = ?', [batch.product_id]);
+        if (!product.is_serialised) {
+            await connection.rollback();
+            return res.status(400).json({ error: `${product.name} is not serialised.` });
+        }
+        const parsed = parseSerialList(serial_numbers, product, batch.batch_number);
+        if (parsed.error || parsed.serials.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: parsed.error || 'No serial numbers given.' });
+        }
+        const result = await registerSerials(connection, batch, product, parsed.serials, req.user);
+        if (result.error) {
+            await connection.rollback();
+            return res.status(409).json({ error: result.error });
+        }
+        await connection.commit();
+        res.status(201).json({ message: `${result.registered} serial number(s) registered for batch ${batch.batch_number}.`, registered: result.registered });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error importing serial numbers:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Batches: Update
+app.put('/batches/:id', requireRole('admin', 'receiver', 'qa'), async (req, res, next) => {
+    const { id } = req.params;
+    const { product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, status, reason_code, reason_notes, location_id } = req.body;
+
+    if (!product_id || !batch_number || !expiry_date || quantity === undefined || isNaN(quantity) || quantity < 0) {
+        return res.status(400).json({ error: 'Missing required batch fields for update, or invalid quantity.' });
+    }
+    if (reason_code && !AUDIT_REASON_CODES.includes(reason_code)) {
+        return res.status(400).json({ error: `Invalid reason code. Must be one of: ${AUDIT_REASON_CODES.join(', ')}.` });
+    }
+    if (reason_code === 'Other' && !reason_notes) {
+        return res.status(400).json({ error: 'Reason notes are required when the reason code is "Other".' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [oldBatchRows] = await connection.query(
+            'SELECT * FROM batches WHERE batch_id = ? FOR UPDATE',
+            [id]
+        );
+
+        if (oldBatchRows.length === 0) {
+            throw new Error('Batch not found.');
+        }
+        // Without a status in the request the batch keeps its current one
+        const newStatus = status || oldBatchRows[0].status;
+        // Received stock becomes Available through putaway confirmation, not a status edit
+        if ((oldBatchRows[0].status === 'Awaiting Putaway') !== (newStatus === 'Awaiting Putaway')) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'A batch only enters or leaves Awaiting Putaway through putaway confirmation.' });
+        }
+        // Held batches only leave On Hold through a QA release (PUT /batches/:id/release)
+        if (oldBatchRows[0].status === 'On Hold' && newStatus !== 'On Hold') {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Batch is On Hold. It must be released by QA before its status can change.' });
+        }
+        // Recalls are started through POST /recalls and a recalled batch never becomes usable again
+        if ((oldBatchRows[0].status === 'Recalled') !== (newStatus === 'Recalled')) {
+            await connection.rollback();
+            return res.status(409).json({ error: oldBatchRows[0].status === 'Recalled' ? 'Batch is under recall and its status cannot change.' : 'Batches are recalled by starting a recall, not by a status edit.' });
+        }
+        if (['Damaged', 'Expired'].includes(newStatus) && newStatus !== oldBatchRows[0].status && req.user.role !== 'qa') {
+            await connection.rollback();
+            return res.status(403).json({ error: `Only QA can mark a batch as ${newStatus}.` });
+        }
+        const quantityChanged = Number(quantity) !== oldBatchRows[0].quantity;
+        const expiryChanged = formatDateOnly(expiry_date) !== formatDateOnly(oldBatchRows[0].expiry_date);
+        if ((quantityChanged || expiryChanged) && !reason_code) {
+            await connection.rollback();
+            return res.status(400).json({ error: `A reason code is required to change the ${quantityChanged ? 'quantity' : 'expiry date'} of a batch.` });
+        }
+        const oldQuantity = oldBatchRows[0].quantity;
+        const quantityDifference = Number(quantity) - oldQuantity;
+
+        // A quantity edit applies to one portion of the batch; location_id picks it when the batch is split
+        let adjustmentLocationId = null;
+        if (quantityChanged) {
+            const [portions] = await connection.query(
+                'SELECT location_id, quantity FROM batch_locations WHERE batch_id = ? FOR UPDATE',
+                [id]
+            );
+            if (location_id) {
+                const portion = portions.find(p => p.location_id === Number(location_id));
+                if (!portion && (quantityDifference < 0 || portions.length > 0)) {
+                    await connection.rollback();
+                    return res.status(400).json({ error: `Batch is not stored in location ${location_id}.` });
+                }
+                if (portion && quantityDifference < 0 && portion.quantity < -quantityDifference) {
+                    await connection.rollback();
+                    return res.status(400).json({ error: `Location ${location_id} only holds ${portion.quantity} units of this batch.` });
+                }
+                adjustmentLocationId = Number(location_id);
+            } else if (portions.length === 1) {
+                adjustmentLocationId = portions[0].location_id;
+            } else if (portions.length > 1) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'Batch is stored in several locations. Specify the location_id to adjust.' });
+            } else {
+                await connection.rollback();
+                return res.status(409).json({ error: 'Batch has no storage location, so its quantity cannot be adjusted.' });
+            }
+        }
+
+        await connection.query(
+            `UPDATE batches SET product_id = ?, batch_number = ?, manufacture_date = ?, expiry_date = ?, barcode = ?, status = ?
+             WHERE batch_id = ?`,
+            [product_id, batch_number, manufacture_date || null, expiry_date, barcode || batch_number, newStatus, id]
+        );
+
+        // Quantity edits are booked as an Adjustment into or out of the chosen location
+        if (quantityChanged) {
+            await recordStockMovement(connection, {
+                batchId: id, movementType: 'Adjustment',
+                fromLocationId: quantityDifference < 0 ? adjustmentLocationId : null,
+                toLocationId: quantityDifference > 0 ? adjustmentLocationId : null,
+                quantity: Math.abs(quantityDifference),
+                reference: `${reason_code}${reason_notes ? `: ${reason_notes}` : ''}`, actor: req.user
+            });
+        }
+
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: id, action: 'Update',
+            before: oldBatchRows[0], after: await getAuditSnapshot(connection, 'batch', id),
+            actor: req.user, reasonCode: reason_code || null, reasonNotes: reason_notes || null
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        const [updatedBatch] = await pool.query('SELECT * FROM batches WHERE batch_id = ?', [id]);
+        res.json(updatedBatch[0]);
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('batches.batch_number')) {
+            return res.status(409).json({ error: `Batch number '${batch_number}' already exists for another batch.` });
+        }
+        console.error('Error updating batch:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Batches: Delete
+app.delete('/batches/:id', requireRole('admin'), async (req, res, next) => {
+    const { id } = req.params;
+    const { reason_code, reason_notes } = req.body || {};
+    if (!reason_code || !AUDIT_REASON_CODES.includes(reason_code)) {
+        return res.status(400).json({ error: `A reason code is required to delete a batch. Must be one of: ${AUDIT_REASON_CODES.join(', ')}.` });
+    }
+    if (reason_code === 'Other' && !reason_notes) {
+        return res.status(400).json({ error: 'Reason notes are required when the reason code is "Other".' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [batchRows] = await connection.query(
+            'SELECT * FROM batches WHERE batch_id = ? FOR UPDATE',
+            [id]
+        );
+
+        if (batchRows.length === 0) {
+            throw new Error('Batch not found.');
+        }
+
+        const [portions] = await connection.query(
+            'SELECT location_id, quantity FROM batch_locations WHERE batch_id = ? FOR UPDATE',
+            [id]
+        );
+
+        // Whatever is left on the shelves is written off so the ledger for each location nets to zero
+        for (const portion of portions) {
+            await recordStockMovement(connection, {
+                batchId: id, movementType: 'Write-off', fromLocationId: portion.location_id, quantity: portion.quantity,
+                reference: `Batch ${batchRows[0].batch_number} deleted: ${reason_code}${reason_notes ? ` (${reason_notes})` : ''}`, actor: req.user
+            });
+        }
+
+        // Picks referencing the batch are removed with it; each is kept in the audit trail
+        const [pickRows] = await connection.query('SELECT * FROM order_batch_picks WHERE batch_id = ?', [id]);
+        for (const pick of pickRows) {
+            await recordAudit(connection, {
+                entityType: 'pick', entityId: pick.pick_id, action: 'Delete', before: pick,
+                actor: req.user, reasonCode: reason_code, reasonNotes: `Batch ${batchRows[0].batch_number} deleted${reason_notes ? `: ${reason_notes}` : ''}`
+            });
+        }
+        await connection.query('DELETE FROM order_batch_picks WHERE batch_id = ?', [id]);
+
+        const [result] = await connection.query('DELETE FROM batches WHERE batch_id = ?', [id]);
+        if (result.affectedRows === 0) {
+            throw new Error('Batch not found or no changes made.');
+        }
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: id, action: 'Delete', before: batchRows[0],
+            actor: req.user, reasonCode: reason_code, reasonNotes: reason_notes || null
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        res.json({ message: 'Batch deleted successfully', batchId: id });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error deleting batch:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+// Batches: Get all On Hold (QA review queue)
+app.get('/batches/on_hold', async (req, res, next) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT
+                b.batch_id,
+                b.batch_number,
+                b.quantity,
+                b.expiry_date,
+                b.hold_reason,
+                b.excursion_minutes,
+                p.name AS product_name,
+                p.excursion_tolerance_minutes,
+                GROUP_CONCAT(CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) ORDER BY sl.location_id SEPARATOR ', ') AS locations
+            FROM batches b
+            JOIN products p ON b.product_id = p.product_id
+            LEFT JOIN batch_locations bl ON bl.batch_id = b.batch_id
+            LEFT JOIN storage_locations sl ON bl.location_id = sl.location_id
+            WHERE b.status = 'On Hold'
+            GROUP BY b.batch_id
+            ORDER BY b.batch_id ASC
+        `);
+        res.json(rows);
+    }
+    catch (err) {
+        console.error('Error fetching batches on hold:', err);
+        next(err);
+    }
+});
+
+// Batches: QA release from hold (back to Available, or rejected as Damaged)
+app.put('/batches/:id/release', requireRole('qa'), async (req, res, next) => {
+    const { id } = req.params;
+    const { notes, decision = 'Release' } = req.body;
+    const released_by = req.user.full_name;
+
+    if (!['Release', 'Reject'].includes(decision)) {
+        return res.status(400).json({ error: 'Invalid decision. Must be "Release" or "Reject".' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [batchRows] = await connection.query(
+            'SELECT * FROM batches WHERE batch_id = ? FOR UPDATE',
+            [id]
+        );
+        if (batchRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Batch not found.' });
+        }
+        if (batchRows[0].status !== 'On Hold') {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Batch is not On Hold.' });
+        }
+
+        // Exposure so far, including any excursion still open, counts as reviewed by QA
+        const [openExposure] = await connection.query(
+            `SELECT COALESCE(SUM(TIMESTAMPDIFF(MINUTE, eb.joined_at, NOW())), 0) AS minutes
+             FROM excursion_batches eb
+             JOIN temperature_excursions e ON eb.excursion_id = e.excursion_id
+             WHERE eb.batch_id = ? AND e.status = 'Open'`,
+            [id]
+        );
+        const acceptedMinutes = batchRows[0].excursion_minutes + Number(openExposure[0].minutes);
+
+        await connection.query(
+            `UPDATE batches SET status = ?, hold_reason = NULL, excursion_minutes_accepted = ? WHERE batch_id = ?`,
+            [decision === 'Release' ? 'Available' : 'Damaged', acceptedMinutes, id]
+        );
+
+        await connection.query(
+            'INSERT INTO batch_hold_releases (batch_id, hold_reason, released_by, notes) VALUES (?, ?, ?, ?)',
+            [id, batchRows[0].hold_reason, released_by, `${decision === 'Release' ? 'Released' : 'Rejected'}${notes ? `: ${notes}` : ''}`]
+        );
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: id, action: 'Update',
+            before: batchRows[0], after: await getAuditSnapshot(connection, 'batch', id),
+            actor: req.user, reasonCode: decision === 'Release' ? 'QA Release' : 'QA Rejection', reasonNotes: notes || null
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        const [updatedBatch] = await pool.query('SELECT * FROM batches WHERE batch_id = ?', [id]);
+        res.json(updatedBatch[0]);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error releasing batch from hold:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Putaway: Tasks waiting for (or done by) a location scan
+app.get('/putaway_tasks', async (req, res, next) => {
+    const status = req.query.status || 'Pending';
+    if (!['Pending', 'Completed'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status. Must be Pending or Completed.' });
+    }
+    try {
+        const [rows] = await pool.query(
+            `SELECT pt.putaway_id, pt.batch_id, pt.quantity, pt.status, pt.created_at, pt.confirmed_at,
+                    b.batch_number, p.name AS product_name, p.category,
+                    pt.planned_location_id, CONCAT(pl.zone, '-', pl.rack, '-', pl.slot) AS planned_location_name,
+                    pt.location_id, CONCAT(al.zone, '-', al.rack, '-', al.slot) AS location_name,
+                    cu.full_name AS created_by, fu.full_name AS confirmed_by
+             FROM putaway_tasks pt
+             JOIN batches b ON pt.batch_id = b.batch_id
+             JOIN products p ON b.product_id = p.product_id
+             JOIN storage_locations pl ON pt.planned_location_id = pl.location_id
+             LEFT JOIN storage_locations al ON pt.location_id = al.location_id
+             LEFT JOIN users cu ON pt.created_by = cu.user_id
+             LEFT JOIN users fu ON pt.confirmed_by = fu.user_id
+             WHERE pt.status = ?
+             ORDER BY pt.putaway_id ${status === 'Pending' ? 'ASC' : 'DESC'}
+             LIMIT 500`,
+            [status]
+        );
+        res.json(rows);
+    }
+    catch (err) {
+        console.error('Error fetching putaway tasks:', err);
+        next(err);
+    }
+});
+
+// Putaway: Confirm a task by scanning the location label (Zone-Rack-Slot) or entering its location ID.
+// A different location than planned is accepted if it passes the same rules as smart allocation.
+app.put('/putaway_tasks/:id/confirm', requireRole('admin', 'receiver'), async (req, res, next) => {
+    const { id } = req.params;
+    const { location_code } = req.body;
+
+    if (location_code === undefined || location_code === null || String(location_code).trim() === '') {
+        return res.status(400).json({ error: 'Scan or enter the location the stock was put into.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [taskRows] = await connection.query('SELECT * FROM putaway_tasks WHERE putaway_id = ? FOR UPDATE', [id]);
+        if (taskRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Putaway task not found.' });
+        }
+        const task = taskRows[0];
+        if (task.status !== 'Pending') {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Putaway task is already confirmed.' });
+        }
+
+        const code = String(location_code).trim();
+        const location = await findLocationByCode(connection, code);
+        if (!location) {
+            await connection.rollback();
+            return res.status(404).json({ error: `No storage location matches '${code}'.` });
+        }
+        const locationId = location.location_id;
+
+        const [batchRows] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [task.batch_id]);
+        const batch = batchRows[0];
+        const [productRows] = await connection.query('SELECT product_id, name, category, size_type FROM products WHERE product_id = ?', [batch.product_id]);
+        const { reason } = await checkLocationForProduct(connection, productRows[0], locationId, task.quantity, task.putaway_id);
+        if (reason) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cannot put batch ${batch.batch_number} into '${code}': ${reason}.` });
+        }
+
+        await recordStockMovement(connection, {
+            batchId: batch.batch_id, movementType: 'Receipt', toLocationId: locationId, quantity: task.quantity,
+            reference: `Putaway #${task.putaway_id} for batch ${batch.batch_number}${locationId !== task.planned_location_id ? ' (not the planned location)' : ''}`,
+            actor: req.user
+        });
+        await connection.query(
+            `UPDATE putaway_tasks SET status = 'Completed', location_id = ?, confirmed_by = ?, confirmed_at = NOW() WHERE putaway_id = ?`,
+            [locationId, req.user.user_id, task.putaway_id]
+        );
+
+        // The batch becomes Available once all of its stock is put away (a batch held meanwhile stays On Hold)
+        const [[{ pending }]] = await connection.query(
+            `SELECT COUNT(*) AS pending FROM putaway_tasks WHERE batch_id = ? AND status = 'Pending'`,
+            [batch.batch_id]
+        );
+        if (pending === 0 && batch.status === 'Awaiting Putaway') {
+            await connection.query(`UPDATE batches SET status = 'Available' WHERE batch_id = ?`, [batch.batch_id]);
+        }
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: batch.batch_id, action: 'Update',
+            before: batch, after: await getAuditSnapshot(connection, 'batch', batch.batch_id),
+            actor: req.user, reasonCode: 'Putaway', reasonNotes: `Putaway #${task.putaway_id}: ${task.quantity} units into location ${locationId}`
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('putawayTasksChanged');
+        res.json({ message: 'Putaway confirmed.', putaway_id: task.putaway_id, batch_id: batch.batch_id, location_id: locationId, remaining_tasks: pending });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error confirming putaway:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Transfers: Move all or part of a batch from one location to another
+app.post('/transfers', requireRole('admin', 'receiver'), async (req, res, next) => {
+    const { batch_id, from_location_id, to_location_id, quantity } = req.body;
+
+    if (!batch_id || !from_location_id || !to_location_id || quantity === undefined || !Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+        return res.status(400).json({ error: 'Batch, from location, to location and a positive whole quantity are required.' });
+    }
+    if (Number(from_location_id) === Number(to_location_id)) {
+        return res.status(400).json({ error: 'From and to locations must be different.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [batchRows] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [batch_id]);
+        if (batchRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Batch not found.' });
+        }
+        const batch = batchRows[0];
+
+        // Stock already allocated to pending picks in the source location has to stay there
+        const [portionRows] = await connection.query(
+            `SELECT bl.quantity,
+                    COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                              WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'), 0) AS pending_picks
+             FROM batch_locations bl
+             WHERE bl.batch_id = ? AND bl.location_id = ?
+             FOR UPDATE`,
+            [batch_id, from_location_id]
+        );
+        if (portionRows.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Batch ${batch.batch_number} is not stored in location ${from_location_id}.` });
+        }
+        const [[fromLocation]] = await connection.query('SELECT is_quarantine FROM storage_locations WHERE location_id = ?', [from_location_id]);
+        if (fromLocation.is_quarantine) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Batch ${batch.batch_number} is in quarantine in location ${from_location_id}; returned stock leaves quarantine through a QA decision.` });
+        }
+        const movable = portionRows[0].quantity - Number(portionRows[0].pending_picks);
+        if (Number(quantity) > movable) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Only ${movable} units of batch ${batch.batch_number} can be moved from location ${from_location_id} (${portionRows[0].pending_picks} are allocated to pending picks).` });
+        }
+
+        const [productRows] = await connection.query('SELECT product_id, name, category, size_type FROM products WHERE product_id = ?', [batch.product_id]);
+        const { reason } = await checkLocationForProduct(connection, productRows[0], to_location_id, Number(quantity));
+        if (reason) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cannot move batch ${batch.batch_number} to location ${to_location_id}: ${reason}.` });
+        }
+
+        const movementId = await recordStockMovement(connection, {
+            batchId: batch.batch_id, movementType: 'Transfer',
+            fromLocationId: from_location_id, toLocationId: to_location_id, quantity,
+            reference: `Transfer of batch ${batch.batch_number}`, actor: req.user
+        });
+
+        await connection.commit();
+        io.emit('stockTransferred', { batch_id: batch.batch_id, from_location_id: Number(from_location_id), to_location_id: Number(to_location_id), quantity: Number(quantity) });
+        res.status(201).json({ message: 'Transfer recorded.', movement_id: movementId });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error transferring stock:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Get all (with delivery addresses and picking rules)
+app.get('/customers', async (req, res, next) => {
+    try {
+        const [customers] = await pool.query('SELECT * FROM customers ORDER BY name');
+        const [addresses] = await pool.query('SELECT * FROM customer_addresses ORDER BY is_default DESC, label');
+        const [excluded] = await pool.query(
+            `SELECT ceb.customer_id, b.batch_id, b.batch_number
+             FROM customer_excluded_batches ceb
+             JOIN batches b ON ceb.batch_id = b.batch_id`
+        );
+        customers.forEach(customer => {
+            customer.single_batch_per_line = Boolean(customer.single_batch_per_line);
+            customer.is_active = Boolean(customer.is_active);
+            customer.addresses = addresses.filter(address => address.customer_id === customer.customer_id);
+            customer.excluded_batches = excluded
+                .filter(row => row.customer_id === customer.customer_id)
+                .map(({ customer_id, ...batch }) => batch);
+        });
+        res.json(customers);
+    }
+    catch (err) {
+        console.error('Error fetching customers:', err);
+        next(err);
+    }
+});
+
+// Customers: Get one
+app.get('/customers/:customerId', async (req, res, next) => {
+    try {
+        const customer = await getCustomerSnapshot(pool, req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+        res.json(customer);
+    }
+    catch (err) {
+        console.error('Error fetching customer:', err);
+        next(err);
+    }
+});
+
+// Customers: Add new (with optional delivery addresses)
+app.post('/customers', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { name, customer_type, contact_name, contact_email, contact_phone, licence_number, licence_expiry, addresses = [] } = req.body;
+
+    const customerError = validateCustomerFields(req.body, true);
+    if (customerError) {
+        return res.status(400).json({ error: customerError });
+    }
+    const addressError = Array.isArray(addresses)
+        ? addresses.map(address => validateAddressFields(address, true)).find(Boolean)
+        : 'addresses must be a list.';
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            `INSERT INTO customers (name, customer_type, contact_name, contact_email, contact_phone, licence_number, licence_expiry)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [name, customer_type, contact_name || null, contact_email || null, contact_phone || null, licence_number, licence_expiry]
+        );
+        const customerId = result.insertId;
+        for (const [index, address] of addresses.entries()) {
+            // The first address is the default unless another one is marked
+            const isDefault = addresses.some(a => a.is_default) ? Boolean(address.is_default) : index === 0;
+            await insertCustomerAddress(connection, customerId, { ...address, is_default: isDefault });
+        }
+
+        const customer = await getCustomerSnapshot(connection, customerId);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Create', after: customer, actor: req.user });
+        await connection.commit();
+        res.status(201).json({ message: 'Customer added successfully', customer });
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `A customer named "${name}" already exists.` });
+        }
+        console.error('Error adding customer:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Update contact and licence details
+app.put('/customers/:customerId', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { customerId } = req.params;
+
+    const customerError = validateCustomerFields(req.body, false);
+    if (customerError) {
+        return res.status(400).json({ error: customerError });
+    }
+    const fields = CUSTOMER_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+        return res.status(400).json({ error: `Nothing to update. Send one or more of: ${CUSTOMER_FIELDS.join(', ')}.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getCustomerSnapshot(connection, customerId, true);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+
+        await connection.query(
+            `UPDATE customers SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE customer_id = ?`,
+            [...fields.map(field => req.body[field] === '' ? null : req.body[field]), customerId]
+        );
+        const after = await getCustomerSnapshot(connection, customerId);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Update', before, after, actor: req.user });
+        await connection.commit();
+        res.json({ message: 'Customer updated successfully', customer: after });
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `A customer named "${req.body.name}" already exists.` });
+        }
+        console.error('Error updating customer:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Delete (only customers without orders; deactivate the others with is_active = false)
+app.delete('/customers/:customerId', requireRole('admin'), async (req, res, next) => {
+    const { customerId } = req.params;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getCustomerSnapshot(connection, customerId, true);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+        const [[orderCount]] = await connection.query('SELECT COUNT(*) AS count FROM orders WHERE customer_id = ?', [customerId]);
+        if (orderCount.count > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `${before.name} has ${orderCount.count} order(s) and cannot be deleted. Deactivate the customer instead.` });
+        }
+
+        await connection.query('DELETE FROM customers WHERE customer_id = ?', [customerId]);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Delete', before, actor: req.user });
+        await connection.commit();
+        res.json({ message: 'Customer deleted successfully' });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error deleting customer:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Add a delivery address
+app.post('/customers/:customerId/addresses', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { customerId } = req.params;
+
+    const addressError = validateAddressFields(req.body, true);
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getCustomerSnapshot(connection, customerId, true);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+
+        // A customer's first address becomes its default
+        const addressId = await insertCustomerAddress(connection, customerId, { ...req.body, is_default: Boolean(req.body.is_default) || before.addresses.length === 0 });
+        const after = await getCustomerSnapshot(connection, customerId);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Update', before, after, actor: req.user });
+        await connection.commit();
+        res.status(201).json({ message: 'Address added successfully', address: after.addresses.find(address => address.address_id === addressId) });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error adding customer address:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Update a delivery address
+app.put('/customers/:customerId/addresses/:addressId', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { customerId, addressId } = req.params;
+
+    const addressError = validateAddressFields(req.body, false);
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+    const fields = ADDRESS_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0 && req.body.is_default === undefined) {
+        return res.status(400).json({ error: `Nothing to update. Send one or more of: ${ADDRESS_FIELDS.join(', ')}, is_default.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getCustomerSnapshot(connection, customerId, true);
+        if (!before || !before.addresses.some(address => address.address_id === Number(addressId))) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Address not found for this customer.' });
+        }
+        // A customer always keeps a default address; it only moves when another address is made the default
+        const address = before.addresses.find(a => a.address_id === Number(addressId));
+        if (req.body.is_default === false && address.is_default) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This is the default address. Make another address the default instead.' });
+        }
+
+        if (fields.length > 0) {
+            await connection.query(
+                `UPDATE customer_addresses SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE address_id = ?`,
+                [...fields.map(field => req.body[field] === '' ? null : req.body[field]), addressId]
+            );
+        }
+        if (req.body.is_default === true) {
+            await connection.query('UPDATE customer_addresses SET is_default = (address_id = ?) WHERE customer_id = ?', [addressId, customerId]);
+        }
+        const after = await getCustomerSnapshot(connection, customerId);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Update', before, after, actor: req.user });
+        await connection.commit();
+        res.json({ message: 'Address updated successfully', address: after.addresses.find(address => address.address_id === Number(addressId)) });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error updating customer address:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Remove a delivery address (not while orders ship to it)
+app.delete('/customers/:customerId/addresses/:addressId', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { customerId, addressId } = req.params;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getCustomerSnapshot(connection, customerId, true);
+        const address = before && before.addresses.find(a => a.address_id === Number(addressId));
+        if (!address) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Address not found for this customer.' });
+        }
+        const [[orderCount]] = await connection.query('SELECT COUNT(*) AS count FROM orders WHERE ship_to_address_id = ?', [addressId]);
+        if (orderCount.count > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Address "${address.label}" is the ship-to of ${orderCount.count} order(s) and cannot be removed.` });
+        }
+
+        await connection.query('DELETE FROM customer_addresses WHERE address_id = ?', [addressId]);
+        if (address.is_default) {
+            // Another address takes over as the default
+            await connection.query('UPDATE customer_addresses SET is_default = TRUE WHERE customer_id = ? ORDER BY address_id LIMIT 1', [customerId]);
+        }
+        const after = await getCustomerSnapshot(connection, customerId);
+        await recordAudit(connection, { entityType: 'customer', entityId: customerId, action: 'Update', before, after, actor: req.user });
+        await connection.commit();
+        res.json({ message: 'Address removed successfully' });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error removing customer address:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Customers: Set picking rules (minimum days to expiry, excluded batches, single batch per line)
+app.put('/customers/:customerId/picking_rules', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { customerId } = req.params;
+    const { min_shelf_life_days, single_batch_per_line, excluded_batch_ids } = req.body;
+
+    const rulesError = validatePickingRules(req.body);
+    if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const customer = await getCustomerSnapshot(connection, customerId, true);
+        if (!customer) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+
+        await connection.query(
+            'UPDATE customers SET min_shelf_life_days = ?, single_batch_per_line = ? WHERE customer_id = ?',
+            [
+                min_shelf_life_days !== undefined ? Number(min_shelf_life_days) : customer.min_shelf_life_days,
+                single_batch_per_line !== undefined ? single_batch_per_line : customer.single_batch_per_line,
+                customerId
+            ]
+        );
+        if (excluded_batch_ids !== undefined) {
+            await connection.query('DELETE FROM customer_excluded_batches WHERE customer_id = ?', [customerId]);
+            for (const batchId of new Set(excluded_batch_ids.map(Number))) {
+                const [batchRows] = await connection.query('SELECT batch_id FROM batches WHERE batch_id = ?', [batchId]);
+                if (batchRows.length === 0) {
+                    await connection.rollback();
+                    return res.status(400).json({ error: `Batch ${batchId} does not exist.` });
+                }
+                await connection.query('INSERT INTO customer_excluded_batches (customer_id, batch_id) VALUES (?, ?)', [customerId, batchId]);
+            }
+        }
+
+        await recordAudit(connection, {
+            entityType: 'customer', entityId: customerId, action: 'Update',
+            before: customer, after: await getCustomerSnapshot(connection, customerId), actor: req.user
+        });
+        await connection.commit();
+        console.log(`Picking rules for customer ${customer.name} updated by ${req.user.username}.`);
+        res.json({ customer_id: Number(customerId), ...(await getPickingRules(pool, customerId)) });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error updating customer picking rules:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Orders: Get all (with nested items and picked batches)
+app.get('/orders', async (req, res, next) => {
+    try {
+        const [orders] = await pool.query(`
+            SELECT o.*, w.status AS wave_status, d.dispatch_id, d.shipper_type, d.coolant, d.logger_id, d.shipment_status,
+                   d.required_min_temp, d.required_max_temp, d.logger_min_temp, d.logger_max_temp, d.out_of_range_minutes,
+                   c.name AS customer_name, c.customer_type,
+                   a.label AS ship_to_label,
+                   CONCAT_WS(', ', a.address_line1, a.address_line2, a.city, a.postcode, a.country) AS ship_to_address
+            FROM orders o
+            LEFT JOIN customers c ON o.customer_id = c.customer_id
+            LEFT JOIN customer_addresses a ON o.ship_to_address_id = a.address_id
+            LEFT JOIN pick_waves w ON o.wave_id = w.wave_id
+            LEFT JOIN dispatches d ON d.order_id = o.order_id
+        `);
+
+        const ordersWithDetails = await Promise.all(orders.map(async (order) => {
+            const [items] = await pool.query(
+                `SELECT oi.product_id, oi.quantity, oi.cancelled_quantity, p.name AS product_name
+                 FROM order_items oi
+                 JOIN products p ON oi.product_id = p.product_id
+                 WHERE oi.order_id = ?`,
+                [order.order_id]
+            );
+            order.items = items;
+
+            const [pickedBatches] = await pool.query(
+                `SELECT obp.pick_id, obp.batch_id, obp.location_id, obp.quantity_picked, obp.status,
+                        b.batch_number, b.barcode, p.name AS product_name, p.category, p.is_serialised,
+                        sl.zone, sl.rack, sl.slot, sl.size_type
+                 FROM order_batch_picks obp
+                 JOIN batches b ON obp.batch_id = b.batch_id
+                 JOIN products p ON b.product_id = p.product_id
+                 LEFT JOIN storage_locations sl ON obp.location_id = sl.location_id
+                 WHERE obp.order_id = ? AND obp.status <> 'Cancelled'`,
+                [order.order_id]
+            );
+            order.picked_batches = pickedBatches;
+            return order;
+        }));
+
+        res.json(ordersWithDetails);
+    }
+    catch (err) {
+        console.error('Error fetching orders:', err);
+        next(err);
+    }
+});
+
+// Orders: Create new (handles stock reduction and pick assignment)
+app.post('/orders', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { items, customer_id, ship_to_address_id, requested_delivery_date, priority = 'Normal', picking_rules } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'Order must contain at least one item.' });
+    }
+    if (!customer_id) {
+        return res.status(400).json({ error: 'Order must name a customer.' });
+    }
+    if (!ORDER_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `Invalid priority. Must be one of: ${ORDER_PRIORITIES.join(', ')}.` });
+    }
+    if (requested_delivery_date && isNaN(new Date(requested_delivery_date).getTime())) {
+        return res.status(400).json({ error: 'Invalid requested delivery date.' });
+    }
+    const rulesError = validatePickingRules(picking_rules);
+    if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const customer = await getCustomerSnapshot(connection, customer_id);
+        if (!customer) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+        if (!customer.is_active) {
+            await connection.rollback();
+            return res.status(409).json({ error: `${customer.name} is inactive and cannot place orders.` });
+        }
+        if (isLicenceExpired(customer)) {
+            await connection.rollback();
+            return res.status(409).json({ error: `${customer.name}'s licence ${customer.licence_number} expired on ${formatDateOnly(customer.licence_expiry)}. Orders cannot be placed until it is renewed.` });
+        }
+        // Without an explicit ship-to the order goes to the customer's default address
+        const shipTo = ship_to_address_id
+            ? customer.addresses.find(address => address.address_id === Number(ship_to_address_id))
+            : customer.addresses.find(address => address.is_default);
+        if (!shipTo) {
+            await connection.rollback();
+            return res.status(400).json({ error: ship_to_address_id ? `Address ${ship_to_address_id} does not belong to ${customer.name}.` : `${customer.name} has no default delivery address.` });
+        }
+
+        const rules = await getPickingRules(connection, customer_id, picking_rules || {});
+
+        const [orderResult] = await connection.query(
+            `INSERT INTO orders (order_date, status, customer_id, ship_to_address_id, requested_delivery_date, priority,
+                                 min_shelf_life_days, single_batch_per_line, excluded_batch_ids)
+             VALUES (NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                'Pending', customer_id, shipTo.address_id, requested_delivery_date ? formatDateOnly(requested_delivery_date) : null, priority,
+                rules.min_shelf_life_days, rules.single_batch_per_line, JSON.stringify(rules.excluded_batch_ids)
+            ]
+        );
+        const orderId = orderResult.insertId;
+
+        for (const item of items) {
+            const { product_id, quantity } = item;
+            if (!product_id || quantity === undefined || isNaN(quantity) || quantity <= 0) {
+                throw new Error('Invalid product or quantity in order item.');
+            }
+
+            await connection.query(
+                'INSERT INTO order_items (order_id, product_id, quantity) VALUES (?, ?, ?)',
+                [orderId, product_id, quantity]
+            );
+
+            // Stock stays on the shelf (and in batch_locations) until it is picked, so quantities
+            // already allocated to other orders' pending picks are not available again.
+            // Each location holding part of a batch is allocated separately; batches are taken FEFO
+            // and the portions of one batch stay together, larger portions first
+            const [availablePortions] = await connection.query(
+                `SELECT
+                    bl.batch_id,
+                    bl.location_id,
+                    b.expiry_date,
+                    DATEDIFF(b.expiry_date, CURDATE()) AS days_to_expiry,
+                    bl.quantity - COALESCE((
+                        SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                        WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'
+                    ), 0) AS quantity
+                 FROM batch_locations bl
+                 JOIN batches b ON bl.batch_id = b.batch_id
+                 JOIN storage_locations sl ON bl.location_id = sl.location_id
+                 WHERE b.product_id = ? AND b.status = 'Available' AND NOT sl.is_quarantine
+                 HAVING quantity > 0
+                 ORDER BY b.expiry_date ASC, bl.batch_id ASC, bl.quantity DESC
+                 FOR UPDATE`,
+                [product_id]
+            );
+            availablePortions.forEach(portion => { portion.quantity = Number(portion.quantity); });
+
+            const plan = planOrderLinePicks(availablePortions, Number(quantity), rules);
+            if (plan.picks.length === 0) {
+                await connection.rollback();
+                const [[product]] = await connection.query('SELECT name FROM products WHERE product_id = ?', [product_id]);
+                return res.status(409).json({
+                    error: describePickingShortage(product ? product.name : `product ID ${product_id}`, Number(quantity), plan, rules),
+                    product_id,
+                    requested: Number(quantity),
+                    allocatable: plan.allocatable,
+                    excluded: plan.excluded
+                });
+            }
+
+            for (const pick of plan.picks) {
+                const [pickResult] = await connection.query(
+                    'INSERT INTO order_batch_picks (order_id, batch_id, location_id, quantity_picked, status) VALUES (?, ?, ?, ?, ?)',
+                    [orderId, pick.batch_id, pick.location_id, pick.quantity, 'Pending Pick']
+                );
+                await recordAudit(connection, {
+                    entityType: 'pick', entityId: pickResult.insertId, action: 'Create',
+                    after: await getAuditSnapshot(connection, 'pick', pickResult.insertId), actor: req.user
+                });
+            }
+        }
+
+        const [orderItems] = await connection.query('SELECT product_id, quantity FROM order_items WHERE order_id = ?', [orderId]);
+        await recordAudit(connection, {
+            entityType: 'order', entityId: orderId, action: 'Create',
+            after: { ...(await getAuditSnapshot(connection, 'order', orderId)), items: orderItems }, actor: req.user
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        res.status(201).json({ message: 'Order placed successfully', order: { order_id: orderId } });
+
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error creating order (backend):', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Orders: Update status
+app.put('/orders/:orderId', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { orderId } = req.params;
+    const { status } = req.body;
+
+    if (!status || !['Pending', 'Completed', 'Dispatched', 'Cancelled'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid order status provided.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [orderRows] = await connection.query('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+        if (orderRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        const before = orderRows[0];
+        if (!ORDER_STATUS_TRANSITIONS[before.status].includes(status)) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${orderId} cannot go from ${before.status} to ${status}.` });
+        }
+
+        const [[pickCounts]] = await connection.query(
+            `SELECT COALESCE(SUM(status = 'Pending Pick'), 0) AS pending, COALESCE(SUM(status = 'Dispatched'), 0) AS dispatched
+             FROM order_batch_picks WHERE order_id = ?`,
+            [orderId]
+        );
+        if (['Completed', 'Dispatched'].includes(status) && Number(pickCounts.pending) > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${orderId} still has ${pickCounts.pending} item(s) waiting to be picked.` });
+        }
+        if (status === 'Dispatched') {
+            const unverified = await countUnverifiedPicks(connection, orderId);
+            if (unverified > 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Order ${orderId} has ${unverified} item(s) that were not scan-verified at picking and cannot be dispatched.` });
+            }
+            const missingSerials = await countPicksMissingSerials(connection, orderId);
+            if (missingSerials > 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Order ${orderId} has ${missingSerials} serialised item(s) without a serial number for every pack.` });
+            }
+            const recalledPicks = await countRecalledPicks(connection, orderId);
+            if (recalledPicks > 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Order ${orderId} has ${recalledPicks} item(s) from recalled batches and cannot be dispatched.` });
+            }
+        }
+        // Cancelling the whole order releases every pending pick and returns picked stock to its location
+        if (status === 'Cancelled') {
+            if (Number(pickCounts.dispatched) > 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Order ${orderId} has dispatched items and cannot be cancelled.` });
+            }
+            await cancelOrderPicks(connection, orderId, { actor: req.user, reason: req.body.reason || null });
+            await connection.query('UPDATE order_items SET cancelled_quantity = quantity WHERE order_id = ?', [orderId]);
+        }
+
+        await connection.query(
+            'UPDATE orders SET status = ? WHERE order_id = ?',
+            [status, orderId]
+        );
+        const updatedOrder = await getAuditSnapshot(connection, 'order', orderId);
+        await recordAudit(connection, {
+            entityType: 'order', entityId: orderId, action: 'Update', before, after: updatedOrder, actor: req.user,
+            reasonNotes: status === 'Cancelled' ? (req.body.reason || null) : null
+        });
+        // An order leaving Pending may have been the last one its wave was waiting for
+        const waveCompleted = await completeWaveIfDone(connection, before.wave_id);
+        await connection.commit();
+        if (status === 'Cancelled') {
+            scheduleAlertEvaluation();
+            io.emit('orderCancelled', { order_id: Number(orderId) });
+        }
+        if (waveCompleted) io.emit('wavesChanged');
+        res.json(updatedOrder);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error updating order status:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Orders: Cancel part of an order ({ items: [{ product_id, quantity }] }) or all of it (no items)
+app.post('/orders/:orderId/cancel', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.some(item =>
+        !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0))) {
+        return res.status(400).json({ error: 'Each item to cancel needs a product_id and a positive whole quantity.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [orderRows] = await connection.query('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+        if (orderRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        const before = orderRows[0];
+        if (!ORDER_STATUS_TRANSITIONS[before.status].includes('Cancelled')) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${orderId} is ${before.status} and can no longer be cancelled.` });
+        }
+
+        const [orderItems] = await connection.query('SELECT * FROM order_items WHERE order_id = ? FOR UPDATE', [orderId]);
+        // No items means every open unit of every product
+        const toCancel = items
+            ? items.map(item => ({ product_id: Number(item.product_id), quantity: Number(item.quantity) }))
+            : orderItems.map(oi => ({ product_id: oi.product_id, quantity: oi.quantity - oi.cancelled_quantity })).filter(item => item.quantity > 0);
+
+        for (const item of toCancel) {
+            const orderItem = orderItems.find(oi => oi.product_id === item.product_id);
+            if (!orderItem) {
+                await connection.rollback();
+                return res.status(400).json({ error: `Product ${item.product_id} is not on order ${orderId}.` });
+            }
+            const cancelled = await cancelOrderPicks(connection, orderId, {
+                productId: item.product_id, quantity: item.quantity, actor: req.user, reason: reason || null
+            });
+            // Dispatched units, and units already cancelled, cannot be cancelled again
+            if (cancelled < item.quantity) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Only ${cancelled} unit(s) of product ${item.product_id} on order ${orderId} can still be cancelled.` });
+            }
+            await connection.query(
+                'UPDATE order_items SET cancelled_quantity = cancelled_quantity + ? WHERE order_item_id = ?',
+                [item.quantity, orderItem.order_item_id]
+            );
+        }
+
+        // The order is Cancelled once nothing is left on it; otherwise it is Completed if only picked items remain
+        const [[remaining]] = await connection.query(
+            `SELECT
+                (SELECT COALESCE(SUM(quantity - cancelled_quantity), 0) FROM order_items WHERE order_id = ?) AS open_units,
+                (SELECT COUNT(*) FROM order_batch_picks WHERE order_id = ? AND status = 'Pending Pick') AS pending_picks`,
+            [orderId, orderId]
+        );
+        let newStatus = before.status;
+        if (Number(remaining.open_units) === 0) {
+            newStatus = 'Cancelled';
+        } else if (before.status === 'Pending' && Number(remaining.pending_picks) === 0) {
+            newStatus = 'Completed';
+        }
+        if (newStatus !== before.status) {
+            await connection.query('UPDATE orders SET status = ? WHERE order_id = ?', [newStatus, orderId]);
+        }
+
+        const [updatedItems] = await connection.query('SELECT product_id, quantity, cancelled_quantity FROM order_items WHERE order_id = ?', [orderId]);
+        await recordAudit(connection, {
+            entityType: 'order', entityId: orderId, action: 'Update',
+            before: { ...before, items: orderItems.map(({ product_id, quantity, cancelled_quantity }) => ({ product_id, quantity, cancelled_quantity })) },
+            after: { ...(await getAuditSnapshot(connection, 'order', orderId)), items: updatedItems },
+            actor: req.user, reasonCode: 'Order Cancellation', reasonNotes: reason || null
+        });
+        // Cancelling the last pending order of a wave completes the wave
+        const waveCompleted = await completeWaveIfDone(connection, before.wave_id);
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('orderCancelled', { order_id: Number(orderId) });
+        if (waveCompleted) io.emit('wavesChanged');
+        res.json({ message: newStatus === 'Cancelled' ? 'Order cancelled.' : 'Order partly cancelled.', order_id: Number(orderId), status: newStatus, items: updatedItems });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error cancelling order:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Order Batch Picks: Update status. Marking an item Picked needs the scanned location label and batch barcode.
+app.put('/order_batch_picks/:pickId', requireRole('admin', 'picker', 'dispatcher'), async (req, res, next) => {
+    const { pickId } = req.params;
+    const { status, location_code, barcode, serial_numbers } = req.body;
+
+    if (!status || !['Picked', 'Pending Pick', 'Dispatched'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid pick status provided. Must be Picked, Pending Pick, or Dispatched.' });
+    }
+    if (status === 'Picked' && (!location_code || !String(location_code).trim() || !barcode || !String(barcode).trim())) {
+        return res.status(400).json({ error: 'Scan the pick location and the batch barcode to mark an item Picked.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [pickRows] = await connection.query('SELECT * FROM order_batch_picks WHERE pick_id = ? FOR UPDATE', [pickId]);
+        if (pickRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Pick item not found or status already set.' });
+        }
+        const before = pickRows[0];
+        if (!PICK_STATUS_TRANSITIONS[before.status].includes(status)) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Pick ${pickId} cannot go from ${before.status} to ${status}.` });
+        }
+        const [[order]] = await connection.query(
+            `SELECT o.*, w.status AS wave_status
+             FROM orders o LEFT JOIN pick_waves w ON o.wave_id = w.wave_id
+             WHERE o.order_id = ?`,
+            [before.order_id]
+        );
+        if (order.status === 'Cancelled') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${before.order_id} is cancelled.` });
+        }
+        // Picks of an order in an open wave follow the wave's route
+        if (order.wave_status === 'Open' && before.status === 'Pending Pick') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${before.order_id} is in pick wave ${order.wave_id}. Confirm its items from the wave route.` });
+        }
+        if (status === 'Dispatched' && !before.scan_verified_at) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Pick ${pickId} was not confirmed by scanning and cannot be dispatched.` });
+        }
+        if (status === 'Dispatched') {
+            const [[pickBatch]] = await connection.query('SELECT batch_number, status FROM batches WHERE batch_id = ?', [before.batch_id]);
+            if (pickBatch.status === 'Recalled') {
+                await connection.rollback();
+                return res.status(409).json({ error: `Batch ${pickBatch.batch_number} is under recall and cannot be dispatched.` });
+            }
+        }
+
+        // The scans decide what is picked; a FEFO-equivalent substitute takes over the pick's batch and location
+        let pick = before;
+        if (status === 'Picked') {
+            const scan = { locationCode: String(location_code).trim(), barcode: String(barcode).trim() };
+            const expected = { batch_id: before.batch_id, location_id: before.location_id, quantity: before.quantity_picked };
+            const scanned = await verifyPickScan(connection, expected, scan, { pick: before, order });
+            if (scanned.reason) {
+                await connection.rollback();
+                await recordScanMismatch({ pick: before, expected, scan, scanned, reason: scanned.reason, actor: req.user });
+                return res.status(409).json({ error: scanned.reason, mismatch: true });
+            }
+            if (scanned.substitute) {
+                pick = { ...before, batch_id: scanned.batch.batch_id, location_id: scanned.location.location_id };
+                await connection.query('UPDATE order_batch_picks SET batch_id = ?, location_id = ? WHERE pick_id = ?', [pick.batch_id, pick.location_id, pickId]);
+            }
+
+            // Serialised packs are recorded one by one
+            const [[product]] = await connection.query('SELECT * FROM products WHERE product_id = ?', [scanned.batch.product_id]);
+            if (product.is_serialised) {
+                const parsed = parseSerialList(serial_numbers, product, scanned.batch.batch_number);
+                const assigned = parsed.error ? parsed : await assignPickSerials(connection, pick, product, parsed.serials, req.user);
+                if (assigned.error) {
+                    await connection.rollback();
+                    await recordScanMismatch({ pick: before, expected, scan, scanned, reason: assigned.error, actor: req.user });
+                    return res.status(409).json({ error: assigned.error, mismatch: true });
+                }
+            }
+        }
+        if (before.status === 'Picked' && status === 'Pending Pick') {
+            await releasePickSerials(connection, before.pick_id, { notes: 'Pick returned to stock', actor: req.user });
+        }
+
+        // Goods leave their location when the item is picked, not when the order is placed
+        const wasPending = before.status === 'Pending Pick';
+        if (wasPending !== (status === 'Pending Pick')) {
+            const [batchRows] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [pick.batch_id]);
+            const batch = batchRows[0];
+            if (!pick.location_id) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Batch ${batch.batch_number} has no storage location to pick from.` });
+            }
+            if (wasPending) {
+                const [portionRows] = await connection.query(
+                    'SELECT quantity FROM batch_locations WHERE batch_id = ? AND location_id = ? FOR UPDATE',
+                    [pick.batch_id, pick.location_id]
+                );
+                const onHand = portionRows.length > 0 ? portionRows[0].quantity : 0;
+                if (onHand < pick.quantity_picked) {
+                    await connection.rollback();
+                    return res.status(409).json({ error: `Batch ${batch.batch_number} only has ${onHand} units on hand in its pick location; ${before.quantity_picked} are needed for this pick.` });
+                }
+            }
+            await recordStockMovement(connection, {
+                batchId: batch.batch_id,
+                movementType: wasPending ? 'Pick' : 'Adjustment',
+                fromLocationId: wasPending ? pick.location_id : null,
+                toLocationId: wasPending ? null : pick.location_id,
+                quantity: pick.quantity_picked, pickId: pick.pick_id,
+                reference: wasPending ? `Order #${pick.order_id}${pick.batch_id !== before.batch_id ? ' (substitute batch)' : ''}` : `Pick #${pick.pick_id} for order #${pick.order_id} returned to stock`,
+                actor: req.user
+            });
+            await recordAudit(connection, {
+                entityType: 'batch', entityId: batch.batch_id, action: 'Update',
+                before: batch, after: await getAuditSnapshot(connection, 'batch', batch.batch_id),
+                actor: req.user, reasonCode: wasPending ? 'Order Pick' : 'Pick Reversal', reasonNotes: `Order #${before.order_id}`
+            });
+        }
+
+        // The picker and scan time are recorded when an item is marked Picked (and cleared if it goes back to Pending Pick)
+        await connection.query(
+            `UPDATE order_batch_picks
+             SET status = ?, picked_by = CASE ? WHEN 'Picked' THEN ? WHEN 'Pending Pick' THEN NULL ELSE picked_by END,
+                 scan_verified_at = CASE ? WHEN 'Picked' THEN NOW() WHEN 'Pending Pick' THEN NULL ELSE scan_verified_at END
+             WHERE pick_id = ?`,
+            [status, status, req.user.user_id, status, pickId]
+        );
+        const updatedPick = await getAuditSnapshot(connection, 'pick', pickId);
+        await recordAudit(connection, { entityType: 'pick', entityId: pickId, action: 'Update', before, after: updatedPick, actor: req.user });
+        await connection.commit();
+        scheduleAlertEvaluation();
+        res.json(updatedPick);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error updating pick status:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Pick Waves: Get all (newest first; ?status=Open|Completed|Cancelled)
+app.get('/waves', requireRole('admin', 'picker', 'dispatcher'), async (req, res, next) => {
+    const { status } = req.query;
+    if (status && !['Open', 'Completed', 'Cancelled'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status. Must be Open, Completed or Cancelled.' });
+    }
+
+    try {
+        const [waves] = await pool.query(
+            `SELECT w.*, u.full_name AS created_by_name, COUNT(o.order_id) AS order_count
+             FROM pick_waves w
+             LEFT JOIN users u ON w.created_by = u.user_id
+             LEFT JOIN orders o ON o.wave_id = w.wave_id
+             WHERE (? IS NULL OR w.status = ?)
+             GROUP BY w.wave_id
+             ORDER BY w.created_at DESC`,
+            [status || null, status || null]
+        );
+        res.json(waves);
+    }
+    catch (err) {
+        console.error('Error fetching pick waves:', err);
+        next(err);
+    }
+});
+
+// Pick Waves: Get one with its walking route and per-order packing split
+app.get('/waves/:waveId', requireRole('admin', 'picker', 'dispatcher'), async (req, res, next) => {
+    try {
+        const wave = await getWaveDetails(pool, req.params.waveId);
+        if (!wave) {
+            return res.status(404).json({ error: 'Pick wave not found.' });
+        }
+        res.json(wave);
+    }
+    catch (err) {
+        console.error('Error fetching pick wave:', err);
+        next(err);
+    }
+});
+
+// Pick Waves: Group pending orders into a new wave
+app.post('/waves', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { order_ids } = req.body;
+
+    if (!Array.isArray(order_ids) || order_ids.length === 0 || order_ids.some(id => !Number.isInteger(Number(id)))) {
+        return res.status(400).json({ error: 'order_ids must be a non-empty list of order IDs.' });
+    }
+    const orderIds = [...new Set(order_ids.map(Number))];
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [orderRows] = await connection.query(
+            `SELECT o.*, w.status AS wave_status,
+                    (SELECT COUNT(*) FROM order_batch_picks obp WHERE obp.order_id = o.order_id AND obp.status = 'Pending Pick') AS pending_picks
+             FROM orders o
+             LEFT JOIN pick_waves w ON o.wave_id = w.wave_id
+             WHERE o.order_id IN (?)
+             FOR UPDATE`,
+            [orderIds]
+        );
+        const missing = orderIds.filter(id => !orderRows.some(order => order.order_id === id));
+        if (missing.length > 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: `Order(s) not found: ${missing.join(', ')}.` });
+        }
+        const problem = orderRows.map(order =>
+            order.status !== 'Pending' ? `Order ${order.order_id} is ${order.status}.`
+            : order.wave_status === 'Open' ? `Order ${order.order_id} is already in pick wave ${order.wave_id}.`
+            : Number(order.pending_picks) === 0 ? `Order ${order.order_id} has nothing left to pick.`
+            : null
+        ).find(Boolean);
+        if (problem) {
+            await connection.rollback();
+            return res.status(409).json({ error: problem });
+        }
+
+        const [waveResult] = await connection.query('INSERT INTO pick_waves (status, created_by) VALUES (?, ?)', ['Open', req.user.user_id]);
+        const waveId = waveResult.insertId;
+        for (const { wave_status, pending_picks, ...before } of orderRows) {
+            await connection.query('UPDATE orders SET wave_id = ? WHERE order_id = ?', [waveId, before.order_id]);
+            await recordAudit(connection, {
+                entityType: 'order', entityId: before.order_id, action: 'Update',
+                before, after: await getAuditSnapshot(connection, 'order', before.order_id), actor: req.user
+            });
+        }
+
+        await connection.commit();
+        console.log(`Pick wave ${waveId} created with orders ${orderIds.join(', ')} by ${req.user.username}.`);
+        io.emit('wavesChanged');
+        res.status(201).json(await getWaveDetails(pool, waveId));
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error creating pick wave:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Pick Waves: Confirm the next stop of the route (every order's pick at that batch and location) by scanning
+// its location label and batch barcode. A merged stop must be picked from exactly the planned batch.
+app.put('/waves/:waveId/stops/confirm', requireRole('admin', 'picker', 'dispatcher'), async (req, res, next) => {
+    const { waveId } = req.params;
+    const { location_code, barcode, serial_numbers } = req.body;
+
+    if (!location_code || !String(location_code).trim() || !barcode || !String(barcode).trim()) {
+        return res.status(400).json({ error: 'Scan the stop\'s location and the batch barcode to confirm it.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const wave = await getWaveDetails(connection, waveId, true);
+        if (!wave) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Pick wave not found.' });
+        }
+        if (wave.status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Pick wave ${waveId} is ${wave.status}.` });
+        }
+        // Stops are confirmed in walking order
+        const stop = wave.route.find(s => s.status === 'Pending');
+        if (!stop) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Every stop of pick wave ${waveId} has been picked.` });
+        }
+        const pendingPicks = stop.picks.filter(pick => pick.status === 'Pending Pick');
+        const needed = pendingPicks.reduce((sum, pick) => sum + pick.quantity, 0);
+        const scan = { locationCode: String(location_code).trim(), barcode: String(barcode).trim() };
+        const expected = { batch_id: stop.batch_id, location_id: stop.location_id, quantity: needed };
+        const scanned = await verifyPickScan(connection, expected, scan);
+        if (scanned.reason) {
+            await connection.rollback();
+            const reason = `${scanned.reason} Stop ${stop.sequence} comes next: ${stop.total_quantity} x ${stop.product_name} (Batch: ${stop.batch_number}) from ${stop.zone}-${stop.rack}-${stop.slot}.`;
+            await recordScanMismatch({ waveId, expected, scan, scanned, reason, actor: req.user });
+            return res.status(409).json({ error: reason, mismatch: true });
+        }
+
+        // Serialised packs: the stop's serials are shared out over its orders in route order
+        const [[product]] = await connection.query('SELECT * FROM products WHERE product_id = ?', [scanned.batch.product_id]);
+        let stopSerials = null;
+        if (product.is_serialised) {
+            const parsed = parseSerialList(serial_numbers, product, scanned.batch.batch_number);
+            const error = parsed.error
+                || (parsed.serials.length !== needed ? `${product.name} is serialised: scan ${needed} serial number(s) for this stop, not ${parsed.serials.length}.` : null);
+            if (error) {
+                await connection.rollback();
+                await recordScanMismatch({ waveId, expected, scan, scanned, reason: error, actor: req.user });
+                return res.status(409).json({ error, mismatch: true });
+            }
+            stopSerials = parsed.serials;
+        }
+
+        const [batchRows] = await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [stop.batch_id]);
+        const batch = batchRows[0];
+        const [portionRows] = await connection.query(
+            'SELECT quantity FROM batch_locations WHERE batch_id = ? AND location_id = ? FOR UPDATE',
+            [stop.batch_id, stop.location_id]
+        );
+        const onHand = portionRows.length > 0 ? portionRows[0].quantity : 0;
+        if (onHand < needed) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Batch ${batch.batch_number} only has ${onHand} units on hand in ${stop.zone}-${stop.rack}-${stop.slot}; ${needed} are needed for this stop.` });
+        }
+
+        // One Pick movement per order, so the ledger still ties every unit to its order
+        for (const pick of pendingPicks) {
+            const [pickRows] = await connection.query('SELECT * FROM order_batch_picks WHERE pick_id = ?', [pick.pick_id]);
+            if (stopSerials) {
+                const assigned = await assignPickSerials(connection, pickRows[0], product, stopSerials.splice(0, pick.quantity), req.user);
+                if (assigned.error) {
+                    await connection.rollback();
+                    await recordScanMismatch({ waveId, expected, scan, scanned, reason: assigned.error, actor: req.user });
+                    return res.status(409).json({ error: assigned.error, mismatch: true });
+                }
+            }
+            await recordStockMovement(connection, {
+                batchId: batch.batch_id, movementType: 'Pick', fromLocationId: stop.location_id,
+                quantity: pick.quantity, pickId: pick.pick_id, reference: `Order #${pick.order_id} (wave #${waveId})`, actor: req.user
+            });
+            await connection.query(
+                'UPDATE order_batch_picks SET status = ?, picked_by = ?, scan_verified_at = NOW() WHERE pick_id = ?',
+                ['Picked', req.user.user_id, pick.pick_id]
+            );
+            await recordAudit(connection, {
+                entityType: 'pick', entityId: pick.pick_id, action: 'Update',
+                before: pickRows[0], after: await getAuditSnapshot(connection, 'pick', pick.pick_id), actor: req.user
+            });
+        }
+        await recordAudit(connection, {
+            entityType: 'batch', entityId: batch.batch_id, action: 'Update',
+            before: batch, after: await getAuditSnapshot(connection, 'batch', batch.batch_id),
+            actor: req.user, reasonCode: 'Order Pick', reasonNotes: `Wave #${waveId}, orders ${pendingPicks.map(pick => `#${pick.order_id}`).join(', ')}`
+        });
+
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('wavesChanged');
+        res.json(await getWaveDetails(pool, waveId));
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error confirming pick wave stop:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Pick Waves: Pack one order (its share of the wave totals); the wave completes with its last order
+app.post('/waves/:waveId/orders/:orderId/pack', requireRole('admin', 'picker', 'dispatcher'), async (req, res, next) => {
+    const { waveId, orderId } = req.params;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const wave = await getWaveDetails(connection, waveId, true);
+        if (!wave) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Pick wave not found.' });
+        }
+        if (wave.status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Pick wave ${waveId} is ${wave.status}.` });
+        }
+        const order = wave.orders.find(o => o.order_id === Number(orderId));
+        if (!order) {
+            await connection.rollback();
+            return res.status(404).json({ error: `Order ${orderId} is not in pick wave ${waveId}.` });
+        }
+        if (order.status !== 'Pending') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${orderId} is already ${order.status}.` });
+        }
+        if (!order.ready_to_pack) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${orderId} still has items waiting to be picked.` });
+        }
+
+        const [orderRows] = await connection.query('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+        await connection.query('UPDATE orders SET status = ? WHERE order_id = ?', ['Completed', orderId]);
+        await recordAudit(connection, {
+            entityType: 'order', entityId: orderId, action: 'Update',
+            before: orderRows[0], after: await getAuditSnapshot(connection, 'order', orderId), actor: req.user
+        });
+
+        const waveDone = await completeWaveIfDone(connection, waveId);
+
+        await connection.commit();
+        io.emit('wavesChanged');
+        res.json({ message: `Order ${orderId} packed.`, order_id: order.order_id, items: order.items, wave_status: waveDone ? 'Completed' : 'Open' });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error packing wave order:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Pick Waves: Cancel (its orders go back to the normal pick list; items already picked stay picked)
+app.post('/waves/:waveId/cancel', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { waveId } = req.params;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [waveRows] = await connection.query('SELECT * FROM pick_waves WHERE wave_id = ? FOR UPDATE', [waveId]);
+        if (waveRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Pick wave not found.' });
+        }
+        if (waveRows[0].status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Pick wave ${waveId} is ${waveRows[0].status}.` });
+        }
+        await connection.query('UPDATE pick_waves SET status = ? WHERE wave_id = ?', ['Cancelled', waveId]);
+        const [orderRows] = await connection.query(`SELECT order_id FROM orders WHERE wave_id = ? AND status = 'Pending'`, [waveId]);
+        await recordAudit(connection, {
+            entityType: 'wave', entityId: waveId, action: 'Update',
+            before: waveRows[0], after: await getAuditSnapshot(connection, 'wave', waveId), actor: req.user,
+            reasonNotes: orderRows.length > 0 ? `Orders ${orderRows.map(order => `#${order.order_id}`).join(', ')} back on the pick list` : null
+        });
+        await connection.commit();
+        io.emit('wavesChanged');
+        res.json({ message: `Pick wave ${waveId} cancelled.` });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error cancelling pick wave:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Dispatches: Create record
+app.post('/dispatches', requireRole('admin', 'dispatcher'), async (req, res, next) => {
+    const { order_id, dispatch_date } = req.body;
+    const shipperType = String(req.body.shipper_type || '').trim() || null;
+    const coolant = String(req.body.coolant || '').trim() || null;
+    const loggerId = String(req.body.logger_id || '').trim() || null;
+    if (!order_id || !dispatch_date) {
+        return res.status(400).json({ error: 'Order ID and date are required for dispatch.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [orderRows] = await connection.query('SELECT status FROM orders WHERE order_id = ? FOR UPDATE', [order_id]);
+        if (orderRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        if (orderRows[0].status === 'Cancelled') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${order_id} is cancelled and cannot be dispatched.` });
+        }
+        // Every item must have been confirmed by scanning its location and batch
+        const unverified = await countUnverifiedPicks(connection, order_id);
+        if (unverified > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${order_id} has ${unverified} item(s) that were not scan-verified at picking and cannot be dispatched.` });
+        }
+        const missingSerials = await countPicksMissingSerials(connection, order_id);
+        if (missingSerials > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${order_id} has ${missingSerials} serialised item(s) without a serial number for every pack.` });
+        }
+        const recalledPicks = await countRecalledPicks(connection, order_id);
+        if (recalledPicks > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${order_id} has ${recalledPicks} item(s) from recalled batches and cannot be dispatched.` });
+        }
+        // Cold Storage items travel in an insulated shipper with cool packs and a data logger
+        const coldChainRange = await getOrderColdChainRange(connection, order_id);
+        if (coldChainRange && (!shipperType || !coolant || !loggerId)) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Order ${order_id} has Cold Storage items. Record the shipper box, cool packs and data logger ID.`, cold_chain: true });
+        }
+        const [result] = await connection.query(
+            `INSERT INTO dispatches (order_id, dispatched_by, dispatched_by_user_id, dispatch_date, shipper_type, coolant, logger_id,
+                                     required_min_temp, required_max_temp, shipment_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [order_id, req.user.full_name, req.user.user_id, dispatch_date, shipperType, coolant, loggerId,
+             coldChainRange ? coldChainRange.min : null, coldChainRange ? coldChainRange.max : null,
+             loggerId && coldChainRange ? 'Awaiting Logger Data' : 'Not Monitored']
+        );
+        // The order's picked packs leave with this dispatch
+        const [serialRows] = await connection.query(
+            `SELECT * FROM serial_numbers WHERE order_id = ? AND status = 'Picked' FOR UPDATE`,
+            [order_id]
+        );
+        await changeSerialStatus(connection, serialRows, 'Dispatched', { eventType: 'Dispatched', notes: `Dispatch #${result.insertId}`, actor: req.user });
+        const newDispatch = await getAuditSnapshot(connection, 'dispatch', result.insertId);
+        await recordAudit(connection, { entityType: 'dispatch', entityId: result.insertId, action: 'Create', after: newDispatch, actor: req.user });
+        await connection.commit();
+        res.status(201).json(newDispatch);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error recording dispatch:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Dispatches: Upload the CSV exported from the shipment's data logger after delivery (text/csv body, or JSON { csv }).
+// Replaces any earlier upload and flags the shipment if it left the range recorded at dispatch.
+app.post('/dispatches/:id/logger_data', requireRole('admin', 'dispatcher', 'qa'), express.text({ type: ['text/csv', 'text/plain'], limit: LOGGER_UPLOAD_LIMIT }), async (req, res, next) => {
+    const { id } = req.params;
+    const parsed = parseLoggerCsv(typeof req.body === 'string' ? req.body : req.body && req.body.csv);
+    if (parsed.error) {
+        return res.status(400).json({ error: `Could not read the logger file: ${parsed.error}` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const before = await getAuditSnapshot(connection, 'dispatch', id);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Dispatch not found.' });
+        }
+        if (!before.logger_id) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Dispatch #${id} has no data logger recorded.` });
+        }
+        const summary = summariseShipmentReadings(
+            parsed.readings,
+            before.required_min_temp === null ? null : Number(before.required_min_temp),
+            before.required_max_temp === null ? null : Number(before.required_max_temp)
+        );
+
+        await connection.query('DELETE FROM shipment_temperature_logs WHERE dispatch_id = ?', [id]);
+        await connection.query(
+            'INSERT INTO shipment_temperature_logs (dispatch_id, temperature_reading, humidity_reading, timestamp) VALUES ?',
+            [parsed.readings.map(reading => [id, reading.temperature_reading, reading.humidity_reading, reading.timestamp])]
+        );
+        await connection.query(
+            `UPDATE dispatches
+             SET shipment_status = ?, logger_reading_count = ?, logger_min_temp = ?, logger_max_temp = ?,
+                 out_of_range_minutes = ?, logger_uploaded_at = NOW()
+             WHERE dispatch_id = ?`,
+            [summary.shipment_status, summary.reading_count, summary.min_temp, summary.max_temp, summary.out_of_range_minutes, id]
+        );
+        const after = await getAuditSnapshot(connection, 'dispatch', id);
+        await recordAudit(connection, {
+            entityType: 'dispatch', entityId: id, action: 'Update', before, after, actor: req.user,
+            reasonNotes: `Logger ${before.logger_id} data uploaded: ${summary.shipment_status}`
+        });
+        await connection.commit();
+        res.status(201).json({ ...summary, dispatch_id: Number(id), logger_id: before.logger_id, skipped_rows: parsed.skipped });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error uploading logger data:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Dispatches: Logger readings for a shipment, oldest first, with the range they were checked against
+app.get('/dispatches/:id/logger_data', async (req, res, next) => {
+    try {
+        const [dispatchRows] = await pool.query(
+            `SELECT dispatch_id, order_id, shipper_type, coolant, logger_id, required_min_temp, required_max_temp, shipment_status,
+                    logger_reading_count, logger_min_temp, logger_max_temp, out_of_range_minutes, logger_uploaded_at
+             FROM dispatches WHERE dispatch_id = ?`,
+            [req.params.id]
+        );
+        if (dispatchRows.length === 0) {
+            return res.status(404).json({ error: 'Dispatch not found.' });
+        }
+        const [readings] = await pool.query(
+            'SELECT temperature_reading, humidity_reading, timestamp FROM shipment_temperature_logs WHERE dispatch_id = ? ORDER BY timestamp',
+            [req.params.id]
+        );
+        res.json({ ...dispatchRows[0], readings });
+    }
+    catch (err) {
+        console.error('Error fetching logger data:', err);
+        next(err);
+    }
+});
+
+// Returns: List (?status=Quarantined|Closed, ?order_id=)
+app.get('/returns', requireRole('admin', 'receiver', 'dispatcher', 'qa'), async (req, res, next) => {
+    try {
+        res.json(await getReturns(pool, { status: req.query.status || null, orderId: req.query.order_id || null }));
+    }
+    catch (err) {
+        console.error('Error fetching returns:', err);
+        next(err);
+    }
+});
+
+// Returns: Get one with its lines
+app.get('/returns/:id', requireRole('admin', 'receiver', 'dispatcher', 'qa'), async (req, res, next) => {
+    try {
+        const [ret] = await getReturns(pool, { returnId: req.params.id });
+        if (!ret) {
+            return res.status(404).json({ error: 'Return not found.' });
+        }
+        res.json(ret);
+    }
+    catch (err) {
+        console.error('Error fetching return:', err);
+        next(err);
+    }
+});
+
+// Returns: Receive goods sent back against a dispatched order.
+// { order_id, reason, notes, lines: [{ pick_id, quantity, serial_numbers, quarantine_location_id }] }
+app.post('/returns', requireRole('admin', 'receiver', 'dispatcher'), async (req, res, next) => {
+    const { order_id, dispatch_id, reason, notes, lines } = req.body;
+
+    if (!order_id || !Array.isArray(lines) || lines.length === 0) {
+        return res.status(400).json({ error: 'Order ID and at least one returned line are required.' });
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Invalid reason. Must be one of: ${RETURN_REASONS.join(', ')}.` });
+    }
+    if (reason === 'Other' && !String(notes || '').trim()) {
+        return res.status(400).json({ error: 'Notes are required when the reason is "Other".' });
+    }
+    if (lines.some(line => !line.pick_id || !Number.isInteger(Number(line.quantity)) || Number(line.quantity) <= 0)) {
+        return res.status(400).json({ error: 'Each line needs a pick ID and a positive whole quantity.' });
+    }
+    const pickIds = lines.map(line => Number(line.pick_id));
+    if (new Set(pickIds).size !== pickIds.length) {
+        return res.status(400).json({ error: 'Each pick can only be listed once per return.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [dispatchRows] = await connection.query('SELECT * FROM dispatches WHERE order_id = ?', [order_id]);
+        if (dispatchRows.length === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order ${order_id} has not been dispatched, so nothing can be returned against it.` });
+        }
+        const dispatch = dispatchRows[0];
+        if (dispatch_id && Number(dispatch_id) !== dispatch.dispatch_id) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Dispatch #${dispatch_id} is not the dispatch of order ${order_id} (#${dispatch.dispatch_id}).` });
+        }
+
+        // Each line is checked against what was actually picked for the order, less anything already returned
+        const [picks] = await connection.query(
+            `SELECT obp.*, b.batch_number, p.product_id, p.name, p.category, p.size_type, p.gtin, p.is_serialised,
+                    COALESCE((SELECT SUM(rl.quantity) FROM return_lines rl WHERE rl.pick_id = obp.pick_id), 0) AS returned
+             FROM order_batch_picks obp
+             JOIN batches b ON obp.batch_id = b.batch_id
+             JOIN products p ON b.product_id = p.product_id
+             WHERE obp.order_id = ? AND obp.pick_id IN (?)
+             FOR UPDATE`,
+            [order_id, pickIds]
+        );
+        const [result] = await connection.query(
+            'INSERT INTO returns (order_id, dispatch_id, reason, notes, received_by) VALUES (?, ?, ?, ?, ?)',
+            [order_id, dispatch.dispatch_id, reason, String(notes || '').trim() || null, req.user.user_id]
+        );
+        const returnId = result.insertId;
+
+        for (const line of lines) {
+            const pick = picks.find(row => row.pick_id === Number(line.pick_id));
+            const quantity = Number(line.quantity);
+            if (!pick) {
+                await connection.rollback();
+                return res.status(400).json({ error: `Pick ${line.pick_id} is not part of order ${order_id}.` });
+            }
+            if (!['Picked', 'Dispatched'].includes(pick.status)) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Pick ${pick.pick_id} (${pick.name}, batch ${pick.batch_number}) is ${pick.status} and was not dispatched.` });
+            }
+            const returnable = pick.quantity_picked - Number(pick.returned);
+            if (quantity > returnable) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Only ${returnable} unit(s) of ${pick.name} (batch ${pick.batch_number}) can be returned for pick ${pick.pick_id}: ${pick.quantity_picked} dispatched, ${pick.returned} already returned.` });
+            }
+
+            // Serialised packs must be the ones that left with this pick
+            let serialRows = [];
+            if (pick.is_serialised) {
+                const parsed = parseSerialList(line.serial_numbers, pick, pick.batch_number);
+                if (parsed.error) {
+                    await connection.rollback();
+                    return res.status(400).json({ error: parsed.error });
+                }
+                if (parsed.serials.length !== quantity) {
+                    await connection.rollback();
+                    return res.status(400).json({ error: `${pick.name} is serialised: scan ${quantity} serial number(s) for pick ${pick.pick_id}, not ${parsed.serials.length}.` });
+                }
+                [serialRows] = await connection.query(
+                    'SELECT * FROM serial_numbers WHERE product_id = ? AND serial_number IN (?) FOR UPDATE',
+                    [pick.product_id, parsed.serials]
+                );
+                const notDispatched = parsed.serials.find(serial => !serialRows.some(row => row.serial_number === serial && row.pick_id === pick.pick_id && row.status === 'Dispatched'));
+                if (notDispatched) {
+                    await connection.rollback();
+                    return res.status(409).json({ error: `Serial ${notDispatched} was not dispatched with pick ${pick.pick_id}.` });
+                }
+            }
+
+            const { location, reason: locationReason } = await chooseQuarantineLocation(connection, pick, quantity, line.quarantine_location_id || null);
+            if (locationReason) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Cannot quarantine ${quantity} unit(s) of ${pick.name}: ${locationReason}.` });
+            }
+            const [lineResult] = await connection.query(
+                `INSERT INTO return_lines (return_id, pick_id, batch_id, quantity, quarantine_location_id, serial_numbers)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [returnId, pick.pick_id, pick.batch_id, quantity, location.location_id, pick.is_serialised ? JSON.stringify(serialRows.map(row => row.serial_number)) : null]
+            );
+            await recordStockMovement(connection, {
+                batchId: pick.batch_id, movementType: 'Return', toLocationId: location.location_id, quantity,
+                pickId: pick.pick_id, reference: `Return #${returnId} (Order #${order_id})`, actor: req.user
+            });
+            await changeSerialStatus(connection, serialRows, 'Returned', { eventType: 'Returned', notes: `Return #${returnId}`, actor: req.user });
+            const newLine = await getAuditSnapshot(connection, 'return_line', lineResult.insertId);
+            await recordAudit(connection, { entityType: 'return_line', entityId: lineResult.insertId, action: 'Create', after: newLine, actor: req.user });
+        }
+
+        const newReturn = await getAuditSnapshot(connection, 'return', returnId);
+        await recordAudit(connection, { entityType: 'return', entityId: returnId, action: 'Create', after: newReturn, actor: req.user, reasonCode: reason, reasonNotes: newReturn.notes });
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('returnsChanged');
+        const [created] = await getReturns(pool, { returnId });
+        res.status(201).json(created);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error recording return:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Returns: QA decision for one quarantined line: Restock (placed by smart allocation), Destroy or Return to Supplier
+app.put('/returns/:returnId/lines/:lineId/decision', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { returnId, lineId } = req.params;
+    const { decision } = req.body;
+    const notes = String(req.body.notes || '').trim() || null;
+    const outcome = RETURN_DECISIONS[decision];
+
+    if (!outcome) {
+        return res.status(400).json({ error: `Invalid decision. Must be one of: ${Object.keys(RETURN_DECISIONS).join(', ')}.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [lineRows] = await connection.query('SELECT * FROM return_lines WHERE line_id = ? AND return_id = ? FOR UPDATE', [lineId, returnId]);
+        if (lineRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Return line not found.' });
+        }
+        const line = lineRows[0];
+        if (line.status !== 'Quarantined') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Return line ${lineId} has already been decided (${line.status}).` });
+        }
+        const [[batch]] = await connection.query(
+            'SELECT b.*, DATEDIFF(b.expiry_date, CURDATE()) AS days_to_expiry FROM batches b WHERE b.batch_id = ? FOR UPDATE',
+            [line.batch_id]
+        );
+        const reference = `Return #${returnId}: ${decision}`;
+
+        let placements = [];
+        if (decision === 'Restock') {
+            if (batch.days_to_expiry < 0 || ['Expired', 'Damaged', 'Recalled'].includes(batch.status)) {
+                await connection.rollback();
+                return res.status(409).json({ error: `Batch ${batch.batch_number} is ${batch.days_to_expiry < 0 ? 'expired' : batch.status} and cannot be restocked. Destroy it or return it to the supplier.` });
+            }
+            const evaluation = await evaluateAllocation(connection, batch.product_id, line.quantity);
+            if (!evaluation.placements) {
+                await connection.rollback();
+                return res.status(409).json({ error: `No storage location has room to restock ${line.quantity} unit(s) of batch ${batch.batch_number}.` });
+            }
+            for (const placement of evaluation.placements) {
+                await recordStockMovement(connection, {
+                    batchId: batch.batch_id, movementType: outcome.movementType, fromLocationId: line.quarantine_location_id,
+                    toLocationId: placement.location_id, quantity: placement.quantity, pickId: line.pick_id, reference, actor: req.user
+                });
+                const candidate = evaluation.candidates.find(loc => loc.location_id === placement.location_id);
+                placements.push({ ...placement, location_name: candidate ? candidate.location_name : null });
+            }
+        } else {
+            await recordStockMovement(connection, {
+                batchId: batch.batch_id, movementType: outcome.movementType, fromLocationId: line.quarantine_location_id,
+                quantity: line.quantity, pickId: line.pick_id, reference, actor: req.user
+            });
+        }
+
+        // Restocked packs can be picked again; destroyed or returned packs are taken out of circulation
+        if (line.serial_numbers && line.serial_numbers.length > 0) {
+            const [serialRows] = await connection.query(
+                `SELECT * FROM serial_numbers WHERE batch_id = ? AND serial_number IN (?) AND status = 'Returned' FOR UPDATE`,
+                [line.batch_id, line.serial_numbers]
+            );
+            await changeSerialStatus(connection, serialRows, outcome.serialStatus, {
+                orderId: decision === 'Restock' ? null : undefined, pickId: decision === 'Restock' ? null : undefined,
+                notes: reference, actor: req.user
+            });
+        }
+
+        await connection.query(
+            'UPDATE return_lines SET status = ?, decision_notes = ?, decided_by = ?, decided_at = NOW() WHERE line_id = ?',
+            [outcome.lineStatus, notes, req.user.user_id, lineId]
+        );
+        const after = await getAuditSnapshot(connection, 'return_line', lineId);
+        await recordAudit(connection, { entityType: 'return_line', entityId: lineId, action: 'Update', before: line, after, actor: req.user, reasonNotes: notes });
+
+        // The return is closed once every line has a decision
+        const [[{ open }]] = await connection.query(`SELECT COUNT(*) AS open FROM return_lines WHERE return_id = ? AND status = 'Quarantined'`, [returnId]);
+        if (Number(open) === 0) {
+            const beforeReturn = await getAuditSnapshot(connection, 'return', returnId);
+            await connection.query(`UPDATE returns SET status = 'Closed', closed_at = NOW() WHERE return_id = ?`, [returnId]);
+            const afterReturn = await getAuditSnapshot(connection, 'return', returnId);
+            await recordAudit(connection, { entityType: 'return', entityId: returnId, action: 'Update', before: beforeReturn, after: afterReturn, actor: req.user });
+        }
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('returnsChanged');
+        res.json({ ...after, decision, placements });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error recording return decision:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Recalls: Get all (newest first; ?status=Open|Closed) with batch and shipment counts
+app.get('/recalls', requireRole('admin', 'qa', 'dispatcher'), async (req, res, next) => {
+    const status = req.query.status || null;
+    try {
+        const [recalls] = await pool.query(
+            `SELECT r.*, p.name AS product_name, u.full_name AS initiated_by_name,
+                    (SELECT COUNT(*) FROM recall_batches rb WHERE rb.recall_id = r.recall_id) AS batch_count,
+                    (SELECT COUNT(*) FROM recall_shipments rs WHERE rs.recall_id = r.recall_id) AS shipment_count,
+                    (SELECT COUNT(*) FROM recall_shipments rs WHERE rs.recall_id = r.recall_id AND rs.acknowledged_at IS NOT NULL) AS acknowledged_count
+             FROM recalls r
+             JOIN products p ON r.product_id = p.product_id
+             LEFT JOIN users u ON r.initiated_by = u.user_id
+             WHERE (? IS NULL OR r.status = ?)
+             ORDER BY r.recall_id DESC`,
+            [status, status]
+        );
+        res.json(recalls);
+    }
+    catch (err) {
+        console.error('Error fetching recalls:', err);
+        next(err);
+    }
+});
+
+// Recalls: Get one with its batches, shipments and undispatched picks
+app.get('/recalls/:id', requireRole('admin', 'qa', 'dispatcher'), async (req, res, next) => {
+    try {
+        const recall = await getRecallDetail(pool, req.params.id);
+        if (!recall) {
+            return res.status(404).json({ error: 'Recall not found.' });
+        }
+        res.json(recall);
+    }
+    catch (err) {
+        console.error('Error fetching recall:', err);
+        next(err);
+    }
+});
+
+// Recalls: Download the recall report as CSV
+app.get('/recalls/:id/report.csv', requireRole('admin', 'qa', 'dispatcher'), async (req, res, next) => {
+    try {
+        const recall = await getRecallDetail(pool, req.params.id);
+        if (!recall) {
+            return res.status(404).json({ error: 'Recall not found.' });
+        }
+        res.attachment(`recall-${recall.recall_id}.csv`);
+        res.type('text/csv').send(buildRecallReportCsv(recall));
+    }
+    catch (err) {
+        console.error('Error exporting recall report:', err);
+        next(err);
+    }
+});
+
+// Recalls: Start a recall of one batch ({ batch_id }) or of a product's lot range ({ product_id, lot_from, lot_to }).
+// The batches are blocked at once and every dispatch that carried them is listed for follow-up.
+app.post('/recalls', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { batch_id, product_id } = req.body;
+    const lotFrom = String(req.body.lot_from || '').trim();
+    const lotTo = String(req.body.lot_to || '').trim();
+    const reason = String(req.body.reason || '').trim();
+    const reference = String(req.body.reference || '').trim() || null;
+
+    if (!reason) {
+        return res.status(400).json({ error: 'A recall reason is required.' });
+    }
+    if (!batch_id && !(product_id && lotFrom && lotTo)) {
+        return res.status(400).json({ error: 'Recall a batch (batch_id) or a lot range of a product (product_id, lot_from and lot_to).' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [batches] = batch_id
+            ? await connection.query('SELECT * FROM batches WHERE batch_id = ? FOR UPDATE', [batch_id])
+            : await connection.query(
+                'SELECT * FROM batches WHERE product_id = ? AND batch_number BETWEEN ? AND ? ORDER BY batch_number FOR UPDATE',
+                [product_id, lotFrom, lotTo]
+            );
+        if (batches.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: batch_id ? 'Batch not found.' : `Product ${product_id} has no batches from lot ${lotFrom} to ${lotTo}.` });
+        }
+        const alreadyRecalled = batches.filter(batch => batch.status === 'Recalled');
+        if (alreadyRecalled.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Batch(es) ${alreadyRecalled.map(batch => batch.batch_number).join(', ')} are already under recall.` });
+        }
+
+        const [result] = await connection.query(
+            'INSERT INTO recalls (product_id, reference, lot_from, lot_to, reason, initiated_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [batches[0].product_id, reference, batch_id ? batches[0].batch_number : lotFrom, batch_id ? batches[0].batch_number : lotTo, reason, req.user.user_id]
+        );
+        const recallId = result.insertId;
+        const holdReason = `Recall #${recallId}: ${reason}`.slice(0, 255);
+
+        for (const batch of batches) {
+            await connection.query('INSERT INTO recall_batches (recall_id, batch_id, status_before) VALUES (?, ?, ?)', [recallId, batch.batch_id, batch.status]);
+            await connection.query(`UPDATE batches SET status = 'Recalled', hold_reason = ? WHERE batch_id = ?`, [holdReason, batch.batch_id]);
+            await recordAudit(connection, {
+                entityType: 'batch', entityId: batch.batch_id, action: 'Update',
+                before: batch, after: await getAuditSnapshot(connection, 'batch', batch.batch_id),
+                actor: req.user, reasonCode: 'Recall', reasonNotes: holdReason
+            });
+        }
+
+        // Stock already on its way to or with customers: every dispatch with a pick of a recalled batch
+        await connection.query(
+            `INSERT INTO recall_shipments (recall_id, dispatch_id, order_id)
+             SELECT DISTINCT ?, d.dispatch_id, d.order_id
+             FROM order_batch_picks obp JOIN dispatches d ON obp.order_id = d.order_id
+             WHERE obp.batch_id IN (?) AND obp.status <> 'Cancelled'`,
+            [recallId, batches.map(batch => batch.batch_id)]
+        );
+
+        await recordAudit(connection, {
+            entityType: 'recall', entityId: recallId, action: 'Create',
+            after: await getAuditSnapshot(connection, 'recall', recallId), actor: req.user, reasonNotes: reason
+        });
+        await connection.commit();
+        scheduleAlertEvaluation();
+        io.emit('recallsChanged');
+        res.status(201).json(await getRecallDetail(pool, recallId));
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error starting recall:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Recalls: Record a customer's acknowledgement of the recall notice ({ contact_name, notes }),
+// or ({ destroyed_on_site: true }) their confirmation that they destroyed the stock instead of returning it
+app.put('/recalls/:recallId/shipments/:shipmentId', requireRole('admin', 'qa', 'dispatcher'), async (req, res, next) => {
+    const { recallId, shipmentId } = req.params;
+    const destroyedOnSite = req.body.destroyed_on_site === true;
+    const contactName = String(req.body.contact_name || '').trim();
+    const notes = String(req.body.notes || '').trim() || null;
+
+    if (!destroyedOnSite && !contactName) {
+        return res.status(400).json({ error: 'Enter who at the customer acknowledged the recall.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [shipmentRows] = await connection.query(
+            `SELECT rs.*, r.status AS recall_status FROM recall_shipments rs JOIN recalls r ON rs.recall_id = r.recall_id
+             WHERE rs.shipment_id = ? AND rs.recall_id = ? FOR UPDATE`,
+            [shipmentId, recallId]
+        );
+        if (shipmentRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Recall shipment not found.' });
+        }
+        const { recall_status: recallStatus, ...before } = shipmentRows[0];
+        if (recallStatus === 'Closed') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Recall ${recallId} is closed.` });
+        }
+        if (destroyedOnSite ? before.destroyed_on_site_at : before.acknowledged_at) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Shipment ${shipmentId} is already recorded as ${destroyedOnSite ? 'destroyed on site' : 'acknowledged'}.` });
+        }
+
+        if (destroyedOnSite) {
             await connection.query(
-                'UPDATE storage_locations SET current_occupancy = current_occupancy - ? WHERE location_id = ?',
-                [batchQuantity, assignedLocationId]
+                `UPDATE recall_shipments SET destroyed_on_site_at = NOW(), destroyed_on_site_by = ?, notes = CONCAT_WS('\n', notes, ?) WHERE shipment_id = ?`,
+                [req.user.user_id, notes, shipmentId]
             );
+        } else {
+            await connection.query(
+                `UPDATE recall_shipments SET acknowledged_at = NOW(), acknowledged_contact = ?, acknowledged_by = ?, notes = CONCAT_WS('\n', notes, ?)
+                 WHERE shipment_id = ?`,
+                [contactName, req.user.user_id, notes, shipmentId]
+            );
+        }
+        await recordAudit(connection, {
+            entityType: 'recall_shipment', entityId: shipmentId, action: 'Update',
+            before, after: await getAuditSnapshot(connection, 'recall_shipment', shipmentId),
+            actor: req.user, reasonCode: 'Recall', reasonNotes: notes
+        });
+        await connection.commit();
+        io.emit('recallsChanged');
+        res.json(await getRecallDetail(pool, recallId));
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error updating recall shipment:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Recalls: Close once every shipment is acknowledged and returned or destroyed on site, and no order still holds the stock.
+// The batches stay Recalled.
+app.put('/recalls/:id/close', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { id } = req.params;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [recallRows] = await connection.query('SELECT * FROM recalls WHERE recall_id = ? FOR UPDATE', [id]);
+        if (recallRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Recall not found.' });
+        }
+        if (recallRows[0].status === 'Closed') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Recall ${id} is already closed.` });
+        }
+        const recall = await getRecallDetail(connection, id);
+        const unacknowledged = recall.shipments.filter(shipment => !shipment.acknowledged_at);
+        const outstanding = recall.shipments.filter(shipment => !['Returned', 'Destroyed On Site'].includes(shipment.return_status));
+        if (unacknowledged.length > 0 || outstanding.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: unacknowledged.length > 0
+                    ? `${unacknowledged.length} shipment(s) have not acknowledged the recall.`
+                    : `${outstanding.length} shipment(s) have not returned or destroyed the recalled stock.`
+            });
+        }
+        if (recall.open_picks.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Order(s) ${[...new Set(recall.open_picks.map(pick => `#${pick.order_id}`))].join(', ')} still hold recalled stock. Cancel those items first.` });
         }
 
+        await connection.query(`UPDATE recalls SET status = 'Closed', closed_by = ?, closed_at = NOW() WHERE recall_id = ?`, [req.user.user_id, id]);
+        await recordAudit(connection, {
+            entityType: 'recall', entityId: id, action: 'Update',
+            before: recallRows[0], after: await getAuditSnapshot(connection, 'recall', id), actor: req.user
+        });
         await connection.commit();
-        res.json({ message: 'Batch deleted successfully', batchId: id });
+        io.emit('recallsChanged');
+        res.json(await getRecallDetail(pool, id));
     }
     catch (err) {
         await connection.rollback();
-        console.error('Error deleting batch:', err);
+        console.error('Error closing recall:', err);
         next(err);
     } finally {
         connection.release();
     }
 });
-// Orders: Get all (with nested items and picked batches)
-app.get('/orders', async (req, res, next) => {
+
+// Cycle Counts: Products with their pick frequency and ABC class
+app.get('/cycle_counts/abc_classes', requireRole('admin', 'qa'), async (req, res, next) => {
     try {
-        const [orders] = await pool.query('SELECT * FROM orders');
+        res.json(await classifyProductsByPickFrequency(pool));
+    }
+    catch (err) {
+        console.error('Error classifying products:', err);
+        next(err);
+    }
+});
 
-        const ordersWithDetails = await Promise.all(orders.map(async (order) => {
-            const [items] = await pool.query(
-                `SELECT oi.product_id, oi.quantity, p.name AS product_name
-                 FROM order_items oi
-                 JOIN products p ON oi.product_id = p.product_id
-                 WHERE oi.order_id = ?`,
-                [order.order_id]
-            );
-            order.items = items;
+// Cycle Counts: Get all (newest first; ?status=Open|Completed|Cancelled) with their lines
+app.get('/cycle_counts', requireRole('admin', 'receiver', 'picker', 'qa'), async (req, res, next) => {
+    try {
+        res.json(await getCycleCounts(pool, { status: req.query.status || null, blind: !['admin', 'qa'].includes(req.user.role) }));
+    }
+    catch (err) {
+        console.error('Error fetching cycle counts:', err);
+        next(err);
+    }
+});
 
-            const [pickedBatches] = await pool.query(
-                `SELECT obp.pick_id, obp.batch_id, obp.quantity_picked, obp.status,
-                        b.batch_number, b.barcode, p.name AS product_name, b.assigned_location_id,
-                        sl.zone, sl.rack, sl.slot, sl.size_type
-                 FROM order_batch_picks obp
-                 JOIN batches b ON obp.batch_id = b.batch_id
-                 JOIN products p ON b.product_id = p.product_id
-                 LEFT JOIN storage_locations sl ON b.assigned_location_id = sl.location_id
-                 WHERE obp.order_id = ?`,
-                [order.order_id]
-            );
-            order.picked_batches = pickedBatches;
-            return order;
-        }));
+// Cycle Counts: Get one with its lines
+app.get('/cycle_counts/:id', requireRole('admin', 'receiver', 'picker', 'qa'), async (req, res, next) => {
+    try {
+        const [count] = await getCycleCounts(pool, { countId: req.params.id, blind: !['admin', 'qa'].includes(req.user.role) });
+        if (!count) {
+            return res.status(404).json({ error: 'Cycle count not found.' });
+        }
+        res.json(count);
+    }
+    catch (err) {
+        console.error('Error fetching cycle count:', err);
+        next(err);
+    }
+});
 
-        res.json(ordersWithDetails);
+// Cycle Counts: Plan a count of a zone ({ zone }), a rack ({ zone, rack }) or an ABC class ({ abc_class }).
+// One line is created for each batch held in the scope, except lines already waiting in another open count.
+app.post('/cycle_counts', requireRole('admin', 'qa'), async (req, res, next) => {
+    const zone = String(req.body.zone || '').trim();
+    const rack = String(req.body.rack || '').trim();
+    const abcClass = req.body.abc_class || null;
+    const thresholdPct = req.body.variance_threshold_pct === undefined || req.body.variance_threshold_pct === ''
+        ? COUNT_VARIANCE_THRESHOLD_PCT : Number(req.body.variance_threshold_pct);
+
+    if (abcClass ? !['A', 'B', 'C'].includes(abcClass) : !zone) {
+        return res.status(400).json({ error: 'Choose a zone (and optionally a rack) or an ABC class (A, B or C) to count.' });
+    }
+    if (isNaN(thresholdPct) || thresholdPct < 0 || thresholdPct > 100) {
+        return res.status(400).json({ error: 'The variance threshold must be a percentage from 0 to 100.' });
+    }
+    const scopeType = abcClass ? 'ABC Class' : rack ? 'Rack' : 'Zone';
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        let productIds = null;
+        if (abcClass) {
+            productIds = (await classifyProductsByPickFrequency(connection))
+                .filter(product => product.abc_class === abcClass)
+                .map(product => product.product_id);
+        }
+        const [portions] = await connection.query(
+            `SELECT bl.location_id, bl.batch_id
+             FROM batch_locations bl
+             JOIN storage_locations sl ON bl.location_id = sl.location_id
+             JOIN batches b ON bl.batch_id = b.batch_id
+             WHERE bl.quantity > 0
+               AND (? IS NULL OR sl.zone = ?) AND (? IS NULL OR sl.rack = ?)
+               AND (? IS NULL OR b.product_id IN (?))
+               AND NOT EXISTS (
+                   SELECT 1 FROM cycle_count_lines l JOIN cycle_counts cc ON l.count_id = cc.count_id
+                   WHERE cc.status = 'Open' AND l.location_id = bl.location_id AND l.batch_id = bl.batch_id
+                     AND l.status IN ('Pending', 'Awaiting Approval'))
+             ORDER BY sl.zone, sl.rack, sl.slot, b.batch_number`,
+            [
+                abcClass ? null : zone, zone, abcClass || !rack ? null : rack, rack,
+                productIds ? 1 : null, productIds && productIds.length > 0 ? productIds : [0]
+            ]
+        );
+        if (portions.length === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Nothing to count: no stock is held in that scope, or it is already in an open count.' });
+        }
+
+        const [result] = await connection.query(
+            'INSERT INTO cycle_counts (scope_type, zone, rack, abc_class, variance_threshold_pct, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [scopeType, abcClass ? null : zone, abcClass || !rack ? null : rack, abcClass, thresholdPct, req.user.user_id]
+        );
+        const countId = result.insertId;
+        await connection.query(
+            'INSERT INTO cycle_count_lines (count_id, location_id, batch_id) VALUES ?',
+            [portions.map(portion => [countId, portion.location_id, portion.batch_id])]
+        );
+        await recordAudit(connection, {
+            entityType: 'cycle_count', entityId: countId, action: 'Create',
+            after: await getAuditSnapshot(connection, 'cycle_count', countId), actor: req.user
+        });
+        await connection.commit();
+        io.emit('cycleCountsChanged');
+        const [created] = await getCycleCounts(pool, { countId });
+        res.status(201).json(created);
     }
     catch (err) {
-        console.error('Error fetching orders:', err);
+        await connection.rollback();
+        console.error('Error creating cycle count:', err);
         next(err);
+    } finally {
+        connection.release();
     }
 });
 
-// Orders: Create new (handles stock reduction and pick assignment)
-app.post('/orders', async (req, res, next) => {
-    const { items } = req.body;
+// Cycle Counts: Enter the blind count of one line ({ counted_quantity })
+app.put('/cycle_counts/:countId/lines/:lineId', requireRole('admin', 'receiver', 'picker', 'qa'), async (req, res, next) => {
+    const { countId, lineId } = req.params;
+    const countedQuantity = Number(req.body.counted_quantity);
 
-    if (!items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({ error: 'Order must contain at least one item.' });
+    if (req.body.counted_quantity === undefined || req.body.counted_quantity === '' || !Number.isInteger(countedQuantity) || countedQuantity < 0) {
+        return res.status(400).json({ error: 'Counted quantity must be a whole number of 0 or more.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [countRows] = await connection.query('SELECT * FROM cycle_counts WHERE count_id = ? FOR UPDATE', [countId]);
+        const [lineRows] = await connection.query('SELECT * FROM cycle_count_lines WHERE line_id = ? AND count_id = ? FOR UPDATE', [lineId, countId]);
+        if (countRows.length === 0 || lineRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Cycle count line not found.' });
+        }
+        if (countRows[0].status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cycle count ${countId} is ${countRows[0].status}.` });
+        }
+        if (lineRows[0].status !== 'Pending') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Line ${lineId} has already been counted (${lineRows[0].status}).` });
+        }
+
+        const recorded = await recordCountResult(connection, countRows[0], lineRows[0], countedQuantity, req.user);
+        if (recorded.error) {
+            await connection.rollback();
+            return res.status(409).json({ error: recorded.error });
+        }
+        await recordAudit(connection, {
+            entityType: 'cycle_count_line', entityId: lineId, action: 'Update',
+            before: lineRows[0], after: await getAuditSnapshot(connection, 'cycle_count_line', lineId), actor: req.user
+        });
+        await completeCycleCountIfDone(connection, countId);
+        await connection.commit();
+        if (recorded.status === 'Adjusted') scheduleAlertEvaluation();
+        io.emit('cycleCountsChanged');
+        // The counter only learns whether the count needs a supervisor, not the system quantity
+        res.json({ line_id: Number(lineId), status: recorded.status });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error recording count:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
+
+// Cycle Counts: Record stock found in a location of the count that had no line for it
+// ({ location_code, barcode, counted_quantity }; the codes are scanned like at picking)
+app.post('/cycle_counts/:countId/lines', requireRole('admin', 'receiver', 'picker', 'qa'), async (req, res, next) => {
+    const { countId } = req.params;
+    const locationCode = String(req.body.location_code || '').trim();
+    const barcode = String(req.body.barcode || '').trim();
+    const countedQuantity = Number(req.body.counted_quantity);
+
+    if (!locationCode || !barcode || !Number.isInteger(countedQuantity) || countedQuantity <= 0) {
+        return res.status(400).json({ error: 'Scan the location and the batch barcode, and enter a positive whole quantity.' });
     }
 
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
+        const [countRows] = await connection.query('SELECT * FROM cycle_counts WHERE count_id = ? FOR UPDATE', [countId]);
+        if (countRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Cycle count not found.' });
+        }
+        const count = countRows[0];
+        if (count.status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cycle count ${countId} is ${count.status}.` });
+        }
+        const location = await findLocationByCode(connection, locationCode);
+        const { batch } = await findBatchByScan(connection, barcode);
+        if (!location || !batch) {
+            await connection.rollback();
+            return res.status(404).json({ error: !location ? `No storage location matches '${locationCode}'.` : `Barcode '${barcode}' does not match any batch.` });
+        }
+        const [[inScope]] = await connection.query(
+            `SELECT COUNT(*) AS line_count FROM cycle_count_lines l JOIN storage_locations sl ON l.location_id = sl.location_id
+             WHERE l.count_id = ? AND (l.location_id = ? OR (? = 'Rack' AND sl.zone = ? AND sl.rack = ?) OR (? = 'Zone' AND sl.zone = ?))`,
+            [countId, location.location_id, count.scope_type, location.zone, location.rack, count.scope_type, location.zone]
+        );
+        if (Number(inScope.line_count) === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `${location.zone}-${location.rack}-${location.slot} is not part of cycle count ${countId}.` });
+        }
 
-        const [orderResult] = await connection.query(
-            'INSERT INTO orders (order_date, status) VALUES (NOW(), ?)',
-            ['Pending']
+        const [result] = await connection.query(
+            'INSERT INTO cycle_count_lines (count_id, location_id, batch_id) VALUES (?, ?, ?)',
+            [countId, location.location_id, batch.batch_id]
         );
-        const orderId = orderResult.insertId;
+        const [[line]] = await connection.query('SELECT * FROM cycle_count_lines WHERE line_id = ?', [result.insertId]);
+        const recorded = await recordCountResult(connection, count, line, countedQuantity, req.user);
+        if (recorded.error) {
+            await connection.rollback();
+            return res.status(409).json({ error: recorded.error });
+        }
+        await recordAudit(connection, {
+            entityType: 'cycle_count_line', entityId: line.line_id, action: 'Create',
+            after: await getAuditSnapshot(connection, 'cycle_count_line', line.line_id), actor: req.user
+        });
+        await connection.commit();
+        if (recorded.status === 'Adjusted') scheduleAlertEvaluation();
+        io.emit('cycleCountsChanged');
+        res.status(201).json({ line_id: line.line_id, status: recorded.status });
+    }
+    catch (err) {
+        await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'That batch is already listed for this location; enter its count on the existing line.' });
+        }
+        console.error('Error recording found stock:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
 
-        for (const item of items) {
-            const { product_id, quantity } = item;
-            if (!product_id || quantity === undefined || isNaN(quantity) || quantity <= 0) {
-                throw new Error('Invalid product or quantity in order item.');
-            }
+// Cycle Counts: Supervisor decision on a variance above the threshold.
+// { decision: 'Approve', reason_code, reason_notes } posts the adjustment; { decision: 'Recount' } sends the line back to be counted again.
+app.put('/cycle_counts/:countId/lines/:lineId/decision', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { countId, lineId } = req.params;
+    const { decision, reason_code, reason_notes } = req.body;
+
+    if (!COUNT_DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: `Invalid decision. Must be one of: ${COUNT_DECISIONS.join(', ')}.` });
+    }
+    if (decision === 'Approve' && !AUDIT_REASON_CODES.includes(reason_code)) {
+        return res.status(400).json({ error: `A reason code is required to approve a variance. Must be one of: ${AUDIT_REASON_CODES.join(', ')}.` });
+    }
+    if (reason_code === 'Other' && !reason_notes) {
+        return res.status(400).json({ error: 'Reason notes are required when the reason code is "Other".' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [lineRows] = await connection.query('SELECT * FROM cycle_count_lines WHERE line_id = ? AND count_id = ? FOR UPDATE', [lineId, countId]);
+        if (lineRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Cycle count line not found.' });
+        }
+        const line = lineRows[0];
+        if (line.status !== 'Awaiting Approval') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Line ${lineId} is not awaiting approval (${line.status}).` });
+        }
+        if (line.counted_by === req.user.user_id) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'A variance must be approved by someone other than the person who counted it.' });
+        }
 
+        if (decision === 'Approve') {
+            const posted = await postCountAdjustment(connection, line, { reasonCode: reason_code, reasonNotes: reason_notes || null, actor: req.user });
+            if (posted.error) {
+                await connection.rollback();
+                return res.status(409).json({ error: posted.error });
+            }
             await connection.query(
-                'INSERT INTO order_items (order_id, product_id, quantity) VALUES (?, ?, ?)',
-                [orderId, product_id, quantity]
+                `UPDATE cycle_count_lines SET status = 'Adjusted', reason_code = ?, reason_notes = ?, approved_by = ?, approved_at = NOW() WHERE line_id = ?`,
+                [reason_code, reason_notes || null, req.user.user_id, lineId]
             );
-
-            const [availableBatches] = await connection.query(
-                `SELECT batch_id, quantity, assigned_location_id, expiry_date
-                 FROM batches
-                 WHERE product_id = ? AND quantity > 0 AND status = 'Available'
-                 ORDER BY expiry_date ASC
-                 FOR UPDATE`,
-                [product_id]
+        } else {
+            await connection.query(
+                `UPDATE cycle_count_lines
+                 SET status = 'Pending', system_quantity = NULL, counted_quantity = NULL, variance = NULL, counted_by = NULL, counted_at = NULL
+                 WHERE line_id = ?`,
+                [lineId]
             );
+        }
+        await recordAudit(connection, {
+            entityType: 'cycle_count_line', entityId: lineId, action: 'Update',
+            before: line, after: await getAuditSnapshot(connection, 'cycle_count_line', lineId),
+            actor: req.user, reasonCode: reason_code || null, reasonNotes: reason_notes || null
+        });
+        await completeCycleCountIfDone(connection, countId);
+        await connection.commit();
+        if (decision === 'Approve') scheduleAlertEvaluation();
+        io.emit('cycleCountsChanged');
+        const [updated] = await getCycleCounts(pool, { countId });
+        res.json(updated);
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error deciding count variance:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
 
-            let remainingToPick = quantity;
-            for (const batch of availableBatches) {
-                if (remainingToPick <= 0) break;
+// Cycle Counts: Cancel an open count. Adjustments already posted stay; lines awaiting approval must be decided first.
+app.put('/cycle_counts/:id/cancel', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { id } = req.params;
 
-                const quantityFromBatch = Math.min(remainingToPick, batch.quantity);
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [countRows] = await connection.query('SELECT * FROM cycle_counts WHERE count_id = ? FOR UPDATE', [id]);
+        if (countRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Cycle count not found.' });
+        }
+        if (countRows[0].status !== 'Open') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cycle count ${id} is ${countRows[0].status}.` });
+        }
+        const [[{ awaiting }]] = await connection.query(
+            `SELECT COUNT(*) AS awaiting FROM cycle_count_lines WHERE count_id = ? AND status = 'Awaiting Approval'`,
+            [id]
+        );
+        if (Number(awaiting) > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cycle count ${id} has ${awaiting} variance(s) awaiting approval.` });
+        }
+        await connection.query(`UPDATE cycle_counts SET status = 'Cancelled', completed_at = NOW() WHERE count_id = ?`, [id]);
+        await recordAudit(connection, {
+            entityType: 'cycle_count', entityId: id, action: 'Update',
+            before: countRows[0], after: await getAuditSnapshot(connection, 'cycle_count', id), actor: req.user
+        });
+        await connection.commit();
+        io.emit('cycleCountsChanged');
+        res.json({ message: `Cycle count ${id} cancelled.` });
+    }
+    catch (err) {
+        await connection.rollback();
+        console.error('Error cancelling cycle count:', err);
+        next(err);
+    } finally {
+        connection.release();
+    }
+});
 
-                await connection.query(
-                    'INSERT INTO order_batch_picks (order_id, batch_id, quantity_picked, status) VALUES (?, ?, ?, ?)',
-                    [orderId, batch.batch_id, quantityFromBatch, 'Pending Pick']
-                );
+// Serials: Look up a serial number (or a scanned GS1 pack code) with its full history. ?gtin= narrows a plain serial to one product.
+app.get('/serials/:serial', async (req, res, next) => {
+    const gs1 = parseGs1Barcode(req.params.serial);
+    if (gs1 && gs1.error) {
+        return res.status(400).json({ error: `Unreadable GS1 barcode: ${gs1.error}` });
+    }
+    if (gs1 && !gs1.fields.serial) {
+        return res.status(400).json({ error: 'The GS1 code has no serial number (21).' });
+    }
+    const serialNumber = gs1 ? gs1.fields.serial : req.params.serial;
+    const gtin = gs1 ? gs1.fields.gtin : req.query.gtin;
 
-                await connection.query(
-                    'UPDATE batches SET quantity = quantity - ? WHERE batch_id = ?',
-                    [quantityFromBatch, batch.batch_id]
-                );
+    try {
+        const [serials] = await pool.query(
+            `SELECT sn.*, p.name AS product_name, p.gtin, b.batch_number, b.expiry_date
+             FROM serial_numbers sn
+             JOIN products p ON sn.product_id = p.product_id
+             JOIN batches b ON sn.batch_id = b.batch_id
+             WHERE sn.serial_number = ? AND (? IS NULL OR p.gtin = ?)`,
+            [serialNumber, gtin || null, gtin || null]
+        );
+        if (serials.length === 0) {
+            return res.status(404).json({ error: `Serial number ${serialNumber} is not registered.` });
+        }
+        for (const serial of serials) {
+            const [history] = await pool.query(
+                `SELECT se.*, u.full_name AS changed_by_name, d.dispatch_id
+                 FROM serial_events se
+                 LEFT JOIN users u ON se.changed_by = u.user_id
+                 LEFT JOIN dispatches d ON se.event_type = 'Dispatched' AND d.order_id = se.order_id
+                 WHERE se.serial_id = ?
+                 ORDER BY se.created_at, se.event_id`,
+                [serial.serial_id]
+            );
+            serial.history = history;
+        }
+        res.json(serials);
+    }
+    catch (err) {
+        console.error('Error looking up serial number:', err);
+        next(err);
+    }
+});
 
-                if (batch.assigned_location_id) {
-                    await connection.query(
-                        'UPDATE storage_locations SET current_occupancy = current_occupancy - ? WHERE location_id = ?',
-                        [quantityFromBatch, batch.assigned_location_id]
-                    );
-                }
+// Serials: Change the status of one pack (Decommissioned, Damaged, Sample, or back to Active from Damaged)
+app.put('/serials/:serialId/status', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { serialId } = req.params;
+    const { status, notes } = req.body;
 
-                remainingToPick -= quantityFromBatch;
-            }
+    if (!SERIAL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of: ${SERIAL_STATUSES.join(', ')}.` });
+    }
 
-            if (remainingToPick > 0) {
-                throw new Error(`Insufficient stock for product ID ${product_id}. Needed ${quantity}, but only ${quantity - remainingToPick} available.`);
-            }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [serialRows] = await connection.query('SELECT * FROM serial_numbers WHERE serial_id = ? FOR UPDATE', [serialId]);
+        if (serialRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Serial number not found.' });
         }
-
+        const serial = serialRows[0];
+        if (!SERIAL_STATUS_TRANSITIONS[serial.status].includes(status)) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Serial ${serial.serial_number} cannot go from ${serial.status} to ${status}.` });
+        }
+        await changeSerialStatus(connection, serialRows, status, { notes: notes || null, actor: req.user });
         await connection.commit();
-        res.status(201).json({ message: 'Order placed successfully', order: { order_id: orderId } });
-
+        res.json({ ...serial, status });
     }
     catch (err) {
         await connection.rollback();
-        console.error('Error creating order (backend):', err);
+        console.error('Error changing serial status:', err);
         next(err);
     } finally {
         connection.release();
     }
 });
 
-// Orders: Update status
-app.put('/orders/:orderId', async (req, res, next) => {
-    const { orderId } = req.params;
-    const { status } = req.body;
-
-    if (!status || !['Pending', 'Completed', 'Dispatched', 'Cancelled'].includes(status)) {
-        return res.status(400).json({ error: 'Invalid order status provided.' });
-    }
-
+// Dispatches: Packing list / delivery note for a dispatch, as print-ready HTML
+app.get('/dispatches/:id/document', async (req, res, next) => {
     try {
-        const [result] = await pool.query(
-            'UPDATE orders SET status = ? WHERE order_id = ?',
-            [status, orderId]
-        );
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Order not found.' });
+        const dispatch = await getDispatchDocument(pool, req.params.id);
+        if (!dispatch) {
+            return res.status(404).json({ error: 'Dispatch not found.' });
         }
-        const [updatedOrder] = await pool.query('SELECT * FROM orders WHERE order_id = ?', [orderId]);
-        res.json(updatedOrder[0]);
+        res.type('html').send(renderDispatchDocument(dispatch));
     }
     catch (err) {
-        console.error('Error updating order status:', err);
+        console.error('Error generating dispatch document:', err);
         next(err);
     }
 });
 
-// Order Batch Picks: Update status
-app.put('/order_batch_picks/:pickId', async (req, res, next) => {
-    const { pickId } = req.params;
-    const { status } = req.body;
-
-    if (!status || !['Picked', 'Pending Pick', 'Dispatched'].includes(status)) {
-        return res.status(400).json({ error: 'Invalid pick status provided. Must be Picked, Pending Pick, or Dispatched.' });
-    }
-
+// Scan Mismatches: Rejected pick scans, newest first (?order_id=, ?wave_id=)
+app.get('/scan_mismatches', requireRole('admin', 'dispatcher', 'qa'), async (req, res, next) => {
+    const { order_id, wave_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
     try {
-        const [result] = await pool.query(
-            'UPDATE order_batch_picks SET status = ? WHERE pick_id = ?',
-            [status, pickId]
+        const [mismatches] = await pool.query(
+            `SELECT m.*, eb.batch_number AS expected_batch_number, sb.batch_number AS scanned_batch_number,
+                    CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS expected_location, u.full_name AS scanned_by_name
+             FROM scan_mismatches m
+             LEFT JOIN batches eb ON m.expected_batch_id = eb.batch_id
+             LEFT JOIN batches sb ON m.scanned_batch_id = sb.batch_id
+             LEFT JOIN storage_locations sl ON m.expected_location_id = sl.location_id
+             LEFT JOIN users u ON m.scanned_by = u.user_id
+             WHERE (? IS NULL OR m.order_id = ?) AND (? IS NULL OR m.wave_id = ?)
+             ORDER BY m.created_at DESC, m.mismatch_id DESC
+             LIMIT ?`,
+            [order_id || null, order_id || null, wave_id || null, wave_id || null, limit]
         );
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Pick item not found or status already set.' });
-        }
-        const [updatedPick] = await pool.query('SELECT * FROM order_batch_picks WHERE pick_id = ?', [pickId]);
-        res.json(updatedPick[0]);
+        res.json(mismatches);
     }
     catch (err) {
-        console.error('Error updating pick status:', err);
+        console.error('Error fetching scan mismatches:', err);
         next(err);
     }
 });
 
-// Dispatches: Create record
-app.post('/dispatches', async (req, res, next) => {
-    const { order_id, dispatched_by, dispatch_date } = req.body;
-    if (!order_id || !dispatched_by || !dispatch_date) {
-        return res.status(400).json({ error: 'Order ID, dispatcher, and date are required for dispatch.' });
+// Barcodes: Parse a scanned GS1 code (?code=) into its fields, with the product for its GTIN and any existing batch
+app.get('/barcodes/parse', async (req, res, next) => {
+    const code = req.query.code;
+    if (!code || !String(code).trim()) {
+        return res.status(400).json({ error: 'Scan or enter a barcode.' });
+    }
+    const gs1 = parseGs1Barcode(code);
+    if (!gs1) {
+        return res.json({ gs1: false, fields: {} });
+    }
+    if (gs1.error) {
+        return res.status(400).json({ error: `Unreadable GS1 barcode: ${gs1.error}` });
     }
     try {
-        const [result] = await pool.query(
-            'INSERT INTO dispatches (order_id, dispatched_by, dispatch_date) VALUES (?, ?, ?)',
-            [order_id, dispatched_by, dispatch_date]
-        );
-        const [newDispatch] = await pool.query('SELECT * FROM dispatches WHERE dispatch_id = ?', [result.insertId]);
-        res.status(201).json(newDispatch[0]);
+        const [productRows] = gs1.fields.gtin
+            ? await pool.query('SELECT * FROM products WHERE gtin = ?', [gs1.fields.gtin])
+            : [[]];
+        const { batch } = await findBatchByScan(pool, code);
+        res.json({ gs1: true, fields: gs1.fields, product: productRows[0] || null, batch });
     }
     catch (err) {
-        console.error('Error recording dispatch:', err);
+        console.error('Error parsing barcode:', err);
         next(err);
     }
 });
-// Barcode Verification Endpoint
+
+// Barcode Verification Endpoint (GS1 codes are matched on GTIN + lot, any other code on the exact barcode or batch number)
 app.get('/verify-barcode/:barcode', async (req, res, next) => {
     const { barcode } = req.params;
     try {
-        const [batchRows] = await pool.query(
-            `SELECT b.batch_id, b.batch_number, b.quantity, b.expiry_date, p.name AS product_name, p.category AS product_type
-             FROM batches b
-             JOIN products p ON b.product_id = p.product_id
-             WHERE b.barcode = ?`,
-            [barcode]
-        );
-
-        if (batchRows.length === 0) {
-            return res.json({ isValid: false, messages: ['Barcode not found.'] });
+        const { batch, gs1 } = await findBatchByScan(pool, barcode);
+        if (gs1 && gs1.error) {
+            return res.json({ isValid: false, messages: [`Unreadable GS1 barcode: ${gs1.error}`] });
+        }
+        if (!batch) {
+            return res.json({ isValid: false, gs1: gs1 ? gs1.fields : null, messages: ['Barcode not found.'] });
         }
 
-        const batch = batchRows[0];
         let verificationResult = {
             isValid: true,
             batch: batch,
+            gs1: gs1 ? gs1.fields : null,
             messages: []
         };
 
+        if (gs1 && gs1.fields.expiry_date && gs1.fields.expiry_date !== formatDateOnly(batch.expiry_date)) {
+            verificationResult.isValid = false;
+            verificationResult.messages.push(`Pack expiry ${gs1.fields.expiry_date} does not match the batch record (${formatDateOnly(batch.expiry_date)}).`);
+        }
+
         if (batch.quantity <= 0) {
             verificationResult.isValid = false;
             verificationResult.messages.push(`Batch is out of stock (Quantity: ${batch.quantity}).`);
@@ -678,63 +6032,372 @@ app.get('/verify-barcode/:barcode', async (req, res, next) => {
 
 
 // Temperature Logging Endpoint
-app.post('/temperature_logs', async (req, res, next) => {
-    const { location_id, temperature_reading } = req.body;
-    if (location_id === undefined || temperature_reading === undefined || isNaN(temperature_reading)) {
-        return res.status(400).json({ error: 'Location ID and a valid temperature reading are required.' });
+app.post('/temperature_logs', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { location_id, device_id, temperature_reading, humidity_reading } = req.body;
+    if ((location_id === undefined && !device_id) || temperature_reading === undefined || isNaN(temperature_reading)) {
+        return res.status(400).json({ error: 'A Location ID or Device ID and a valid temperature reading are required.' });
+    }
+    const hasHumidity = humidity_reading !== undefined && humidity_reading !== null && humidity_reading !== '';
+    if (hasHumidity && (isNaN(humidity_reading) || humidity_reading < 0 || humidity_reading > 100)) {
+        return res.status(400).json({ error: 'Humidity reading must be a number between 0 and 100.' });
     }
 
-    const connection = await pool.getConnection();
     try {
-        await connection.beginTransaction();
+        // Readings tagged by a registered device are mapped to its assigned location
+        if (device_id) {
+            const logged = await recordSensorReading(device_id, temperature_reading, hasHumidity ? parseFloat(humidity_reading) : null);
+            if (!logged) {
+                return res.status(404).json({ error: `Device '${device_id}' is not an active sensor assigned to a location.` });
+            }
+            return res.status(201).json({ message: 'Temperature log received and stored successfully', ...logged });
+        }
 
-        await connection.query(
-            'INSERT INTO temperature_logs (location_id, temperature_reading, timestamp) VALUES (?, ?, NOW())',
-            [location_id, temperature_reading]
-        );
+        await recordTemperatureReading(location_id, temperature_reading, hasHumidity ? parseFloat(humidity_reading) : null);
+        res.status(201).json({ message: 'Temperature log received and stored successfully' });
+    }
+    catch (err) {
+        console.error('Error logging temperature:', err);
+        next(err);
+    }
+});
 
-        await connection.query(
-            'UPDATE storage_locations SET latest_temperature = ?, last_temp_update = NOW() WHERE location_id = ?',
-            [temperature_reading, location_id]
+
+// Excursions: Get all (optionally by status/location, with affected batches)
+app.get('/excursions', async (req, res, next) => {
+    const { status, location_id } = req.query;
+    if (status && !['Open', 'Closed'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status. Must be "Open" or "Closed".' });
+    }
+    try {
+        const [excursions] = await pool.query(`
+            SELECT
+                e.*,
+                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+                sl.min_temp,
+                sl.max_temp,
+                COALESCE(e.duration_minutes, TIMESTAMPDIFF(MINUTE, e.started_at, NOW())) AS elapsed_minutes
+            FROM temperature_excursions e
+            JOIN storage_locations sl ON e.location_id = sl.location_id
+            WHERE (? IS NULL OR e.status = ?) AND (? IS NULL OR e.location_id = ?)
+            ORDER BY e.started_at DESC
+            LIMIT 200
+        `, [status || null, status || null, location_id || null, location_id || null]);
+
+        const excursionsWithBatches = await Promise.all(excursions.map(async (excursion) => {
+            const [batches] = await pool.query(
+                `SELECT eb.batch_id, eb.quantity, eb.joined_at, b.batch_number, b.status, p.name AS product_name
+                 FROM excursion_batches eb
+                 JOIN batches b ON eb.batch_id = b.batch_id
+                 JOIN products p ON b.product_id = p.product_id
+                 WHERE eb.excursion_id = ?`,
+                [excursion.excursion_id]
+            );
+            return { ...excursion, batches };
+        }));
+
+        res.json(excursionsWithBatches);
+    }
+    catch (err) {
+        console.error('Error fetching excursions:', err);
+        next(err);
+    }
+});
+
+// Sensors: Get all (with assigned location and silence flag)
+app.get('/sensors', async (req, res, next) => {
+    try {
+        const [sensors] = await pool.query(`
+            SELECT
+                s.*,
+                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+                (s.status = 'Active' AND (s.last_seen IS NULL OR s.last_seen < DATE_SUB(NOW(), INTERVAL ? MINUTE))) AS is_silent
+            FROM sensors s
+            LEFT JOIN storage_locations sl ON s.location_id = sl.location_id
+            ORDER BY s.status ASC, s.device_id ASC
+        `, [SENSOR_SILENCE_MINUTES]);
+        res.json(sensors.map(sensor => ({ ...sensor, is_silent: !!sensor.is_silent })));
+    }
+    catch (err) {
+        console.error('Error fetching sensors:', err);
+        next(err);
+    }
+});
+
+// Sensors: Active sensors that have stopped reporting
+app.get('/sensors/silent', async (req, res, next) => {
+    const minutes = req.query.minutes !== undefined ? parseInt(req.query.minutes) : SENSOR_SILENCE_MINUTES;
+    if (isNaN(minutes) || minutes <= 0) {
+        return res.status(400).json({ error: 'Minutes must be a positive number.' });
+    }
+    try {
+        const [silentSensors] = await pool.query(`
+            SELECT
+                s.sensor_id,
+                s.device_id,
+                s.sensor_type,
+                s.location_id,
+                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+                s.last_seen
+            FROM sensors s
+            LEFT JOIN storage_locations sl ON s.location_id = sl.location_id
+            WHERE s.status = 'Active'
+                AND (s.last_seen IS NULL OR s.last_seen < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+            ORDER BY s.last_seen ASC
+        `, [minutes]);
+
+        res.json(silentSensors.map(sensor => ({
+            ...sensor,
+            message: sensor.last_seen
+                ? `No reading since ${new Date(sensor.last_seen).toLocaleString()}.`
+                : 'Sensor has never reported a reading.'
+        })));
+    }
+    catch (err) {
+        console.error('Error fetching silent sensors:', err);
+        next(err);
+    }
+});
+
+// Sensors: Register new device
+app.post('/sensors', requireRole('admin'), async (req, res, next) => {
+    let { device_id, sensor_type, location_id, calibration_offset } = req.body;
+
+    if (!device_id || !sensor_type) {
+        return res.status(400).json({ error: 'Device ID and sensor type are required.' });
+    }
+    if (!['DHT11', 'DHT22'].includes(sensor_type)) {
+        return res.status(400).json({ error: 'Invalid sensor type. Only "DHT11" or "DHT22" are allowed.' });
+    }
+    calibration_offset = (calibration_offset === undefined || calibration_offset === null || calibration_offset === '') ? 0 : parseFloat(calibration_offset);
+    if (isNaN(calibration_offset)) {
+        return res.status(400).json({ error: 'Calibration offset must be a number.' });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO sensors (device_id, sensor_type, location_id, calibration_offset) VALUES (?, ?, ?, ?)',
+            [device_id, sensor_type, location_id || null, calibration_offset]
         );
+        const [newSensor] = await pool.query('SELECT * FROM sensors WHERE sensor_id = ?', [result.insertId]);
+        res.status(201).json(newSensor[0]);
+    }
+    catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `A sensor with device ID '${device_id}' is already registered.` });
+        }
+        if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: `Storage location ${location_id} does not exist.` });
+        }
+        console.error('Error registering sensor:', err);
+        next(err);
+    }
+});
 
-        await connection.commit();
-        res.status(201).json({ message: 'Temperature log received and stored successfully' });
+// Sensors: Update location assignment or calibration
+app.put('/sensors/:id', requireRole('admin'), async (req, res, next) => {
+    const { id } = req.params;
+    let { location_id, calibration_offset } = req.body;
 
-        io.emit('temperatureUpdate', {
-            location_id: location_id,
-            temperature: temperature_reading,
-            timestamp: new Date().toISOString()
-        });
+    if (location_id === undefined && calibration_offset === undefined) {
+        return res.status(400).json({ error: 'Provide a location_id (null to unassign) or calibration_offset to update.' });
+    }
+    if (calibration_offset !== undefined && (calibration_offset === null || calibration_offset === '' || isNaN(calibration_offset))) {
+        return res.status(400).json({ error: 'Calibration offset must be a number.' });
+    }
+
+    try {
+        // Fields left out of the request keep their current value
+        const [result] = await pool.query(
+            `UPDATE sensors
+             SET location_id = IF(?, ?, location_id), calibration_offset = COALESCE(?, calibration_offset)
+             WHERE sensor_id = ? AND status = 'Active'`,
+            [location_id !== undefined, location_id || null, calibration_offset !== undefined ? parseFloat(calibration_offset) : null, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Active sensor not found.' });
+        }
+        const [updatedSensor] = await pool.query('SELECT * FROM sensors WHERE sensor_id = ?', [id]);
+        res.json(updatedSensor[0]);
+    }
+    catch (err) {
+        if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: `Storage location ${location_id} does not exist.` });
+        }
+        console.error('Error updating sensor:', err);
+        next(err);
+    }
+});
 
+// Sensors: Retire device (kept for the history of its logged readings)
+app.put('/sensors/:id/retire', requireRole('admin'), async (req, res, next) => {
+    const { id } = req.params;
+    try {
+        const [result] = await pool.query(
+            `UPDATE sensors SET status = 'Retired', retired_at = NOW() WHERE sensor_id = ? AND status = 'Active'`,
+            [id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Active sensor not found.' });
+        }
+        const [retiredSensor] = await pool.query('SELECT * FROM sensors WHERE sensor_id = ?', [id]);
+        res.json(retiredSensor[0]);
     }
     catch (err) {
-        await connection.rollback();
-        console.error('Error logging temperature:', err);
+        console.error('Error retiring sensor:', err);
         next(err);
-    } finally {
-        connection.release();
     }
 });
 
 
-// Alerts: Expiry
-app.get('/alerts/expiry', async (req, res, next) => {
+// Stock Movements: Ledger entries, filterable by batch or location (newest first)
+app.get('/stock_movements', async (req, res, next) => {
+    const { batch_id, location_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
     try {
-        const [expired] = await pool.query(`
-            SELECT b.batch_id, b.batch_number, b.quantity, b.expiry_date, p.name AS product_name
-            FROM batches b
-            JOIN products p ON b.product_id = p.product_id
-            WHERE b.expiry_date < CURDATE() AND b.quantity > 0 AND b.status = 'Available'
+        const [movements] = await pool.query(
+            `SELECT sm.*, b.batch_number, u.full_name AS created_by_name
+             FROM stock_movements sm
+             LEFT JOIN batches b ON sm.batch_id = b.batch_id
+             LEFT JOIN users u ON sm.created_by = u.user_id
+             WHERE (? IS NULL OR sm.batch_id = ?)
+                AND (? IS NULL OR sm.from_location_id = ? OR sm.to_location_id = ?)
+             ORDER BY sm.created_at DESC, sm.movement_id DESC
+             LIMIT ?`,
+            [batch_id || null, batch_id || null, location_id || null, location_id || null, location_id || null, limit]
+        );
+        res.json(movements);
+    }
+    catch (err) {
+        console.error('Error fetching stock movements:', err);
+        next(err);
+    }
+});
+
+// Reconcile: Locations, batches and batch portions whose stored counters disagree with the stock movement ledger
+app.get('/reconcile', requireRole('admin', 'qa'), async (req, res, next) => {
+    try {
+        const [locations] = await pool.query(`
+            SELECT
+                sl.location_id,
+                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
+                sl.current_occupancy,
+                COALESCE(ledger.quantity, 0) AS ledger_occupancy,
+                sl.current_occupancy - COALESCE(ledger.quantity, 0) AS difference
+            FROM storage_locations sl
+            LEFT JOIN (
+                SELECT location_id, SUM(quantity) AS quantity FROM (
+                    SELECT to_location_id AS location_id, quantity FROM stock_movements WHERE to_location_id IS NOT NULL
+                    UNION ALL
+                    SELECT from_location_id AS location_id, -quantity FROM stock_movements WHERE from_location_id IS NOT NULL
+                ) AS entries
+                GROUP BY location_id
+            ) AS ledger ON ledger.location_id = sl.location_id
+            HAVING difference <> 0
+            ORDER BY sl.location_id
         `);
-        const [expiringSoon] = await pool.query(`
-            SELECT b.batch_id, b.batch_number, b.quantity, b.expiry_date, p.name AS product_name
+
+        const [batches] = await pool.query(`
+            SELECT
+                b.batch_id,
+                b.batch_number,
+                b.quantity,
+                COALESCE(ledger.quantity, 0) AS ledger_quantity,
+                b.quantity - COALESCE(ledger.quantity, 0) AS difference
             FROM batches b
-            JOIN products p ON b.product_id = p.product_id
-            WHERE b.expiry_date >= CURDATE() AND b.expiry_date <= DATE_ADD(CURDATE(), INTERVAL 30 DAY) AND b.quantity > 0 AND b.status = 'Available'
-            ORDER BY b.expiry_date ASC
+            LEFT JOIN (
+                SELECT batch_id, SUM(IF(to_location_id IS NOT NULL, quantity, 0) - IF(from_location_id IS NOT NULL, quantity, 0)) AS quantity
+                FROM stock_movements
+                GROUP BY batch_id
+            ) AS ledger ON ledger.batch_id = b.batch_id
+            HAVING difference <> 0
+            ORDER BY b.batch_id
+        `);
+
+        // Per-location portions of each batch; a portion the ledger says is empty should have no row
+        const [portions] = await pool.query(`
+            SELECT
+                keys_.batch_id,
+                keys_.location_id,
+                COALESCE(bl.quantity, 0) AS quantity,
+                COALESCE(ledger.quantity, 0) AS ledger_quantity,
+                COALESCE(bl.quantity, 0) - COALESCE(ledger.quantity, 0) AS difference
+            FROM (
+                SELECT batch_id, location_id FROM batch_locations
+                UNION
+                SELECT batch_id, to_location_id FROM stock_movements WHERE to_location_id IS NOT NULL
+                UNION
+                SELECT batch_id, from_location_id FROM stock_movements WHERE from_location_id IS NOT NULL
+            ) AS keys_
+            JOIN batches b ON b.batch_id = keys_.batch_id
+            LEFT JOIN batch_locations bl ON bl.batch_id = keys_.batch_id AND bl.location_id = keys_.location_id
+            LEFT JOIN (
+                SELECT batch_id, location_id, SUM(quantity) AS quantity FROM (
+                    SELECT batch_id, to_location_id AS location_id, quantity FROM stock_movements WHERE to_location_id IS NOT NULL
+                    UNION ALL
+                    SELECT batch_id, from_location_id AS location_id, -quantity FROM stock_movements WHERE from_location_id IS NOT NULL
+                ) AS entries
+                GROUP BY batch_id, location_id
+            ) AS ledger ON ledger.batch_id = keys_.batch_id AND ledger.location_id = keys_.location_id
+            HAVING difference <> 0
+            ORDER BY keys_.batch_id, keys_.location_id
         `);
-        res.json({ expired, expiringSoon });
+
+        res.json({
+            in_balance: locations.length === 0 && batches.length === 0 && portions.length === 0,
+            locations, batches, batch_locations: portions
+        });
+    }
+    catch (err) {
+        console.error('Error reconciling stock counters:', err);
+        next(err);
+    }
+});
+
+// Audit: Query the audit trail (filter by entity, user and date range; newest first)
+app.get('/audit', requireRole('admin', 'qa'), async (req, res, next) => {
+    const { entity_type, entity_id, changed_by, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    if (entity_type && !AUDIT_ENTITIES[entity_type]) {
+        return res.status(400).json({ error: `Invalid entity_type. Must be one of: ${Object.keys(AUDIT_ENTITIES).join(', ')}.` });
+    }
+    if (entity_id && !entity_type) {
+        return res.status(400).json({ error: 'entity_type is required when filtering by entity_id.' });
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ error: 'from and to must be valid dates.' });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (entity_type) { conditions.push('entity_type = ?'); params.push(entity_type); }
+    if (entity_id) { conditions.push('entity_id = ?'); params.push(entity_id); }
+    if (changed_by) { conditions.push('changed_by = ?'); params.push(changed_by); }
+    if (fromDate) { conditions.push('created_at >= ?'); params.push(fromDate); }
+    if (toDate) { conditions.push('created_at <= ?'); params.push(toDate); }
+
+    try {
+        const [entries] = await pool.query(
+            `SELECT * FROM audit_log
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY created_at DESC, audit_id DESC
+             LIMIT ?`,
+            [...params, limit]
+        );
+        res.json(entries);
+    }
+    catch (err) {
+        console.error('Error fetching audit log:', err);
+        next(err);
+    }
+});
+
+// Alerts: Expiry
+app.get('/alerts/expiry', async (req, res, next) => {
+    try {
+        res.json(await getExpiryAlerts());
     }
     catch (err) {
         console.error('Error fetching expiry alerts:', err);
@@ -744,24 +6407,8 @@ app.get('/alerts/expiry', async (req, res, next) => {
 
 // Alerts: Low Stock
 app.get('/alerts/low_stock', async (req, res, next) => {
-    const LOW_STOCK_THRESHOLD = 10;
     try {
-        const [lowStock] = await pool.query(`
-            SELECT b.batch_id, b.batch_number, b.quantity, p.name AS product_name
-            FROM batches b
-            JOIN products p ON b.product_id = p.product_id
-            WHERE b.quantity > 0 AND b.quantity <= ? AND b.status = 'Available'
-            ORDER BY b.quantity ASC
-        `, [LOW_STOCK_THRESHOLD]);
-
-        const [outOfStock] = await pool.query(`
-            SELECT b.batch_id, b.batch_number, p.name AS product_name
-            FROM batches b
-            JOIN products p ON b.product_id = p.product_id
-            WHERE b.quantity <= 0 AND b.status = 'Available'
-        `);
-
-        res.json({ lowStock, outOfStock });
+        res.json(await getLowStockAlerts());
     }
     catch (err) {
         console.error('Error fetching low stock alerts:', err);
@@ -771,57 +6418,93 @@ app.get('/alerts/low_stock', async (req, res, next) => {
 
 // Alerts: Temperature
 app.get('/alerts/temperature', async (req, res, next) => {
+    try {
+        res.json(await getTemperatureAlerts());
+    }
+    catch (err) {
+        console.error('Error fetching temperature alerts:', err);
+        next(err);
+    }
+});
+
+// Alerts: Humidity
+app.get('/alerts/humidity', async (req, res, next) => {
+    try {
+        res.json(await getHumidityAlerts());
+    }
+    catch (err) {
+        console.error('Error fetching humidity alerts:', err);
+        next(err);
+    }
+});
+
+// Alerts: Stored alerts raised by the alert engine (live ones by default)
+app.get('/alerts', async (req, res, next) => {
+    const { status } = req.query;
+    const includeCleared = req.query.include_cleared === 'true';
+    if (status && !['Active', 'Acknowledged', 'Resolved'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status. Must be Active, Acknowledged, or Resolved.' });
+    }
     try {
         const [alerts] = await pool.query(`
-            SELECT
-                sl.location_id,
-                CONCAT(sl.zone, '-', sl.rack, '-', sl.slot) AS location_name,
-                sl.location_type,
-                sl.min_temp,
-                sl.max_temp,
-                sl.latest_temperature,
-                sl.last_temp_update
-            FROM
-                storage_locations sl
-            WHERE
-                sl.location_type = 'Cold Storage'
-                AND (
-                    sl.latest_temperature IS NULL
-                    OR sl.latest_temperature < sl.min_temp
-                    OR sl.latest_temperature > sl.max_temp
-                    OR sl.last_temp_update IS NULL
-                    OR sl.last_temp_update < DATE_SUB(NOW(), INTERVAL 1 HOUR)
-                )
-        `);
+            SELECT * FROM alerts
+            WHERE (? IS NULL OR status = ?) AND (? OR cleared_at IS NULL)
+            ORDER BY raised_at DESC
+            LIMIT 200
+        `, [status || null, status || null, includeCleared]);
+        res.json(alerts);
+    }
+    catch (err) {
+        console.error('Error fetching stored alerts:', err);
+        next(err);
+    }
+});
 
-        const formattedAlerts = alerts.map(alert => {
-            let message = '';
-            let alert_type = '';
-            if (alert.latest_temperature === null || alert.last_temp_update === null) {
-                message = 'No recent temperature readings.';
-                alert_type = 'No Readings';
-            } else if (alert.latest_temperature < alert.min_temp) {
-                message = `Temperature too low: ${alert.latest_temperature}°C (Min: ${alert.min_temp}°C)`;
-                alert_type = 'Low Temperature';
-            } else if (alert.latest_temperature > alert.max_temp) {
-                message = `Temperature too high: ${alert.latest_temperature}°C (Max: ${alert.max_temp}°C)`;
-                alert_type = 'High Temperature';
-            } else if (alert.last_temp_update < new Date(Date.now() - 3600000)) {
-                message = `No temperature update in the last hour. Last reading: ${alert.latest_temperature}°C at ${new Date(alert.last_temp_update).toLocaleString()}`;
-                alert_type = 'Stale Reading';
-            }
-            return {
-                location_id: alert.location_id,
-                location_name: alert.location_name,
-                alert_type: alert_type,
-                message: message
-            };
-        });
+// Alerts: Acknowledge
+app.put('/alerts/:id/acknowledge', async (req, res, next) => {
+    const { id } = req.params;
+    const acknowledged_by = req.user.full_name;
+    try {
+        const [result] = await pool.query(
+            `UPDATE alerts SET status = 'Acknowledged', acknowledged_by = ?, acknowledged_at = NOW()
+             WHERE alert_id = ? AND status = 'Active'`,
+            [acknowledged_by, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Active alert not found.' });
+        }
+        const [updatedAlert] = await pool.query('SELECT * FROM alerts WHERE alert_id = ?', [id]);
+        io.emit('alertUpdated', updatedAlert[0]);
+        res.json(updatedAlert[0]);
+    }
+    catch (err) {
+        console.error('Error acknowledging alert:', err);
+        next(err);
+    }
+});
 
-        res.json(formattedAlerts);
+// Alerts: Resolve (an alert whose condition still holds is not raised again until it clears)
+app.put('/alerts/:id/resolve', async (req, res, next) => {
+    const { id } = req.params;
+    const { resolution_notes } = req.body;
+    const resolved_by = req.user.full_name;
+    try {
+        const [result] = await pool.query(
+            `UPDATE alerts
+             SET status = 'Resolved', resolved_by = ?, resolved_at = NOW(), resolution_notes = ?,
+                 acknowledged_by = COALESCE(acknowledged_by, ?), acknowledged_at = COALESCE(acknowledged_at, NOW())
+             WHERE alert_id = ? AND status <> 'Resolved'`,
+            [resolved_by, resolution_notes || null, resolved_by, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Unresolved alert not found.' });
+        }
+        const [updatedAlert] = await pool.query('SELECT * FROM alerts WHERE alert_id = ?', [id]);
+        io.emit('alertUpdated', updatedAlert[0]);
+        res.json(updatedAlert[0]);
     }
     catch (err) {
-        console.error('Error fetching temperature alerts:', err);
+        console.error('Error resolving alert:', err);
         next(err);
     }
 });
@@ -851,4 +6534,7 @@ console.log('backend.js: Error handlers applied.');
 server.listen(port, () => {
     console.log(`Server running on http://localhost:${port}`);
     console.log(`Socket.IO listening on ws://localhost:${port}`);
+    startSerialIngestion();
+    startTemperatureRetentionJob();
+    startAlertEngine();
 });
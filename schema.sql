@@ -7,6 +7,27 @@ CREATE DATABASE my_project;
 -- Use the newly created database
 USE my_project;
 
+-- Table for Users (staff accounts; role decides which routes and pages they can use)
+CREATE TABLE users (
+    user_id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL UNIQUE,
+    full_name VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL, -- 'scrypt:<salt>:<hash>', see hashPassword() in backend.js
+    role ENUM('admin', 'receiver', 'picker', 'dispatcher', 'qa') NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table for User Sessions (login tokens; only a SHA-256 digest of each token is stored)
+CREATE TABLE user_sessions (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
 -- Table for Products
 CREATE TABLE products (
     product_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -15,6 +36,10 @@ CREATE TABLE products (
     manufacturer VARCHAR(255),
     category ENUM('Ambient', 'Cold Storage') NOT NULL,
     price DECIMAL(10, 2),
+    excursion_tolerance_minutes INT, -- Cumulative minutes out of range allowed before batches go On Hold (NULL = not enforced)
+    size_type VARCHAR(50), -- Location size the product needs (e.g., Small, Medium, Large); used by the size_match allocation strategy
+    gtin CHAR(14) UNIQUE, -- GS1 trade item number (GTIN-14, shorter GTINs zero-padded) printed in the pack's GS1 barcode
+    is_serialised BOOLEAN NOT NULL DEFAULT FALSE, -- Packs carry unique serial numbers that are tracked one by one (EU FMD / US DSCSA)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -26,16 +51,31 @@ CREATE TABLE storage_locations (
     slot VARCHAR(50) NOT NULL,
     location_type ENUM('Ambient', 'Cold Storage') NOT NULL,
     size_type VARCHAR(50), -- e.g., Small, Medium, Large
+    pick_sequence INT, -- Walking order from the dispatch area (lower is closer); used by the pick_proximity allocation strategy
+    is_quarantine BOOLEAN NOT NULL DEFAULT FALSE, -- Holds customer returns until QA decides; never allocated, picked or transferred from
     capacity INT NOT NULL,
     current_occupancy INT DEFAULT 0,
     min_temp DECIMAL(5, 2), -- Required for Cold Storage
     max_temp DECIMAL(5, 2), -- Required for Cold Storage
     latest_temperature DECIMAL(5, 2), -- Stores the last recorded temperature
     last_temp_update TIMESTAMP, -- Stores when the latest_temperature was updated
+    min_humidity DECIMAL(5, 2), -- Optional relative humidity limit (%)
+    max_humidity DECIMAL(5, 2), -- Optional relative humidity limit (%)
+    latest_humidity DECIMAL(5, 2), -- Stores the last recorded relative humidity
+    last_humidity_update TIMESTAMP NULL, -- Stores when the latest_humidity was updated
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(zone, rack, slot) -- Ensure unique location identifier
 );
 
+-- Table for Allocation Policies (which smart allocation strategy each product category uses)
+CREATE TABLE allocation_policies (
+    category ENUM('Ambient', 'Cold Storage') PRIMARY KEY,
+    strategy ENUM('most_free_space', 'best_fit', 'consolidate', 'pick_proximity', 'size_match') NOT NULL DEFAULT 'most_free_space',
+    updated_by INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
 -- Table for Batches (Inventory)
 CREATE TABLE batches (
     batch_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -45,18 +85,112 @@ CREATE TABLE batches (
     expiry_date DATE NOT NULL,
     quantity INT NOT NULL,
     barcode VARCHAR(255) UNIQUE, -- Stores the barcode value, defaults to batch_number if not provided
-    assigned_location_id INT, -- Foreign key to storage_locations
-    status ENUM('Available', 'Picked', 'Dispatched', 'Expired', 'Damaged') DEFAULT 'Available',
+    status ENUM('Awaiting Putaway', 'Available', 'Picked', 'Dispatched', 'Expired', 'Damaged', 'On Hold', 'Recalled') DEFAULT 'Available',
+    hold_reason VARCHAR(255), -- Why the batch is On Hold (until QA releases it) or Recalled
+    excursion_minutes INT NOT NULL DEFAULT 0, -- Cumulative minutes spent in closed temperature excursions
+    excursion_minutes_accepted INT NOT NULL DEFAULT 0, -- Exposure already reviewed and accepted by QA at the last release
+    received_by INT, -- User who entered the stock
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE RESTRICT,
-    FOREIGN KEY (assigned_location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Batch Locations (how much of each batch sits in each location; a batch can be split across several)
+CREATE TABLE batch_locations (
+    batch_id INT NOT NULL,
+    location_id INT NOT NULL,
+    quantity INT NOT NULL,
+    PRIMARY KEY (batch_id, location_id),
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT
+);
+
+-- Table for Putaway Tasks (received stock waiting to be scanned into its location; one task per planned portion)
+CREATE TABLE putaway_tasks (
+    putaway_id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id INT NOT NULL,
+    planned_location_id INT NOT NULL, -- Location chosen by smart allocation; its capacity is held until the task is confirmed
+    location_id INT, -- Location actually scanned at confirmation (may differ from the plan)
+    quantity INT NOT NULL,
+    status ENUM('Pending', 'Completed') NOT NULL DEFAULT 'Pending',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    confirmed_by INT,
+    confirmed_at DATETIME,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+    FOREIGN KEY (planned_location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (confirmed_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Customers (hospitals and pharmacies we ship to, with their licence and picking rules)
+CREATE TABLE customers (
+    customer_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    customer_type ENUM('Hospital', 'Pharmacy', 'Clinic', 'Other') NOT NULL,
+    contact_name VARCHAR(255),
+    contact_email VARCHAR(255),
+    contact_phone VARCHAR(50),
+    licence_number VARCHAR(100) NOT NULL, -- Pharmacy/hospital licence; orders are refused once it has expired
+    licence_expiry DATE NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    min_shelf_life_days INT NOT NULL DEFAULT 0, -- Stock must have at least this many days to expiry when it is picked
+    single_batch_per_line BOOLEAN NOT NULL DEFAULT FALSE, -- Each order line must come from one batch
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table for Customer Addresses (delivery addresses; a customer can have several)
+CREATE TABLE customer_addresses (
+    address_id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    label VARCHAR(100) NOT NULL, -- e.g. 'Main Pharmacy', 'Ward 4 Store'
+    address_line1 VARCHAR(255) NOT NULL,
+    address_line2 VARCHAR(255),
+    city VARCHAR(100) NOT NULL,
+    postcode VARCHAR(20),
+    country VARCHAR(100),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE, -- Used when an order does not name a ship-to address
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+);
+
+-- Table for Customer Excluded Batches (batches a customer refuses, e.g. after a complaint)
+CREATE TABLE customer_excluded_batches (
+    customer_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    PRIMARY KEY (customer_id, batch_id),
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE
+);
+
+-- Table for Pick Waves (pending orders grouped so their picks are walked in one merged route)
+CREATE TABLE pick_waves (
+    wave_id INT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('Open', 'Completed', 'Cancelled') NOT NULL DEFAULT 'Open',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME, -- When the last order of the wave was packed
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
 );
 
 -- Table for Orders
 CREATE TABLE orders (
     order_id INT AUTO_INCREMENT PRIMARY KEY,
     order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    status ENUM('Pending', 'Completed', 'Dispatched', 'Cancelled') DEFAULT 'Pending'
+    status ENUM('Pending', 'Completed', 'Dispatched', 'Cancelled') DEFAULT 'Pending',
+    customer_id INT,
+    ship_to_address_id INT,
+    requested_delivery_date DATE,
+    priority ENUM('Low', 'Normal', 'High', 'Urgent') NOT NULL DEFAULT 'Normal',
+    -- Picking rules applied when the order was placed (customer rules combined with any order-level rules)
+    min_shelf_life_days INT NOT NULL DEFAULT 0,
+    single_batch_per_line BOOLEAN NOT NULL DEFAULT FALSE,
+    excluded_batch_ids JSON,
+    wave_id INT, -- Pick wave the order was last assigned to
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE RESTRICT,
+    FOREIGN KEY (ship_to_address_id) REFERENCES customer_addresses(address_id) ON DELETE RESTRICT,
+    FOREIGN KEY (wave_id) REFERENCES pick_waves(wave_id) ON DELETE SET NULL
 );
 
 -- Table for Order Items (details of what was ordered)
@@ -64,7 +198,8 @@ CREATE TABLE order_items (
     order_item_id INT AUTO_INCREMENT PRIMARY KEY,
     order_id INT NOT NULL,
     product_id INT NOT NULL,
-    quantity INT NOT NULL,
+    quantity INT NOT NULL, -- Quantity originally ordered
+    cancelled_quantity INT NOT NULL DEFAULT 0, -- Units later cancelled (whole or partial order cancellation)
     FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE RESTRICT
 );
@@ -74,67 +209,483 @@ CREATE TABLE order_batch_picks (
     pick_id INT AUTO_INCREMENT PRIMARY KEY,
     order_id INT NOT NULL,
     batch_id INT NOT NULL,
+    location_id INT, -- Location the batch portion is picked from
     quantity_picked INT NOT NULL,
-    status ENUM('Pending Pick', 'Picked', 'Dispatched') DEFAULT 'Pending Pick',
+    status ENUM('Pending Pick', 'Picked', 'Dispatched', 'Cancelled') DEFAULT 'Pending Pick',
     picked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    picked_by INT, -- User who marked the item Picked
+    scan_verified_at DATETIME, -- Set when the pick was confirmed by scanning its location and batch barcode
     FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
     FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
-    UNIQUE(order_id, batch_id) -- A batch can only be picked once per order
+    FOREIGN KEY (picked_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT,
+    UNIQUE(order_id, batch_id, location_id) -- Each portion of a batch is picked at most once per order
+);
+
+-- Table for Serial Numbers (one row per pack of a serialised product)
+CREATE TABLE serial_numbers (
+    serial_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    serial_number VARCHAR(20) NOT NULL, -- GS1 AI (21)
+    status ENUM('Active', 'Picked', 'Dispatched', 'Returned', 'Decommissioned', 'Damaged', 'Sample') NOT NULL DEFAULT 'Active',
+    order_id INT, -- Order the pack was picked for
+    pick_id INT, -- Pick the pack left its location with
+    registered_by INT,
+    registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE RESTRICT,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    FOREIGN KEY (pick_id) REFERENCES order_batch_picks(pick_id) ON DELETE SET NULL,
+    FOREIGN KEY (registered_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE (product_id, serial_number), -- GTIN + serial identifies one pack
+    INDEX (batch_id, status)
+);
+
+-- Table for Serial Events (full history of each pack: registration, picking, dispatch and status changes)
+CREATE TABLE serial_events (
+    event_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    serial_id BIGINT NOT NULL,
+    event_type ENUM('Registered', 'Picked', 'Unpicked', 'Dispatched', 'Returned', 'Status Change') NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    order_id INT,
+    pick_id INT,
+    notes VARCHAR(255),
+    changed_by INT,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (serial_id) REFERENCES serial_numbers(serial_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (serial_id, created_at)
+);
+
+-- Table for Scan Mismatches (every rejected pick scan: wrong location, wrong batch, expired or on-hold stock)
+CREATE TABLE scan_mismatches (
+    mismatch_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    pick_id INT, -- No foreign key: entries must outlive deleted picks
+    order_id INT,
+    wave_id INT,
+    expected_batch_id INT,
+    expected_location_id INT,
+    scanned_location_code VARCHAR(100),
+    scanned_barcode VARCHAR(255),
+    scanned_batch_id INT, -- NULL when the barcode matches no batch
+    reason VARCHAR(255) NOT NULL,
+    scanned_by INT,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (scanned_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (created_at)
 );
 
 -- Table for Dispatches (records when orders physically leave the warehouse)
 CREATE TABLE dispatches (
     dispatch_id INT AUTO_INCREMENT PRIMARY KEY,
     order_id INT NOT NULL UNIQUE,
-    dispatched_by VARCHAR(255) NOT NULL,
+    dispatched_by VARCHAR(255) NOT NULL, -- Name of the dispatching user at the time of dispatch
+    dispatched_by_user_id INT,
     dispatch_date DATE NOT NULL,
+    -- Cold-chain packaging (required when the order has Cold Storage items)
+    shipper_type VARCHAR(100), -- Insulated shipper box, e.g. "48h EPS shipper 10L"
+    coolant VARCHAR(255), -- Cool packs used, e.g. "4 x conditioned 2-8 °C gel packs"
+    logger_id VARCHAR(100), -- Serial of the temperature data logger packed with the shipment
+    required_min_temp DECIMAL(5, 2), -- Range the shipment must stay in (narrowest range of the locations it was picked from)
+    required_max_temp DECIMAL(5, 2),
+    -- Result of the logger data uploaded after delivery
+    shipment_status ENUM('Not Monitored', 'Awaiting Logger Data', 'Within Range', 'Excursion') NOT NULL DEFAULT 'Not Monitored',
+    logger_reading_count INT,
+    logger_min_temp DECIMAL(5, 2),
+    logger_max_temp DECIMAL(5, 2),
+    out_of_range_minutes INT,
+    logger_uploaded_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (dispatched_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Shipment Temperature Logs (readings from the data logger that travelled with a dispatch;
+-- same time series format as temperature_logs)
+CREATE TABLE shipment_temperature_logs (
+    log_id INT AUTO_INCREMENT PRIMARY KEY,
+    dispatch_id INT NOT NULL,
+    temperature_reading DECIMAL(5, 2) NOT NULL,
+    humidity_reading DECIMAL(5, 2),
+    timestamp TIMESTAMP NOT NULL,
+    FOREIGN KEY (dispatch_id) REFERENCES dispatches(dispatch_id) ON DELETE CASCADE,
+    INDEX idx_shipment_temperature_logs_dispatch_time (dispatch_id, timestamp)
+);
+
+-- Table for Returns (goods sent back by a customer against a dispatched order; held in quarantine until QA decides)
+CREATE TABLE returns (
+    return_id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    dispatch_id INT NOT NULL,
+    reason ENUM('Damaged in Transit', 'Wrong Item', 'Excess Stock', 'Short Dated', 'Temperature Excursion', 'Recall', 'Other') NOT NULL,
+    notes TEXT,
+    status ENUM('Quarantined', 'Closed') NOT NULL DEFAULT 'Quarantined', -- Closed once QA has decided every line
+    received_by INT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE RESTRICT,
+    FOREIGN KEY (dispatch_id) REFERENCES dispatches(dispatch_id) ON DELETE RESTRICT,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Return Lines (what came back from one pick of the order, and QA's decision for it)
+CREATE TABLE return_lines (
+    line_id INT AUTO_INCREMENT PRIMARY KEY,
+    return_id INT NOT NULL,
+    pick_id INT NOT NULL, -- The order_batch_picks row the units were dispatched with
+    batch_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    quarantine_location_id INT NOT NULL,
+    serial_numbers JSON, -- Serials of the returned packs (serialised products only)
+    status ENUM('Quarantined', 'Restocked', 'Destroyed', 'Returned to Supplier') NOT NULL DEFAULT 'Quarantined',
+    decision_notes VARCHAR(255),
+    decided_by INT,
+    decided_at DATETIME,
+    FOREIGN KEY (return_id) REFERENCES returns(return_id) ON DELETE CASCADE,
+    FOREIGN KEY (pick_id) REFERENCES order_batch_picks(pick_id) ON DELETE RESTRICT,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE RESTRICT,
+    FOREIGN KEY (quarantine_location_id) REFERENCES storage_locations(location_id) ON DELETE RESTRICT,
+    FOREIGN KEY (decided_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (pick_id)
+);
+
+-- Table for Recalls (a manufacturer's recall of one batch, or of a product's lots in a range)
+CREATE TABLE recalls (
+    recall_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    reference VARCHAR(100), -- The manufacturer's or regulator's recall reference
+    lot_from VARCHAR(255) NOT NULL, -- Lots from lot_from to lot_to (inclusive, compared as text) are recalled
+    lot_to VARCHAR(255) NOT NULL,
+    reason TEXT NOT NULL,
+    status ENUM('Open', 'Closed') NOT NULL DEFAULT 'Open',
+    initiated_by INT,
+    initiated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INT,
+    closed_at DATETIME,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE RESTRICT,
+    FOREIGN KEY (initiated_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (closed_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Recall Batches (the batches a recall blocked, with their status beforehand)
+CREATE TABLE recall_batches (
+    recall_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    status_before VARCHAR(20) NOT NULL,
+    PRIMARY KEY (recall_id, batch_id),
+    FOREIGN KEY (recall_id) REFERENCES recalls(recall_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE RESTRICT
+);
+
+-- Table for Recall Shipments (each dispatch that contained recalled stock; the customer's acknowledgement and what came back)
+CREATE TABLE recall_shipments (
+    shipment_id INT AUTO_INCREMENT PRIMARY KEY,
+    recall_id INT NOT NULL,
+    dispatch_id INT NOT NULL,
+    order_id INT NOT NULL,
+    acknowledged_at DATETIME,
+    acknowledged_contact VARCHAR(255), -- Who at the customer confirmed the recall notice
+    acknowledged_by INT, -- User who recorded the acknowledgement
+    destroyed_on_site_at DATETIME, -- The customer confirmed destroying the stock instead of returning it
+    destroyed_on_site_by INT,
+    notes TEXT,
+    UNIQUE (recall_id, dispatch_id),
+    FOREIGN KEY (recall_id) REFERENCES recalls(recall_id) ON DELETE CASCADE,
+    FOREIGN KEY (dispatch_id) REFERENCES dispatches(dispatch_id) ON DELETE RESTRICT,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE RESTRICT,
+    FOREIGN KEY (acknowledged_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (destroyed_on_site_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Cycle Counts (a planned count of a zone, a rack or the products of one ABC class)
+CREATE TABLE cycle_counts (
+    count_id INT AUTO_INCREMENT PRIMARY KEY,
+    scope_type ENUM('Zone', 'Rack', 'ABC Class') NOT NULL,
+    zone VARCHAR(50),
+    rack VARCHAR(50),
+    abc_class ENUM('A', 'B', 'C'), -- A: products making up the first 80% of recent picks, B: the next 15%, C: the rest
+    variance_threshold_pct DECIMAL(5, 2) NOT NULL, -- Variances above this share of the system quantity need approval
+    status ENUM('Open', 'Completed', 'Cancelled') NOT NULL DEFAULT 'Open',
+    created_by INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+    completed_at DATETIME,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Cycle Count Lines (one batch in one location; counted blind, then compared with the system quantity)
+CREATE TABLE cycle_count_lines (
+    line_id INT AUTO_INCREMENT PRIMARY KEY,
+    count_id INT NOT NULL,
+    location_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    status ENUM('Pending', 'Matched', 'Adjusted', 'Awaiting Approval') NOT NULL DEFAULT 'Pending',
+    system_quantity INT, -- Quantity in batch_locations when the count was entered
+    counted_quantity INT,
+    variance INT, -- counted_quantity - system_quantity
+    counted_by INT,
+    counted_at DATETIME,
+    reason_code VARCHAR(50), -- Reason the adjustment was posted with
+    reason_notes TEXT,
+    approved_by INT, -- Supervisor who approved a variance above the threshold
+    approved_at DATETIME,
+    UNIQUE (count_id, location_id, batch_id),
+    FOREIGN KEY (count_id) REFERENCES cycle_counts(count_id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+    FOREIGN KEY (counted_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (approved_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Table for Sensors (registry of temperature/humidity devices and where they are installed)
+CREATE TABLE sensors (
+    sensor_id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(100) NOT NULL UNIQUE, -- Identifier the device reports readings with
+    sensor_type ENUM('DHT11', 'DHT22') NOT NULL DEFAULT 'DHT11',
+    location_id INT, -- Storage location the sensor is installed in
+    calibration_offset DECIMAL(5, 2) NOT NULL DEFAULT 0, -- Added to every raw temperature reading (°C)
+    status ENUM('Active', 'Retired') DEFAULT 'Active',
+    last_seen TIMESTAMP NULL, -- When the sensor last sent a reading
+    retired_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE SET NULL
 );
 
 -- Table for Temperature Logs (historical sensor data or manual logs)
 CREATE TABLE temperature_logs (
     log_id INT AUTO_INCREMENT PRIMARY KEY,
     location_id INT NOT NULL,
+    sensor_id INT, -- NULL for manual logs
     temperature_reading DECIMAL(5, 2) NOT NULL,
     humidity_reading DECIMAL(5, 2), -- Optional, useful for DHT sensors
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE CASCADE,
+    FOREIGN KEY (sensor_id) REFERENCES sensors(sensor_id) ON DELETE SET NULL,
+    INDEX idx_temperature_logs_location_time (location_id, timestamp)
+);
+
+-- Table for Temperature Excursions (periods a location's readings were outside min_temp/max_temp)
+CREATE TABLE temperature_excursions (
+    excursion_id INT AUTO_INCREMENT PRIMARY KEY,
+    location_id INT NOT NULL,
+    excursion_type ENUM('High', 'Low') NOT NULL, -- Direction of the first out-of-range reading
+    status ENUM('Open', 'Closed') DEFAULT 'Open',
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP NULL,
+    duration_minutes INT, -- Set when the excursion closes
+    peak_temperature DECIMAL(5, 2) NOT NULL, -- Reading furthest outside the allowed range
     FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE CASCADE
 );
 
+-- Table for Excursion Batches (batches stored in the location during an excursion)
+CREATE TABLE excursion_batches (
+    excursion_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    quantity INT NOT NULL, -- Quantity in the location when the batch was first seen during the excursion
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Exposure for this batch is counted from here
+    PRIMARY KEY (excursion_id, batch_id),
+    FOREIGN KEY (excursion_id) REFERENCES temperature_excursions(excursion_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE
+);
+
+-- Table for Batch Hold Releases (QA decisions to return held batches to stock)
+CREATE TABLE batch_hold_releases (
+    release_id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id INT NOT NULL,
+    hold_reason VARCHAR(255),
+    released_by VARCHAR(255) NOT NULL,
+    notes TEXT,
+    released_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE
+);
+
+-- Table for Temperature Log Rollups (hourly aggregates of raw logs past the retention period)
+CREATE TABLE temperature_log_rollups (
+    rollup_id INT AUTO_INCREMENT PRIMARY KEY,
+    location_id INT NOT NULL,
+    bucket_start DATETIME NOT NULL, -- Start of the hour the readings were taken in
+    min_temperature DECIMAL(5, 2) NOT NULL,
+    avg_temperature DECIMAL(7, 3) NOT NULL,
+    max_temperature DECIMAL(5, 2) NOT NULL,
+    reading_count INT NOT NULL,
+    min_humidity DECIMAL(5, 2),
+    avg_humidity DECIMAL(7, 3),
+    max_humidity DECIMAL(5, 2),
+    humidity_count INT NOT NULL DEFAULT 0, -- Readings that included humidity
+    FOREIGN KEY (location_id) REFERENCES storage_locations(location_id) ON DELETE CASCADE,
+    UNIQUE(location_id, bucket_start)
+);
+
+-- Table for Alerts (conditions raised by the alert engine; live until cleared_at is set)
+CREATE TABLE alerts (
+    alert_id INT AUTO_INCREMENT PRIMARY KEY,
+    alert_key VARCHAR(100) NOT NULL, -- Identifies the condition, e.g. 'expiry:soon:batch:7'
+    category ENUM('Expiry', 'Stock', 'Temperature', 'Humidity') NOT NULL,
+    alert_type VARCHAR(50) NOT NULL,
+    severity ENUM('Warning', 'Critical') NOT NULL DEFAULT 'Warning',
+    entity_type ENUM('batch', 'location') NOT NULL,
+    entity_id INT NOT NULL,
+    message TEXT NOT NULL,
+    status ENUM('Active', 'Acknowledged', 'Resolved') NOT NULL DEFAULT 'Active',
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by VARCHAR(255),
+    acknowledged_at DATETIME,
+    resolved_by VARCHAR(255),
+    resolved_at DATETIME,
+    resolution_notes TEXT,
+    cleared_at DATETIME, -- Set when the underlying condition no longer holds
+    INDEX (alert_key, cleared_at)
+);
+
+-- Table for Audit Log (append-only history of every inventory change; see recordAudit() in backend.js)
+CREATE TABLE audit_log (
+    audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    entity_type ENUM('product', 'batch', 'location', 'order', 'pick', 'wave', 'dispatch', 'customer', 'return', 'return_line', 'recall', 'recall_shipment', 'cycle_count', 'cycle_count_line') NOT NULL,
+    entity_id INT NOT NULL, -- No foreign key: entries must outlive deleted rows
+    action ENUM('Create', 'Update', 'Delete') NOT NULL,
+    before_data JSON, -- Full row before the change (NULL for Create)
+    after_data JSON, -- Full row after the change (NULL for Delete)
+    changed_by INT, -- NULL for changes made by the system (e.g. excursion holds)
+    changed_by_name VARCHAR(255) NOT NULL,
+    reason_code VARCHAR(50),
+    reason_notes TEXT,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (changed_by) REFERENCES users(user_id),
+    INDEX (entity_type, entity_id),
+    INDEX (created_at)
+);
+
+-- Audit entries can never be edited or removed
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+-- Table for Stock Movements (append-only ledger; batches.quantity and current_occupancy are kept equal to its totals)
+CREATE TABLE stock_movements (
+    movement_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    batch_id INT NOT NULL, -- No foreign key: entries must outlive deleted batches
+    movement_type ENUM('Receipt', 'Pick', 'Adjustment', 'Transfer', 'Write-off', 'Return', 'Supplier Return') NOT NULL,
+    from_location_id INT, -- Stock leaves this location (NULL for receipts, customer returns and upward adjustments)
+    to_location_id INT, -- Stock arrives in this location (NULL for picks, write-offs, supplier returns and downward adjustments)
+    quantity INT NOT NULL CHECK (quantity > 0),
+    pick_id INT, -- The order_batch_picks row for Pick movements, and for the returns and QA decisions of its units
+    reference VARCHAR(255), -- e.g. 'Order #12' or the reason for an adjustment
+    created_by INT, -- NULL for movements loaded with the sample data
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (from_location_id) REFERENCES storage_locations(location_id),
+    FOREIGN KEY (to_location_id) REFERENCES storage_locations(location_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    INDEX (batch_id),
+    INDEX (created_at)
+);
+
+-- Ledger entries can never be edited or removed; corrections are new movements
+CREATE TRIGGER stock_movements_no_update BEFORE UPDATE ON stock_movements
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'stock_movements is append-only';
+CREATE TRIGGER stock_movements_no_delete BEFORE DELETE ON stock_movements
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'stock_movements is append-only';
+
+-- Reservation layer: stock promised to pending picks stays on hand until it is picked.
+-- available = on_hand - reserved, per location portion and per batch
+CREATE VIEW batch_location_stock AS
+SELECT
+    bl.batch_id,
+    bl.location_id,
+    bl.quantity AS on_hand,
+    CAST(COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                   WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'), 0) AS SIGNED) AS reserved,
+    -- Returned stock in quarantine is on hand but never available
+    CAST(IF(sl.is_quarantine, 0, bl.quantity - COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                   WHERE obp.batch_id = bl.batch_id AND obp.location_id = bl.location_id AND obp.status = 'Pending Pick'), 0)) AS SIGNED) AS available
+FROM batch_locations bl
+JOIN storage_locations sl ON bl.location_id = sl.location_id;
+
+CREATE VIEW batch_stock AS
+SELECT
+    b.batch_id,
+    b.quantity AS on_hand,
+    CAST(COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                   WHERE obp.batch_id = b.batch_id AND obp.status = 'Pending Pick'), 0) AS SIGNED) AS reserved,
+    CAST(COALESCE((SELECT SUM(bl.quantity) FROM batch_locations bl JOIN storage_locations sl ON bl.location_id = sl.location_id
+                   WHERE bl.batch_id = b.batch_id AND sl.is_quarantine), 0) AS SIGNED) AS quarantined,
+    CAST(b.quantity - COALESCE((SELECT SUM(obp.quantity_picked) FROM order_batch_picks obp
+                   WHERE obp.batch_id = b.batch_id AND obp.status = 'Pending Pick'), 0)
+                 - COALESCE((SELECT SUM(bl.quantity) FROM batch_locations bl JOIN storage_locations sl ON bl.location_id = sl.location_id
+                   WHERE bl.batch_id = b.batch_id AND sl.is_quarantine), 0) AS SIGNED) AS available
+FROM batches b;
+
 -- Sample Data Inserts
 
+-- Sample Users (one per role; every sample password is 'ChangeMe@123' - change them after the first login)
+INSERT INTO users (username, full_name, password_hash, role) VALUES
+('admin', 'Warehouse Administrator', 'scrypt:45a988477d3281eda4536a6f2eaa2e34:accdc8b80165cb3c506a7970472f89588a5e9f166c1a7b5f11f424eec3253472f416702ea906579915e777922eb7d291c4a80c8a5e01ccf67bbcca71824bdc88', 'admin'),
+('receiver1', 'Inbound Receiver', 'scrypt:1f44db64e034073e4c78e8256f8e237d:22c76c04c7342ae8b072f5cd8c4a5ab7cb01196b3c9d0e77313ac24c195176d3659c3c80bd09b5e50eb316a35e1fb6c4e56eebf7346578fb9b3a2079487c52d5', 'receiver'),
+('picker1', 'Warehouse Picker', 'scrypt:90b385667ad0a61143a1b3377f6735de:15ee52009abd4207bd55a4296765725fc9a53cdb561b51a8860c64485151325f1d8caece18e0c45cfe7848a0c920653f9290dc0349fccba6fde12b4aa494a086', 'picker'),
+('dispatcher1', 'Dispatch Officer', 'scrypt:b74d5962552835bc6ad6c0560cc10dfd:d6f947356fbc815d296f83733820d27570c90f9932f9aa7c3d906ae79d8fbb4034a2eeca4dcf9d3638aefbd0b92f138b7e526c793b9751ccfa1fa6877fd2b556', 'dispatcher'),
+('qa1', 'QA Officer', 'scrypt:48a77dd87a8dcb79de035e00a850c41b:f174da338ad216fa55e12e3416f2787c146894af1ecf2af2d6a5486fb20eb4e181b6c6d0d6f2faa75e42de6a0b11f65c9ab7a2fa6fef490864ff33aaec283654', 'qa');
+
 -- Sample Products
-INSERT INTO products (name, description, manufacturer, category, price) VALUES
-('Flu Vaccine (Seasonal)', 'Influenza vaccine, 0.5ml single dose', 'Vaccine Inc.', 'Cold Storage', 25.50),
-('Insulin Pens', 'Pre-filled insulin pens, various types', 'PharmaCo', 'Cold Storage', 40.00),
-('Surgical Gloves (Latex Free)', 'Medium size, box of 100', 'MediSupplies', 'Ambient', 12.75),
-('Bandages (Assorted)', 'Various sizes, waterproof', 'FirstAidPro', 'Ambient', 8.99),
-('Pain Relievers (Tablets)', '500mg, bottle of 100', 'HealthMeds', 'Ambient', 7.20),
-('Growth Hormone', 'Injectable solution, vial', 'BioCorp', 'Cold Storage', 150.00),
-('Antibiotic Syrup (Pediatric)', 'Oral suspension, 100ml bottle', 'KidCare Pharma', 'Ambient', 15.00),
-('Syringes (Disposable)', '3ml, sterile, box of 100', 'ClinicGear', 'Ambient', 9.50);
-
--- Sample Storage Locations (ensure these match your Arduino SENSOR_LOCATION_ID if you re-enable it later)
-INSERT INTO storage_locations (zone, rack, slot, location_type, size_type, capacity, current_occupancy, min_temp, max_temp, latest_temperature, last_temp_update) VALUES
-('Ambient_A', 'AR1', 'AS1', 'Ambient', 'Large', 200, 0, NULL, NULL, NULL, NULL),
-('Ambient_A', 'AR1', 'AS2', 'Ambient', 'Medium', 150, 0, NULL, NULL, NULL, NULL),
-('Ambient_B', 'AR2', 'BS1', 'Ambient', 'Large', 200, 0, NULL, NULL, NULL, NULL),
-('Ambient_B', 'AR2', 'BS2', 'Ambient', 'Small', 100, 0, NULL, NULL, NULL, NULL),
-('Cold_A', 'CR1', 'CS1', 'Cold Storage', 'Large', 80, 0, 2.0, 8.0, 5.5, NOW()),
-(105, 'Cold_A', 'CR1', 'CS2', 'Cold Storage', 'Small', 50, 0, 2.0, 8.0, 4.2, NOW()), -- This location_id 105 corresponds to Arduino sketch
-('Cold_B', 'CR2', 'CS1', 'Cold Storage', 'Medium', 70, 0, -2.0, 4.0, 1.8, NOW()),
-('Cold_B', 'CR2', 'CS2', 'Cold Storage', 'Small', 40, 0, -2.0, 4.0, 0.5, NOW());
-
-
--- Sample Batches (some pre-assigned to locations, some with low stock/expiry issues)
-INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, assigned_location_id, status) VALUES
-((SELECT product_id FROM products WHERE name = 'Surgical Gloves (Latex Free)'), 'GLOVE-001', '2024-01-01', '2025-12-31', 100, 'GLOVE-001', (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_A' AND rack = 'AR1' AND slot = 'AS1'), 'Available'),
-((SELECT product_id FROM products WHERE name = 'Bandages (Assorted)'), 'BAND-005', '2024-03-15', '2025-07-20', 5, 'BAND-005', (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_B' AND rack = 'AR2' AND slot = 'BS2'), 'Available'), -- Low Stock
-((SELECT product_id FROM products WHERE name = 'Pain Relievers (Tablets)'), 'PAIN-010', '2023-05-01', '2025-06-15', 20, 'PAIN-010', (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_A' AND rack = 'AR1' AND slot = 'AS2'), 'Available'), -- Expiring Soon
-((SELECT product_id FROM products WHERE name = 'Flu Vaccine (Seasonal)'), 'FLUVAX-003', '2024-02-10', '2025-05-01', 30, 'FLUVAX-003', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1'), 'Available'), -- Expired (for testing)
-((SELECT product_id FROM products WHERE name = 'Insulin Pens'), 'INSULIN-007', '2024-04-20', '2026-03-30', 45, 'INSULIN-007', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS2'), 'Available'),
-((SELECT product_id FROM products WHERE name = 'Syringes (Disposable)'), 'SYRINGE-200', '2024-06-01', '2027-01-01', 80, 'SYRINGE-200', (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_B' AND rack = 'AR2' AND slot = 'BS1'), 'Available');
+INSERT INTO products (name, description, manufacturer, category, price, excursion_tolerance_minutes, size_type, gtin) VALUES
+('Flu Vaccine (Seasonal)', 'Influenza vaccine, 0.5ml single dose', 'Vaccine Inc.', 'Cold Storage', 25.50, 60, 'Small', '05012345000015'),
+('Insulin Pens', 'Pre-filled insulin pens, various types', 'PharmaCo', 'Cold Storage', 40.00, 120, 'Small', '05012345000022'),
+('Surgical Gloves (Latex Free)', 'Medium size, box of 100', 'MediSupplies', 'Ambient', 12.75, NULL, 'Large', '05012345000039'),
+('Bandages (Assorted)', 'Various sizes, waterproof', 'FirstAidPro', 'Ambient', 8.99, NULL, 'Small', '05012345000046'),
+('Pain Relievers (Tablets)', '500mg, bottle of 100', 'HealthMeds', 'Ambient', 7.20, NULL, 'Medium', '05012345000053'),
+('Growth Hormone', 'Injectable solution, vial', 'BioCorp', 'Cold Storage', 150.00, 30, 'Small', '05012345000060'),
+('Antibiotic Syrup (Pediatric)', 'Oral suspension, 100ml bottle', 'KidCare Pharma', 'Ambient', 15.00, NULL, 'Medium', '05012345000077'),
+('Syringes (Disposable)', '3ml, sterile, box of 100', 'ClinicGear', 'Ambient', 9.50, NULL, 'Large', '05012345000084');
+
+-- Growth hormone packs are serialised
+UPDATE products SET is_serialised = TRUE WHERE name = 'Growth Hormone';
+
+-- Default allocation policy per category (spread stock over the emptiest locations)
+INSERT INTO allocation_policies (category, strategy) VALUES
+('Ambient', 'most_free_space'),
+('Cold Storage', 'most_free_space');
+
+-- Sample Storage Locations (sensors are mapped to these through the sensors table below)
+INSERT INTO storage_locations (zone, rack, slot, location_type, size_type, pick_sequence, capacity, current_occupancy, min_temp, max_temp, latest_temperature, last_temp_update, min_humidity, max_humidity) VALUES
+('Ambient_A', 'AR1', 'AS1', 'Ambient', 'Large', 10, 200, 0, NULL, NULL, NULL, NULL, 30.0, 60.0),
+('Ambient_A', 'AR1', 'AS2', 'Ambient', 'Medium', 20, 150, 0, NULL, NULL, NULL, NULL, 30.0, 60.0),
+('Ambient_B', 'AR2', 'BS1', 'Ambient', 'Large', 30, 200, 0, NULL, NULL, NULL, NULL, 30.0, 65.0),
+('Ambient_B', 'AR2', 'BS2', 'Ambient', 'Small', 40, 100, 0, NULL, NULL, NULL, NULL, 30.0, 65.0),
+('Cold_A', 'CR1', 'CS1', 'Cold Storage', 'Large', 50, 80, 0, 2.0, 8.0, 5.5, NOW(), NULL, NULL),
+('Cold_A', 'CR1', 'CS2', 'Cold Storage', 'Small', 60, 50, 0, 2.0, 8.0, 4.2, NOW(), NULL, NULL),
+('Cold_B', 'CR2', 'CS1', 'Cold Storage', 'Medium', 70, 70, 0, -2.0, 4.0, 1.8, NOW(), NULL, NULL),
+('Cold_B', 'CR2', 'CS2', 'Cold Storage', 'Small', 80, 40, 0, -2.0, 4.0, 0.5, NOW(), NULL, NULL);
+
+-- Sample Quarantine Locations (customer returns wait here for a QA decision)
+INSERT INTO storage_locations (zone, rack, slot, location_type, size_type, capacity, current_occupancy, min_temp, max_temp, latest_temperature, last_temp_update, is_quarantine) VALUES
+('Quarantine', 'QR1', 'QA1', 'Ambient', 'Large', 100, 0, NULL, NULL, NULL, NULL, TRUE),
+('Quarantine', 'QR2', 'QC1', 'Cold Storage', 'Medium', 40, 0, 2.0, 8.0, 5.0, NOW(), TRUE);
+
+-- Sample Sensors (one per cold room slot; device IDs match what each board reports)
+INSERT INTO sensors (device_id, sensor_type, location_id, calibration_offset) VALUES
+('DHT-COLD-A-CS1', 'DHT22', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1'), 0.00),
+('DHT-COLD-A-CS2', 'DHT11', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS2'), -0.50),
+('DHT-COLD-B-CS1', 'DHT22', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_B' AND rack = 'CR2' AND slot = 'CS1'), 0.00);
+
+
+-- Sample Batches (some with low stock/expiry issues)
+INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, status) VALUES
+((SELECT product_id FROM products WHERE name = 'Surgical Gloves (Latex Free)'), 'GLOVE-001', '2024-01-01', '2025-12-31', 100, 'GLOVE-001', 'Available'),
+((SELECT product_id FROM products WHERE name = 'Bandages (Assorted)'), 'BAND-005', '2024-03-15', '2025-07-20', 5, 'BAND-005', 'Available'), -- Low Stock
+((SELECT product_id FROM products WHERE name = 'Pain Relievers (Tablets)'), 'PAIN-010', '2023-05-01', '2025-06-15', 20, 'PAIN-010', 'Available'), -- Expiring Soon
+((SELECT product_id FROM products WHERE name = 'Flu Vaccine (Seasonal)'), 'FLUVAX-003', '2024-02-10', '2025-05-01', 30, 'FLUVAX-003', 'Available'), -- Expired (for testing)
+((SELECT product_id FROM products WHERE name = 'Insulin Pens'), 'INSULIN-007', '2024-04-20', '2026-03-30', 45, 'INSULIN-007', 'Available'),
+((SELECT product_id FROM products WHERE name = 'Syringes (Disposable)'), 'SYRINGE-200', '2024-06-01', '2027-01-01', 80, 'SYRINGE-200', 'Available');
+
+-- Where each batch is stored (one location each in the sample data)
+INSERT INTO batch_locations (batch_id, location_id, quantity) VALUES
+((SELECT batch_id FROM batches WHERE batch_number = 'GLOVE-001'), (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_A' AND rack = 'AR1' AND slot = 'AS1'), 100),
+((SELECT batch_id FROM batches WHERE batch_number = 'BAND-005'), (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_B' AND rack = 'AR2' AND slot = 'BS2'), 5),
+((SELECT batch_id FROM batches WHERE batch_number = 'PAIN-010'), (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_A' AND rack = 'AR1' AND slot = 'AS2'), 20),
+((SELECT batch_id FROM batches WHERE batch_number = 'FLUVAX-003'), (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1'), 30),
+((SELECT batch_id FROM batches WHERE batch_number = 'INSULIN-007'), (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS2'), 45),
+((SELECT batch_id FROM batches WHERE batch_number = 'SYRINGE-200'), (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_B' AND rack = 'AR2' AND slot = 'BS1'), 80);
 
 -- Update current_occupancy for initial batches
 UPDATE storage_locations SET current_occupancy = current_occupancy + 100 WHERE location_id = (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_A' AND rack = 'AR1' AND slot = 'AS1');
@@ -144,12 +695,28 @@ UPDATE storage_locations SET current_occupancy = current_occupancy + 30 WHERE lo
 UPDATE storage_locations SET current_occupancy = current_occupancy + 45 WHERE location_id = (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS2');
 UPDATE storage_locations SET current_occupancy = current_occupancy + 80 WHERE location_id = (SELECT location_id FROM storage_locations WHERE zone = 'Ambient_B' AND rack = 'AR2' AND slot = 'BS1');
 
+-- Receipts in the stock movement ledger for the initial batches
+INSERT INTO stock_movements (batch_id, movement_type, to_location_id, quantity, reference)
+SELECT batch_id, 'Receipt', location_id, quantity, 'Initial stock' FROM batch_locations;
+
+-- Sample Customers
+INSERT INTO customers (name, customer_type, contact_name, contact_email, contact_phone, licence_number, licence_expiry, min_shelf_life_days, single_batch_per_line) VALUES
+('City General Hospital', 'Hospital', 'Priya Nair', 'pharmacy@citygeneral.example', '+1-555-0100', 'HOSP-2231', '2027-12-31', 180, FALSE),
+('Riverside Pharmacy', 'Pharmacy', 'Tom Becker', 'orders@riverside.example', '+1-555-0142', 'PHARM-8812', '2027-06-30', 30, TRUE),
+('Old Town Clinic', 'Clinic', 'Ana Silva', 'stores@oldtownclinic.example', '+1-555-0177', 'CLIN-0457', '2025-01-31', 0, FALSE); -- Licence expired (for testing)
+
+-- Sample Customer Addresses
+INSERT INTO customer_addresses (customer_id, label, address_line1, address_line2, city, postcode, country, is_default) VALUES
+((SELECT customer_id FROM customers WHERE name = 'City General Hospital'), 'Main Pharmacy', '1 Hospital Road', 'Building B, Goods In', 'Springfield', '10001', 'USA', TRUE),
+((SELECT customer_id FROM customers WHERE name = 'City General Hospital'), 'Ward 4 Store', '1 Hospital Road', 'Ward 4', 'Springfield', '10001', 'USA', FALSE),
+((SELECT customer_id FROM customers WHERE name = 'Riverside Pharmacy'), 'Shop', '22 River Street', NULL, 'Springfield', '10004', 'USA', TRUE),
+((SELECT customer_id FROM customers WHERE name = 'Old Town Clinic'), 'Clinic', '5 Market Square', NULL, 'Shelbyville', '10020', 'USA', TRUE);
 
 -- Sample Orders
-INSERT INTO orders (order_date, status) VALUES
-('2025-06-05 10:00:00', 'Pending'),
-('2025-06-06 14:30:00', 'Pending'),
-('2025-06-07 09:15:00', 'Completed');
+INSERT INTO orders (order_date, status, customer_id, ship_to_address_id, requested_delivery_date, priority) VALUES
+('2025-06-05 10:00:00', 'Pending', (SELECT customer_id FROM customers WHERE name = 'City General Hospital'), (SELECT address_id FROM customer_addresses WHERE label = 'Main Pharmacy'), '2025-06-09', 'High'),
+('2025-06-06 14:30:00', 'Pending', (SELECT customer_id FROM customers WHERE name = 'Riverside Pharmacy'), (SELECT address_id FROM customer_addresses WHERE label = 'Shop'), '2025-06-10', 'Normal'),
+('2025-06-07 09:15:00', 'Completed', (SELECT customer_id FROM customers WHERE name = 'City General Hospital'), (SELECT address_id FROM customer_addresses WHERE label = 'Ward 4 Store'), NULL, 'Urgent');
 
 -- Sample Order Items
 INSERT INTO order_items (order_id, product_id, quantity) VALUES
@@ -161,18 +728,21 @@ INSERT INTO order_items (order_id, product_id, quantity) VALUES
 
 -- Sample Order Batch Picks (reflecting FEFO allocation from previous step)
 -- For Order 1 (2025-06-05): Surgical Gloves (10), Bandages (2)
-INSERT INTO order_batch_picks (order_id, batch_id, quantity_picked, status) VALUES
-((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-05%'), (SELECT batch_id FROM batches WHERE batch_number = 'GLOVE-001'), 10, 'Pending Pick'),
-((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-05%'), (SELECT batch_id FROM batches WHERE batch_number = 'BAND-005'), 2, 'Pending Pick');
+INSERT INTO order_batch_picks (order_id, batch_id, location_id, quantity_picked, status) VALUES
+((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-05%'), (SELECT batch_id FROM batches WHERE batch_number = 'GLOVE-001'), (SELECT location_id FROM batch_locations WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'GLOVE-001')), 10, 'Pending Pick'),
+((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-05%'), (SELECT batch_id FROM batches WHERE batch_number = 'BAND-005'), (SELECT location_id FROM batch_locations WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'BAND-005')), 2, 'Pending Pick');
 
 -- For Order 2 (2025-06-06): Pain Relievers (5)
-INSERT INTO order_batch_picks (order_id, batch_id, quantity_picked, status) VALUES
-((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-06%'), (SELECT batch_id FROM batches WHERE batch_number = 'PAIN-010'), 5, 'Pending Pick');
+INSERT INTO order_batch_picks (order_id, batch_id, location_id, quantity_picked, status) VALUES
+((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-06%'), (SELECT batch_id FROM batches WHERE batch_number = 'PAIN-010'), (SELECT location_id FROM batch_locations WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'PAIN-010')), 5, 'Pending Pick');
 
 -- For Order 3 (2025-06-07) - Already Completed in sample data: Flu Vaccine (15)
 -- We'll mark these as picked/dispatched to reflect a completed order
-INSERT INTO order_batch_picks (order_id, batch_id, quantity_picked, status) VALUES
-((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-07%'), (SELECT batch_id FROM batches WHERE batch_number = 'FLUVAX-003'), 15, 'Picked');
+INSERT INTO order_batch_picks (order_id, batch_id, location_id, quantity_picked, status) VALUES
+((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-07%'), (SELECT batch_id FROM batches WHERE batch_number = 'FLUVAX-003'), (SELECT location_id FROM batch_locations WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'FLUVAX-003')), 15, 'Picked');
+
+-- The sample pick was scan-verified, so the order can be dispatched
+UPDATE order_batch_picks SET scan_verified_at = '2025-06-07 09:40:00' WHERE status = 'Picked';
 
 -- Manually update status for Order 3 to reflect completion
 UPDATE orders SET status = 'Completed' WHERE order_date LIKE '2025-06-07%';
@@ -181,20 +751,25 @@ UPDATE orders SET status = 'Completed' WHERE order_date LIKE '2025-06-07%';
 INSERT INTO dispatches (order_id, dispatched_by, dispatch_date) VALUES
 ((SELECT order_id FROM orders WHERE order_date LIKE '2025-06-07%'), 'John Doe', '2025-06-07');
 
--- Update batches quantities after sample orders/picks
-UPDATE batches SET quantity = quantity - 10 WHERE batch_number = 'GLOVE-001';
-UPDATE batches SET quantity = quantity - 2 WHERE batch_number = 'BAND-005';
-UPDATE batches SET quantity = quantity - 5 WHERE batch_number = 'PAIN-010';
-UPDATE batches SET quantity = quantity - 15 WHERE batch_number = 'FLUVAX-003';
+-- Only picked items have left their location; pending picks for orders 1 and 2 are still on the shelf
+INSERT INTO stock_movements (batch_id, movement_type, from_location_id, quantity, pick_id, reference)
+SELECT batch_id, 'Pick', location_id, quantity_picked, pick_id, CONCAT('Order #', order_id)
+FROM order_batch_picks
+WHERE status = 'Picked';
 
--- Adjust current_occupancy for sample orders/picks
-UPDATE storage_locations SET current_occupancy = current_occupancy - 10 WHERE location_id = (SELECT assigned_location_id FROM batches WHERE batch_number = 'GLOVE-001');
-UPDATE storage_locations SET current_occupancy = current_occupancy - 2 WHERE location_id = (SELECT assigned_location_id FROM batches WHERE batch_number = 'BAND-005');
-UPDATE storage_locations SET current_occupancy = current_occupancy - 5 WHERE location_id = (SELECT assigned_location_id FROM batches WHERE batch_number = 'PAIN-010');
-UPDATE storage_locations SET current_occupancy = current_occupancy - 15 WHERE location_id = (SELECT assigned_location_id FROM batches WHERE batch_number = 'FLUVAX-003');
+-- Update batch quantities and current_occupancy for the picked order
+UPDATE batches SET quantity = quantity - 15 WHERE batch_number = 'FLUVAX-003';
+UPDATE batch_locations SET quantity = quantity - 15 WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'FLUVAX-003');
+UPDATE storage_locations SET current_occupancy = current_occupancy - 15 WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1';
 
 -- Example of a batch that will expire soon
-INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, assigned_location_id, status) VALUES
-((SELECT product_id FROM products WHERE name = 'Insulin Pens'), 'INSULIN-EXP-TEST', '2024-10-01', '2025-06-25', 50, 'INSULIN-EXP-TEST', (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1'), 'Available');
+INSERT INTO batches (product_id, batch_number, manufacture_date, expiry_date, quantity, barcode, status) VALUES
+((SELECT product_id FROM products WHERE name = 'Insulin Pens'), 'INSULIN-EXP-TEST', '2024-10-01', '2025-06-25', 50, 'INSULIN-EXP-TEST', 'Available');
+
+INSERT INTO batch_locations (batch_id, location_id, quantity) VALUES
+((SELECT batch_id FROM batches WHERE batch_number = 'INSULIN-EXP-TEST'), (SELECT location_id FROM storage_locations WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1'), 50);
+
+UPDATE storage_locations SET current_occupancy = current_occupancy + 50 WHERE zone = 'Cold_A' AND rack = 'CR1' AND slot = 'CS1';
 
-UPDATE storage_locations SET current_occupancy = current_occupancy + 50 WHERE location_id = (SELECT assigned_location_id FROM batches WHERE batch_number = 'INSULIN-EXP-TEST');
+INSERT INTO stock_movements (batch_id, movement_type, to_location_id, quantity, reference)
+SELECT batch_id, 'Receipt', location_id, quantity, 'Initial stock' FROM batch_locations WHERE batch_id = (SELECT batch_id FROM batches WHERE batch_number = 'INSULIN-EXP-TEST');